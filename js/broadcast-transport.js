@@ -0,0 +1,274 @@
+/**
+ * Same-origin adapter for the signaling transport - tabs on one machine, no network
+ * The JSON tree lives in localStorage with one entry per leaf value, keyed by its full path,
+ * so tabs writing different children at the same time never overwrite each other.
+ * Writers announce the room-level bucket they changed (such as rooms/{roomId}) on a
+ * BroadcastChannel (or, without one, other tabs notice through storage events)
+ * and every tab diffs its own subscriptions.
+ */
+
+import { SignalingTransport } from './signaling-transport.js';
+
+const STORAGE_PREFIX = 'p2p_signaling:';
+const CHANNEL_NAME = 'p2p_signaling';
+const BUCKET_DEPTH = 2;
+
+export class BroadcastTransport extends SignalingTransport {
+    constructor(storage = globalThis.localStorage) {
+        super();
+        this.storage = storage;
+        this.channel = null;
+        this.storageListener = null;
+        this.pageHideListener = null;
+        this.disconnectHooks = new Set(); // { path, values } applied when this tab goes away
+        this.watchers = new Set(); // { bucket, segments, kind, callback, known }
+    }
+
+    async connect() {
+        if (typeof BroadcastChannel !== 'undefined') {
+            this.channel = new BroadcastChannel(CHANNEL_NAME);
+            this.channel.onmessage = (event) => this.refresh(event.data?.bucket);
+        } else {
+            this.storageListener = (event) => {
+                if (event.key?.startsWith(STORAGE_PREFIX)) {
+                    this.refresh(this.bucketOf(event.key.slice(STORAGE_PREFIX.length).split('/')));
+                }
+            };
+            globalThis.addEventListener('storage', this.storageListener);
+        }
+
+        // "Disconnecting" is the tab closing; storage writes are synchronous, so they land in time
+        this.pageHideListener = () => this.runDisconnectHooks();
+        globalThis.addEventListener('pagehide', this.pageHideListener);
+
+        console.log('📻 Same-origin signaling ready');
+    }
+
+    /**
+     * Path segments, checked to be at least room-scoped
+     */
+    locate(path) {
+        const segments = path.split('/').filter(Boolean);
+        if (segments.length < BUCKET_DEPTH) {
+            throw new Error(`Invalid path: ${path}`);
+        }
+        return segments;
+    }
+
+    bucketOf(segments) {
+        return segments.slice(0, BUCKET_DEPTH).join('/');
+    }
+
+    /**
+     * Rebuild the subtree at segments from the leaf entries below it
+     */
+    read(segments) {
+        const base = segments.join('/');
+        let root = null;
+
+        for (const key of this.storageKeys()) {
+            const path = key.slice(STORAGE_PREFIX.length);
+            if (path === base) {
+                root = assign(root, [], JSON.parse(this.storage.getItem(key)));
+            } else if (path.startsWith(`${base}/`)) {
+                root = assign(root, path.slice(base.length + 1).split('/'), JSON.parse(this.storage.getItem(key)));
+            }
+        }
+
+        return root;
+    }
+
+    /**
+     * Replace the subtree at segments; objects are spread over one entry per leaf
+     * and arrays are stored whole
+     */
+    write(segments, value) {
+        const base = segments.join('/');
+
+        // A leaf above us would shadow what we write, anything below is replaced
+        for (let depth = BUCKET_DEPTH; depth < segments.length; depth++) {
+            this.storage.removeItem(STORAGE_PREFIX + segments.slice(0, depth).join('/'));
+        }
+        for (const key of this.storageKeys()) {
+            const path = key.slice(STORAGE_PREFIX.length);
+            if (path === base || path.startsWith(`${base}/`)) {
+                this.storage.removeItem(key);
+            }
+        }
+
+        this.writeLeaves(segments, value);
+    }
+
+    writeLeaves(segments, value) {
+        if (value === null) return;
+
+        if (typeof value === 'object' && !Array.isArray(value)) {
+            for (const [key, child] of Object.entries(value)) {
+                this.writeLeaves([...segments, ...key.split('/').filter(Boolean)], child);
+            }
+        } else {
+            this.storage.setItem(STORAGE_PREFIX + segments.join('/'), JSON.stringify(value));
+        }
+    }
+
+    // Snapshot first - removing entries shifts storage indexes
+    storageKeys() {
+        const keys = [];
+        for (let i = 0; i < this.storage.length; i++) {
+            const key = this.storage.key(i);
+            if (key?.startsWith(STORAGE_PREFIX)) keys.push(key);
+        }
+        return keys;
+    }
+
+    announce(bucket) {
+        this.channel?.postMessage({ bucket });
+        // BroadcastChannel does not echo to the sender, storage events skip this tab
+        this.refresh(bucket);
+    }
+
+    async get(path) {
+        return this.read(this.locate(path));
+    }
+
+    async set(path, value) {
+        const segments = this.locate(path);
+        this.write(segments, clone(value));
+        this.announce(this.bucketOf(segments));
+    }
+
+    async update(path, values) {
+        const segments = this.locate(path);
+        for (const [key, value] of Object.entries(values)) {
+            this.write([...segments, ...key.split('/').filter(Boolean)], clone(value));
+        }
+        this.announce(this.bucketOf(segments));
+    }
+
+    async remove(path) {
+        return this.set(path, null);
+    }
+
+    async push(path, value) {
+        const key = this.generatePushKey();
+        await this.set(`${path}/${key}`, value);
+        return key;
+    }
+
+    onChildAdded(path, callback) {
+        return this.watch(path, 'child', callback);
+    }
+
+    onValue(path, callback) {
+        return this.watch(path, 'value', callback);
+    }
+
+    watch(path, kind, callback) {
+        const segments = this.locate(path);
+        const watcher = { bucket: this.bucketOf(segments), segments, kind, callback, known: kind === 'child' ? new Set() : undefined };
+        this.watchers.add(watcher);
+
+        // Replay current state asynchronously, as the other adapters do
+        queueMicrotask(() => {
+            if (this.watchers.has(watcher)) this.check(watcher);
+        });
+
+        return () => this.watchers.delete(watcher);
+    }
+
+    refresh(bucket) {
+        for (const watcher of [...this.watchers]) {
+            if (watcher.bucket === bucket) {
+                this.check(watcher);
+            }
+        }
+    }
+
+    /**
+     * Diff a watcher against storage and fire its callback for what changed
+     */
+    check(watcher) {
+        const value = this.read(watcher.segments);
+
+        if (watcher.kind === 'value') {
+            const serialized = JSON.stringify(value);
+            if (serialized !== watcher.known) {
+                watcher.known = serialized;
+                watcher.callback(value);
+            }
+            return;
+        }
+
+        const children = value && typeof value === 'object' ? value : {};
+        const keys = Object.keys(children).sort();
+        const added = keys.filter(key => !watcher.known.has(key));
+        watcher.known = new Set(keys);
+
+        for (const key of added) {
+            watcher.callback(key, children[key]);
+        }
+    }
+
+    async onDisconnectUpdate(path, values) {
+        this.locate(path);
+        const hook = { path, values };
+        this.disconnectHooks.add(hook);
+        return async () => { this.disconnectHooks.delete(hook); };
+    }
+
+    runDisconnectHooks() {
+        for (const { path, values } of this.disconnectHooks) {
+            this.update(path, values);
+        }
+        this.disconnectHooks.clear();
+    }
+
+    onConnectionChange(callback) {
+        // Nothing to lose: storage and channel are always there
+        callback(true);
+        return () => {};
+    }
+
+    close() {
+        this.unsubscribeAll();
+        this.watchers.clear();
+        this.channel?.close();
+        this.channel = null;
+        if (this.storageListener) {
+            globalThis.removeEventListener('storage', this.storageListener);
+            this.storageListener = null;
+        }
+        if (this.pageHideListener) {
+            globalThis.removeEventListener('pagehide', this.pageHideListener);
+            this.pageHideListener = null;
+        }
+    }
+}
+
+/**
+ * Copy-on-write assignment; null deletes and empty parents are pruned, as in Firebase
+ */
+function assign(node, segments, value) {
+    if (segments.length === 0) {
+        return value ?? null;
+    }
+
+    const object = node && typeof node === 'object' ? { ...node } : {};
+    const [head, ...tail] = segments;
+    const child = assign(object[head], tail, value);
+
+    if (child === null || (typeof child === 'object' && Object.keys(child).length === 0)) {
+        delete object[head];
+    } else {
+        object[head] = child;
+    }
+
+    return Object.keys(object).length > 0 ? object : null;
+}
+
+function clone(value) {
+    // No server here - the writing tab's clock stands in for server timestamps
+    return value === undefined ? null : JSON.parse(JSON.stringify(value), (key, item) =>
+        item && typeof item === 'object' && item['.sv'] === 'timestamp' ? Date.now() : item
+    );
+}
\ No newline at end of file
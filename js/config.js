@@ -42,4 +42,32 @@ export const webrtcConfig = {
     iceTransportPolicy: 'all',
     bundlePolicy: 'max-bundle',
     rtcpMuxPolicy: 'require'
+};
+
+export const signalingConfig = {
+    // 'firebase' uses firebaseConfig above - 'websocket' uses the self-hosted relay (node server/relay.mjs)
+    // 'local' connects tabs of this browser through BroadcastChannel + localStorage, no network
+    transport: 'firebase',
+    relayUrl: 'ws://localhost:8787'
+};
+
+export const roomConfig = {
+    // Room addressing / key derivation scheme for new rooms
+    // 1: legacy (12-hex room ID, PBKDF2 10k fixed salt) - 2: costly KDF + HKDF-separated room ID
+    scheme: 2,
+    kdfIterations: 600000,
+    // Join legacy v1 rooms when an old client is already waiting in one
+    allowLegacyRooms: true,
+    // Participant limit new rooms get unless the creator picks another; every member
+    // connects directly to every other, so upload grows with each one in a call
+    defaultCapacity: 3,
+    maxCapacity: 8
+};
+
+export const passphraseConfig = {
+    // Generated passphrases: 6 words from a 1024-word list = 60 bits
+    wordCount: 6,
+    separator: '-',
+    // Refuse to derive room keys from anything estimated below this
+    minEntropyBits: 45
 };
\ No newline at end of file
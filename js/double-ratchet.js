@@ -0,0 +1,288 @@
+/**
+ * Double Ratchet Session for P2P DataChannel messages
+ * Symmetric chain advances per message, DH ratchet advances on every reply
+ */
+
+const MAX_SKIP = 1000;
+const ROOT_INFO = 'webrtc_ratchet_root_v1';
+const CHAIN_INFO = 'webrtc_ratchet_chain_v1';
+
+export class DoubleRatchetSession {
+    /**
+     * @param {Object} seed - Built by EnhancedCryptoManager.getRatchet()
+     *   rootKey: ArrayBuffer shared secret from the authenticated ECDH exchange
+     *   localKeyPair / localPublicKey: our ephemeral ECDH key pair (base64 raw public)
+     *   remotePublicKey: peer's ephemeral ECDH public key (base64 raw)
+     *   isInitiator: true for the peer with the lower session ID
+     *   associatedData: string bound into every message
+     */
+    constructor(seed) {
+        this.seed = seed;
+        this.associatedData = seed.associatedData || '';
+        this.state = null;
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * Set up initial chains
+     * The responder gets a sending chain straight away so either side can speak first
+     */
+    async initialize() {
+        const { rootKey, localKeyPair, localPublicKey, remotePublicKey, isInitiator } = this.seed;
+        const initialChain = await this.hmac(rootKey, CHAIN_INFO);
+
+        if (isInitiator) {
+            const dhs = await this.generateKeyPair();
+            const dhOut = await this.dh(dhs.keyPair.privateKey, remotePublicKey);
+            const [rk, cks] = await this.kdfRoot(rootKey, dhOut);
+
+            this.state = {
+                dhs,
+                dhr: remotePublicKey,
+                rk,
+                cks,
+                ckr: initialChain,
+                ns: 0,
+                nr: 0,
+                pn: 0,
+                skipped: new Map()
+            };
+        } else {
+            this.state = {
+                dhs: { keyPair: localKeyPair, publicKey: localPublicKey },
+                dhr: null,
+                rk: rootKey,
+                cks: initialChain,
+                ckr: null,
+                ns: 0,
+                nr: 0,
+                pn: 0,
+                skipped: new Map()
+            };
+        }
+
+        console.log('🔁 Ratchet session initialized as', isInitiator ? 'initiator' : 'responder');
+        return this;
+    }
+
+    /**
+     * Encrypt plaintext with the next sending message key
+     * Optional associated data is authenticated alongside the header
+     */
+    encrypt(plaintext, associatedData = '') {
+        return this.enqueue(async () => {
+            const [mk, nextChain] = await this.kdfChain(this.state.cks);
+            this.state.cks = nextChain;
+
+            const header = {
+                dh: this.state.dhs.publicKey,
+                pn: this.state.pn,
+                n: this.state.ns
+            };
+            this.state.ns++;
+
+            const encrypted = await this.aeadEncrypt(mk, new TextEncoder().encode(plaintext), header, associatedData);
+            return { header, ...encrypted };
+        });
+    }
+
+    /**
+     * Decrypt message, handling skipped and out-of-order message keys
+     * State is only committed once authentication succeeds
+     */
+    decrypt(message, associatedData = '') {
+        return this.enqueue(async () => {
+            const { header } = message;
+            if (!header || typeof header.dh !== 'string' || !Number.isInteger(header.n) || !Number.isInteger(header.pn)) {
+                throw new Error('Invalid ratchet header');
+            }
+
+            const skippedId = `${header.dh}:${header.n}`;
+            if (this.state.skipped.has(skippedId)) {
+                const mk = this.state.skipped.get(skippedId);
+                const plaintext = await this.aeadDecrypt(mk, message, header, associatedData);
+                this.state.skipped.delete(skippedId);
+                return new TextDecoder().decode(plaintext);
+            }
+
+            const working = { ...this.state, skipped: new Map(this.state.skipped) };
+
+            if (header.dh !== working.dhr) {
+                await this.skipMessageKeys(working, header.pn);
+                await this.dhRatchet(working, header);
+            }
+
+            await this.skipMessageKeys(working, header.n);
+            const [mk, nextChain] = await this.kdfChain(working.ckr);
+            working.ckr = nextChain;
+            working.nr++;
+
+            const plaintext = await this.aeadDecrypt(mk, message, header, associatedData);
+            this.state = working;
+            return new TextDecoder().decode(plaintext);
+        });
+    }
+
+    async skipMessageKeys(working, until) {
+        if (!working.ckr) return;
+
+        if (working.nr + MAX_SKIP < until) {
+            throw new Error('Too many skipped messages');
+        }
+
+        while (working.nr < until) {
+            const [mk, nextChain] = await this.kdfChain(working.ckr);
+            working.ckr = nextChain;
+            working.skipped.set(`${working.dhr}:${working.nr}`, mk);
+            working.nr++;
+        }
+
+        // Bound memory use - drop the oldest skipped keys first
+        while (working.skipped.size > MAX_SKIP) {
+            working.skipped.delete(working.skipped.keys().next().value);
+        }
+    }
+
+    async dhRatchet(working, header) {
+        working.pn = working.ns;
+        working.ns = 0;
+        working.nr = 0;
+        working.dhr = header.dh;
+
+        const receiveOut = await this.dh(working.dhs.keyPair.privateKey, working.dhr);
+        [working.rk, working.ckr] = await this.kdfRoot(working.rk, receiveOut);
+
+        working.dhs = await this.generateKeyPair();
+        const sendOut = await this.dh(working.dhs.keyPair.privateKey, working.dhr);
+        [working.rk, working.cks] = await this.kdfRoot(working.rk, sendOut);
+    }
+
+    /**
+     * KDF_RK: HKDF keyed by the current root key, split into new root key and chain key
+     */
+    async kdfRoot(rootKey, dhOut) {
+        const hkdfKey = await crypto.subtle.importKey('raw', dhOut, 'HKDF', false, ['deriveBits']);
+        const bits = await crypto.subtle.deriveBits(
+            {
+                name: 'HKDF',
+                hash: 'SHA-256',
+                salt: rootKey,
+                info: new TextEncoder().encode(ROOT_INFO)
+            },
+            hkdfKey,
+            512
+        );
+
+        return [bits.slice(0, 32), bits.slice(32, 64)];
+    }
+
+    /**
+     * KDF_CK: HMAC chain step, returns [message key, next chain key]
+     */
+    async kdfChain(chainKey) {
+        if (!chainKey) {
+            throw new Error('Ratchet chain not initialized');
+        }
+
+        return Promise.all([
+            this.hmac(chainKey, '\x01'),
+            this.hmac(chainKey, '\x02')
+        ]);
+    }
+
+    async hmac(keyBytes, label) {
+        const key = await crypto.subtle.importKey(
+            'raw',
+            keyBytes,
+            { name: 'HMAC', hash: 'SHA-256' },
+            false,
+            ['sign']
+        );
+        return crypto.subtle.sign('HMAC', key, new TextEncoder().encode(label));
+    }
+
+    async generateKeyPair() {
+        const keyPair = await crypto.subtle.generateKey(
+            { name: 'ECDH', namedCurve: 'P-256' },
+            false,
+            ['deriveBits']
+        );
+        const rawPublicKey = await crypto.subtle.exportKey('raw', keyPair.publicKey);
+        return { keyPair, publicKey: this.arrayBufferToBase64(rawPublicKey) };
+    }
+
+    async dh(privateKey, remotePublicKeyBase64) {
+        const remotePublicKey = await crypto.subtle.importKey(
+            'raw',
+            this.base64ToArrayBuffer(remotePublicKeyBase64),
+            { name: 'ECDH', namedCurve: 'P-256' },
+            false,
+            []
+        );
+        return crypto.subtle.deriveBits({ name: 'ECDH', public: remotePublicKey }, privateKey, 256);
+    }
+
+    async aeadEncrypt(mk, data, header, associatedData) {
+        const key = await crypto.subtle.importKey('raw', mk, { name: 'AES-GCM' }, false, ['encrypt']);
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const ciphertext = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv, additionalData: this.headerAad(header, associatedData) },
+            key,
+            data
+        );
+
+        return {
+            data: this.arrayBufferToBase64(ciphertext),
+            iv: this.arrayBufferToBase64(iv)
+        };
+    }
+
+    async aeadDecrypt(mk, message, header, associatedData) {
+        const key = await crypto.subtle.importKey('raw', mk, { name: 'AES-GCM' }, false, ['decrypt']);
+        try {
+            return await crypto.subtle.decrypt(
+                {
+                    name: 'AES-GCM',
+                    iv: this.base64ToArrayBuffer(message.iv),
+                    additionalData: this.headerAad(header, associatedData)
+                },
+                key,
+                this.base64ToArrayBuffer(message.data)
+            );
+        } catch (error) {
+            throw new Error('Ratchet decryption failed - corrupted or replayed message');
+        }
+    }
+
+    headerAad(header, associatedData) {
+        return new TextEncoder().encode(`${this.associatedData}|${header.dh}|${header.pn}|${header.n}|${associatedData}`);
+    }
+
+    /**
+     * Serialize operations - concurrent DataChannel handlers must not interleave state updates
+     */
+    enqueue(operation) {
+        const result = this.queue.then(operation);
+        this.queue = result.catch(() => {});
+        return result;
+    }
+
+    arrayBufferToBase64(buffer) {
+        const bytes = new Uint8Array(buffer);
+        const binary = Array.from(bytes).map(b => String.fromCharCode(b)).join('');
+        return btoa(binary);
+    }
+
+    base64ToArrayBuffer(base64) {
+        const binary = atob(base64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes.buffer;
+    }
+
+    destroy() {
+        this.state = null;
+    }
+}
\ No newline at end of file
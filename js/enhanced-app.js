@@ -2,25 +2,56 @@
  * Enhanced Secure Messenger with Immediate Send & Offline Support
  */
 
-import { WebRTCManager } from './webrtc.js';
+import { MultiPeerWebRTCManager } from './multi-peer-webrtc.js';
 import { EnhancedSignalingManager } from './enhanced-signaling.js';
 import { EnhancedCryptoManager } from './enhanced-crypto.js';
 import { MessageManager } from './message-manager.js';
 import { WebRTCSecrets } from './webrtc-secrets.js';
+import { SenderKeyManager } from './sender-keys.js';
+import { SafetyNumberVerifier } from './safety-numbers.js';
+import { roomConfig } from './config.js';
+import { PassphraseGenerator } from './passphrase.js';
+import { ManualSignaling } from './manual-signaling.js';
+import { QRCode } from './qr-code.js';
+import { RosterPanel } from './roster-panel.js';
+import { MessageHistory } from './message-history.js';
+import { Transcript } from './transcript.js';
+
+const READ_RECEIPTS_KEY = 'p2p_read_receipts';
+const DELIVERY_TICKS = { sent: '✓', delivered: '✓✓', read: '✓✓' };
 
 class EnhancedSecureMessenger {
     constructor() {
-        this.webrtc = new WebRTCManager();
+        this.webrtc = new MultiPeerWebRTCManager();
         this.signaling = new EnhancedSignalingManager();
         this.crypto = new EnhancedCryptoManager();
+        this.signaling.crypto = this.crypto;
         this.messageManager = null;
         
         this.isInRoom = false;
         this.roomId = null;
         this.sessionId = null;
         this.webrtcSecrets = null;
+        this.senderKeys = null;
+        this.verifier = new SafetyNumberVerifier();
+        this.passphrase = new PassphraseGenerator();
+        this.pendingSafetyNumber = null;
+        this.manualSignaling = null;
+        this.manualRole = null;
+        this.scanStream = null;
+        this.participantAliases = new Map(); // sessionId -> decrypted alias
+        this.peerVerifications = new Map(); // sessionId -> safety number state from this session
+        this.connectionPaths = new Map(); // sessionId -> 'direct' or 'relay'
+        this.remoteVideoTiles = new Map(); // sessionId -> tile element
+        this.incomingCallFrom = null;
+        this.roomCapacity = null;
+        this.unreadMessages = []; // { id, senderId } shown while the store tab was out of sight
+        this.history = null;
+        this.transcript = new Transcript(this.crypto);
         
         this.initializeElements();
+        this.rosterPanel = new RosterPanel(this.elements.rosterPanel, this.elements.rosterList, this.elements.rosterCount);
+        this.rosterPanel.onSelect = (sessionId) => this.showVerificationScreen(sessionId);
         this.setupEventListeners();
         this.setupWebRTCCallbacks();
         this.setupSignalingCallbacks();
@@ -31,8 +62,25 @@ class EnhancedSecureMessenger {
     initializeElements() {
         this.elements = {
             roomPassword: document.getElementById('roomPassword'),
+            passwordStrengthBar: document.getElementById('passwordStrengthBar'),
+            passwordStrengthText: document.getElementById('passwordStrengthText'),
+            generatePassphrase: document.getElementById('generatePassphrase'),
+            copyPassphrase: document.getElementById('copyPassphrase'),
+            sharePassphrase: document.getElementById('sharePassphrase'),
             userAlias: document.getElementById('userAlias'),
             joinRoom: document.getElementById('joinRoom'),
+            toggleManualConnect: document.getElementById('toggleManualConnect'),
+            manualPanel: document.getElementById('manualPanel'),
+            manualStatus: document.getElementById('manualStatus'),
+            createManualOffer: document.getElementById('createManualOffer'),
+            scanManualCode: document.getElementById('scanManualCode'),
+            manualCodeOutput: document.getElementById('manualCodeOutput'),
+            manualQrCanvas: document.getElementById('manualQrCanvas'),
+            manualCodeText: document.getElementById('manualCodeText'),
+            copyManualCode: document.getElementById('copyManualCode'),
+            manualScanVideo: document.getElementById('manualScanVideo'),
+            manualCodeInput: document.getElementById('manualCodeInput'),
+            applyManualCode: document.getElementById('applyManualCode'),
             leaveRoom: document.getElementById('leaveRoom'),
             connectionStatus: document.getElementById('connectionStatus'),
             connectionInfo: document.getElementById('connectionInfo'),
@@ -56,14 +104,37 @@ class EnhancedSecureMessenger {
             endCall: document.getElementById('endCall'),
             toggleMute: document.getElementById('toggleMute'),
             toggleVideo: document.getElementById('toggleVideo'),
+            switchCamera: document.getElementById('switchCamera'),
             videoContainer: document.getElementById('videoContainer'),
             localVideo: document.getElementById('localVideo'),
-            remoteVideo: document.getElementById('remoteVideo'),
+            remoteVideos: document.getElementById('remoteVideos'),
             closeVideoCall: document.getElementById('closeVideoCall'),
             callNotification: document.getElementById('callNotification'),
             callNotificationText: document.getElementById('callNotificationText'),
             acceptCall: document.getElementById('acceptCall'),
-            declineCall: document.getElementById('declineCall')
+            declineCall: document.getElementById('declineCall'),
+            verifyPeer: document.getElementById('verifyPeer'),
+            verificationModal: document.getElementById('verificationModal'),
+            verificationPeerAlias: document.getElementById('verificationPeerAlias'),
+            safetyNumberEmoji: document.getElementById('safetyNumberEmoji'),
+            safetyNumberDigits: document.getElementById('safetyNumberDigits'),
+            confirmVerification: document.getElementById('confirmVerification'),
+            cancelVerification: document.getElementById('cancelVerification'),
+            verificationWarning: document.getElementById('verificationWarning'),
+            verificationWarningText: document.getElementById('verificationWarningText'),
+            dismissVerificationWarning: document.getElementById('dismissVerificationWarning'),
+            rosterPanel: document.getElementById('rosterPanel'),
+            rosterList: document.getElementById('rosterList'),
+            rosterCount: document.getElementById('rosterCount'),
+            roomCapacity: document.getElementById('roomCapacity'),
+            roomCapacityRow: document.getElementById('roomCapacityRow'),
+            sendReadReceipts: document.getElementById('sendReadReceipts'),
+            historyRetention: document.getElementById('historyRetention'),
+            wipeHistory: document.getElementById('wipeHistory'),
+            transcriptFormat: document.getElementById('transcriptFormat'),
+            exportTranscript: document.getElementById('exportTranscript'),
+            importTranscript: document.getElementById('importTranscript'),
+            transcriptFile: document.getElementById('transcriptFile')
         };
     }
 
@@ -77,6 +148,22 @@ class EnhancedSecureMessenger {
             if (e.key === 'Enter') this.joinRoom();
         });
 
+        this.populateCapacityOptions();
+        this.elements.roomPassword.addEventListener('input', () => this.updatePasswordStrength());
+        this.elements.generatePassphrase.addEventListener('click', () => this.generatePassphrase());
+        this.elements.copyPassphrase.addEventListener('click', () => this.copyPassphrase());
+        this.elements.sharePassphrase.addEventListener('click', () => this.sharePassphrase());
+        this.elements.sharePassphrase.classList.toggle('hidden', !navigator.share);
+
+        this.elements.toggleManualConnect.addEventListener('click', () => {
+            this.elements.manualPanel.classList.toggle('hidden');
+        });
+        this.elements.createManualOffer.addEventListener('click', () => this.createManualOffer());
+        this.elements.applyManualCode.addEventListener('click', () => this.applyManualCode());
+        this.elements.copyManualCode.addEventListener('click', () => this.copyManualCode());
+        this.elements.scanManualCode.addEventListener('click', () => this.scanManualCode());
+        this.elements.scanManualCode.classList.toggle('hidden', !('BarcodeDetector' in window));
+
         this.elements.sendMessage.addEventListener('click', () => this.sendMessage());
         this.elements.messageInput.addEventListener('keypress', (e) => {
             if (e.key === 'Enter') this.sendMessage();
@@ -92,6 +179,7 @@ class EnhancedSecureMessenger {
         this.elements.endCall.addEventListener('click', () => this.endCall());
         this.elements.toggleMute.addEventListener('click', () => this.toggleMute());
         this.elements.toggleVideo.addEventListener('click', () => this.toggleVideo());
+        this.elements.switchCamera.addEventListener('click', () => this.switchCamera());
         
         // Close video call button
         if (this.elements.closeVideoCall) {
@@ -113,82 +201,310 @@ class EnhancedSecureMessenger {
             this.elements.declineCall.addEventListener('click', () => this.declineIncomingCall());
         }
         
+        // Safety number verification
+        this.elements.verifyPeer.addEventListener('click', () => this.showVerificationScreen());
+        this.elements.confirmVerification.addEventListener('click', () => this.confirmVerification());
+        this.elements.cancelVerification.addEventListener('click', () => this.hideVerificationScreen());
+        this.elements.dismissVerificationWarning.addEventListener('click', () => {
+            this.elements.verificationWarning.classList.add('hidden');
+        });
+        
+        this.elements.sendReadReceipts.checked = localStorage.getItem(READ_RECEIPTS_KEY) !== 'off';
+        this.elements.sendReadReceipts.addEventListener('change', () => {
+            const enabled = this.elements.sendReadReceipts.checked;
+            localStorage.setItem(READ_RECEIPTS_KEY, enabled ? 'on' : 'off');
+            if (this.messageManager) this.messageManager.sendReadReceipts = enabled;
+        });
+        document.addEventListener('visibilitychange', () => this.flushReadReceipts());
+
+        this.elements.historyRetention.addEventListener('change', () => this.changeHistoryRetention());
+        this.elements.wipeHistory.addEventListener('click', () => this.wipeHistory());
+        this.elements.exportTranscript.addEventListener('click', () => this.exportTranscript());
+        this.elements.importTranscript.addEventListener('click', () => this.elements.transcriptFile.click());
+        this.elements.transcriptFile.addEventListener('change', () => {
+            const file = this.elements.transcriptFile.files[0];
+            this.elements.transcriptFile.value = '';
+            if (file) this.importTranscript(file);
+        });
+
         this.elements.offlineTab.addEventListener('click', () => this.switchToOfflineTab());
         this.elements.onlineTab.addEventListener('click', () => this.switchToOnlineTab());
     }
 
     setupWebRTCCallbacks() {
-        this.webrtc.onConnectionStateChange = (state) => {
-            this.updateConnectionStatus(state);
+        this.webrtc.onConnectionStateChange = (state, sessionId) => {
+            // The header shows the mesh as a whole: connected while any member is
+            const anyConnected = this.webrtc.getConnectedPeerCount() > 0;
+            this.updateConnectionStatus(anyConnected ? 'connected' : state);
+
+            if (state === 'connected') {
+                this.updateConnectionPath(sessionId);
+            } else {
+                this.connectionPaths.delete(sessionId);
+                this.syncMesh();
+                this.renderRoster();
+            }
             
             if (this.messageManager) {
-                this.messageManager.isWebRTCConnected = (state === 'connected');
-                if (this.messageManager.isWebRTCConnected) {
-                    this.messageManager.processMessageQueue();
-                }
+                this.messageManager.isWebRTCConnected = anyConnected;
             }
             
             setTimeout(() => {
                 this.updateOnlineMessageStatus();
+                this.updateVerificationBadge();
             }, 100);
         };
 
-        this.webrtc.onIceCandidate = (candidate) => {
-            this.signaling.sendIceCandidate(candidate);
+        // Signaling is readable by anyone with the room password - only active members of the
+        // roster get a connection, and only while the room has space for them
+        this.webrtc.canAcceptPeer = (sessionId) => {
+            if (this.manualSignaling) return true;
+            if (!this.signaling.isParticipantActive(this.signaling.roster?.[sessionId])) return false;
+            return !this.roomCapacity || this.webrtc.peers.size < this.roomCapacity - 1;
         };
 
-        this.webrtc.onRemoteStream = (stream) => {
-            console.log('📺 Setting remote video stream');
-            this.elements.remoteVideo.srcObject = stream;
-            this.elements.videoContainer.style.display = 'flex';
-            this.elements.videoContainer.classList.remove('hidden');
-            // Ensure video plays
-            this.elements.remoteVideo.play().catch(e => console.warn('Remote video play failed:', e));
+        this.webrtc.onIceCandidate = (candidate, routing) => {
+            // Manual codes already carry every candidate
+            if (this.manualSignaling) return;
+            this.signaling.sendIceCandidate(candidate, routing);
         };
 
-        this.webrtc.onMessageReceived = async (data) => {
-            if (data.type === 'webrtc_secret' && this.webrtcSecrets) {
+        this.webrtc.onDescription = (description, routing) => {
+            this.signaling.sendDescription(description, routing)
+                .catch(error => console.error(`❌ Failed to send ${description.type}:`, error));
+        };
+
+        // From here on this pair negotiates in-band; the database only keeps mail and presence
+        this.webrtc.onControlOpen = (sessionId) => {
+            if (!this.manualSignaling) {
+                this.signaling.clearOwnSignals(sessionId);
+            }
+        };
+
+        this.webrtc.onControlMessage = (message, sessionId) => this.handleCallSignal(message, sessionId);
+
+        this.webrtc.onRemoteStream = (stream, sessionId) => this.showRemoteStream(stream, sessionId);
+
+        this.webrtc.onDataChannelOpen = (sessionId) => {
+            this.hideManualPanel();
+            this.sendKeyExchange(sessionId);
+            // Members whose bundle we already have get our sender key now, the rest after their key exchange
+            if (this.senderKeys && this.crypto.hasSessionKey(sessionId)) {
+                this.senderKeys.handlePeerConnected(sessionId);
+            }
+            // Whatever waits in the outbox for this member can go now
+            if (this.messageManager) {
+                this.messageManager.processMessageQueue();
+            }
+        };
+
+        this.webrtc.onMessageReceived = async (data, sessionId) => {
+            if (data.type === 'key_exchange') {
+                await this.handleKeyExchange(data, sessionId);
+            } else if (data.type === 'webrtc_secret' && this.webrtcSecrets) {
                 await this.webrtcSecrets.handleWebRTCSecret(data);
-            } else if (data.type === 'encrypted_chat' && this.messageManager) {
-                await this.messageManager.handleIncomingMessage(data, 'webrtc');
+            } else if ((data.type === 'encrypted_chat' || data.type === 'group_chat') && this.messageManager) {
+                await this.messageManager.handleIncomingMessage(data, 'webrtc', sessionId);
+            } else if (data.type === 'sender_key' && this.senderKeys) {
+                await this.senderKeys.handleMessage(data, sessionId);
+            } else if (data.type === 'receipt' && this.messageManager) {
+                this.messageManager.handleReceipt(data, sessionId);
+            }
+        };
+    }
+
+    /**
+     * Announce our ephemeral ECDH public key to one member over their data channel
+     */
+    async sendKeyExchange(sessionId) {
+        try {
+            const bundle = await this.crypto.createKeyExchangeBundle();
+            this.webrtc.sendToPeer(sessionId, { type: 'key_exchange', ...bundle });
+            console.log('🔑 Key exchange bundle sent to', sessionId);
+        } catch (error) {
+            console.error('❌ Failed to send key exchange:', error);
+        }
+    }
+
+    /**
+     * Verify a member's key exchange bundle - it must come from the session
+     * the data channel was negotiated with
+     */
+    async handleKeyExchange(data, sessionId) {
+        try {
+            if (data.sessionId !== sessionId) {
+                throw new Error(`Bundle for ${data.sessionId} arrived on the channel of ${sessionId}`);
+            }
+
+            const established = await this.crypto.handleKeyExchangeBundle(data);
+            if (established && this.senderKeys) {
+                await this.senderKeys.handlePeerConnected(sessionId);
+            }
+            this.updateOnlineMessageStatus();
+            this.renderRoster();
+            await this.checkPeerVerification(sessionId);
+        } catch (error) {
+            console.error('❌ Rejected key exchange from peer:', error);
+        }
+    }
+
+    /**
+     * Identity of a connected member: identity key proven in key exchange,
+     * DTLS fingerprint the browser actually negotiated with them
+     */
+    getRemoteIdentity(sessionId) {
+        return {
+            identityKey: this.crypto.getPeerIdentityKey(sessionId),
+            fingerprint: this.webrtc.getPeer(sessionId)?.getFingerprints().remote
+        };
+    }
+
+    async getRemoteAlias(sessionId) {
+        if (this.participantAliases.has(sessionId)) {
+            return this.participantAliases.get(sessionId);
+        }
+        const aliases = await this.signaling.getParticipantAliases();
+        return aliases[sessionId] || this.manualSignaling?.peerAlias || 'Unknown';
+    }
+
+    /**
+     * Compare a connected member against stored verification and warn if it changed
+     */
+    async checkPeerVerification(sessionId) {
+        const remote = this.getRemoteIdentity(sessionId);
+        if (!remote.identityKey || !remote.fingerprint) return;
+
+        try {
+            const alias = await this.getRemoteAlias(sessionId);
+            const verification = await this.verifier.checkPeer(this.roomId, alias, remote);
+            this.peerVerifications.set(sessionId, verification);
+
+            if (verification === 'changed') {
+                const warning = `Safety number with ${alias} has changed! This may be a different device or someone intercepting the connection. Re-verify before trusting messages.`;
+                this.elements.verificationWarningText.textContent = `⚠️ ${warning}`;
+                this.elements.verificationWarning.classList.remove('hidden');
+                alert(warning);
+            }
+        } catch (error) {
+            console.warn('⚠️ Failed to check peer verification:', error);
+        }
+
+        this.updateVerificationBadge();
+        this.renderRoster();
+    }
+
+    /**
+     * Members we can compare safety numbers with: direct connection plus finished key exchange
+     */
+    getVerifiablePeers() {
+        return this.webrtc.getConnectedPeers().filter(sessionId => this.crypto.hasSessionKey(sessionId));
+    }
+
+    /**
+     * Show safety number for a connected member - by default the first one not verified yet
+     */
+    async showVerificationScreen(sessionId = null) {
+        const peers = this.getVerifiablePeers();
+        sessionId = sessionId || peers.find(peer => this.peerVerifications.get(peer) !== 'verified') || peers[0];
+
+        const remote = this.getRemoteIdentity(sessionId);
+        const local = {
+            identityKey: this.crypto.getIdentityPublicKey(),
+            fingerprint: this.webrtc.getPeer(sessionId)?.getFingerprints().local
+        };
+
+        try {
+            const safetyNumber = await this.verifier.computeSafetyNumber(local, remote);
+            const alias = await this.getRemoteAlias(sessionId);
+            this.pendingSafetyNumber = { sessionId, alias, remote, safetyNumber };
+
+            this.elements.verificationPeerAlias.textContent = alias;
+            this.elements.safetyNumberEmoji.textContent = safetyNumber.emoji.join(' ');
+            this.elements.safetyNumberDigits.textContent = safetyNumber.digits;
+            this.elements.verificationModal.classList.remove('hidden');
+        } catch (error) {
+            console.error('❌ Failed to compute safety number:', error);
+            alert('Safety number unavailable - wait for the direct connection to finish.');
+        }
+    }
+
+    hideVerificationScreen() {
+        this.pendingSafetyNumber = null;
+        this.elements.verificationModal.classList.add('hidden');
+    }
+
+    async confirmVerification() {
+        if (!this.pendingSafetyNumber) return;
+
+        const { sessionId, alias, remote, safetyNumber } = this.pendingSafetyNumber;
+        try {
+            await this.verifier.markVerified(this.roomId, alias, remote, safetyNumber);
+            this.peerVerifications.set(sessionId, 'verified');
+            if (![...this.peerVerifications.values()].includes('changed')) {
+                this.elements.verificationWarning.classList.add('hidden');
             }
+        } catch (error) {
+            console.error('❌ Failed to save verification:', error);
+        }
+
+        this.hideVerificationScreen();
+        this.updateVerificationBadge();
+        this.renderRoster();
+    }
+
+    /**
+     * One badge for the whole mesh: changed if anyone changed, verified once everyone is
+     */
+    updateVerificationBadge() {
+        const badge = this.elements.verifyPeer;
+        const peers = this.getVerifiablePeers();
+        const states = peers.map(sessionId => this.peerVerifications.get(sessionId) || 'unverified');
+
+        let verification = 'unverified';
+        if (states.includes('changed')) {
+            verification = 'changed';
+        } else if (states.length > 0 && states.every(state => state === 'verified')) {
+            verification = 'verified';
+        }
+
+        const labels = {
+            verified: { text: '✓ verified', color: 'text-green-400 border-green-700' },
+            changed: { text: '⚠ changed', color: 'text-red-400 border-red-700' },
+            unverified: { text: 'unverified', color: 'text-gray-400 border-gray-700' }
         };
+        const label = labels[verification];
+
+        badge.textContent = label.text;
+        badge.className = `${peers.length > 0 ? '' : 'hidden '}text-xs border px-2 py-1 rounded hover:text-white transition-colors ${label.color}`;
     }
 
     setupSignalingCallbacks() {
+        this.signaling.onRosterChange = (participants, changes) => this.handleRosterChange(participants, changes);
+
         this.signaling.onSignalingMessage = async (type, data) => {
             try {
                 switch (type) {
                     case 'offer':
-                        this.updateConnectionStatus('connecting');
-                        if (!this.webrtc.peerConnection) {
-                            await this.webrtc.createPeerConnection();
-                        }
-                        const answer = await this.webrtc.createAnswer(data.sdp);
-                        await this.signaling.sendAnswer(answer);
-                        break;
-                    
                     case 'answer':
-                        this.updateConnectionStatus('connecting');
-                        await this.webrtc.handleAnswer(data.sdp);
+                        // The mesh routes by sender and opens a connection for a new member's offer
+                        if (this.webrtc.getConnectedPeerCount() === 0) {
+                            this.updateConnectionStatus('connecting');
+                        }
+                        await this.webrtc.handleRemoteDescription(data.sdp, data);
                         break;
                     
                     case 'candidate':
-                        await this.webrtc.addIceCandidate(data);
+                        await this.webrtc.addIceCandidate(data.candidate, data);
                         break;
                     
                     case 'call_request':
-                        console.log('📞 Incoming call from:', data.senderAlias);
-                        this.showIncomingCallNotification(data.senderAlias);
-                        break;
-                    
                     case 'call_declined':
-                        console.log('📵 Call declined');
-                        this.hideCallNotification();
+                        await this.handleCallSignal({ ...data, type }, data.sender);
                         break;
                 }
             } catch (error) {
-                if (type === 'offer' || type === 'answer') {
+                console.error(`❌ Failed to apply ${type} from ${data.sender}:`, error);
+                if ((type === 'offer' || type === 'answer') && this.webrtc.getConnectedPeerCount() === 0) {
                     this.updateConnectionStatus('failed');
                     setTimeout(() => {
                         this.updateConnectionStatus('ready');
@@ -198,6 +514,133 @@ class EnhancedSecureMessenger {
         };
     }
 
+    /**
+     * Joins and leaves, pushed live by signaling presence
+     */
+    async handleRosterChange(participants, { joined, left }) {
+        await this.resolveParticipantAliases(participants);
+        // Left the room while aliases were being decrypted
+        if (!this.signaling.roster) return;
+
+        for (const sessionId of joined) {
+            if (sessionId === this.sessionId) continue;
+            this.announceInBothTabs(`${this.participantAliases.get(sessionId)} joined`);
+        }
+        for (const sessionId of left) {
+            if (sessionId === this.sessionId) continue;
+            this.announceInBothTabs(`${this.participantAliases.get(sessionId)} left`);
+        }
+
+        this.syncMesh();
+        this.renderRoster();
+
+        if (joined.length > 0 || left.length > 0) {
+            this.updateOnlineMessageStatus();
+        }
+    }
+
+    /**
+     * Decrypt aliases of participants we haven't seen yet
+     */
+    async resolveParticipantAliases(participants) {
+        for (const [sessionId, data] of Object.entries(participants)) {
+            if (this.participantAliases.has(sessionId)) continue;
+
+            const alias = sessionId === this.sessionId ? this.userAlias : await this.signaling.openAlias(sessionId, data);
+            this.participantAliases.set(sessionId, alias || 'unknown');
+        }
+    }
+
+    announceInBothTabs(text) {
+        this.displaySystemMessage(text, this.elements.messages);
+        this.displaySystemMessage(text, this.elements.onlineMessagesList);
+    }
+
+    /**
+     * Rebuild the roster sidebar from the live participant list
+     */
+    renderRoster() {
+        const participants = this.signaling.roster || {};
+
+        const entries = Object.entries(participants)
+            .filter(([sessionId]) => this.participantAliases.has(sessionId))
+            .map(([sessionId, data]) => ({
+                sessionId,
+                alias: this.participantAliases.get(sessionId),
+                connection: this.getParticipantConnection(sessionId, data),
+                lastSeen: data.left || data.lastSeen || null,
+                verification: this.peerVerifications.get(sessionId),
+                isSelf: sessionId === this.sessionId
+            }));
+
+        this.rosterPanel.render(entries, this.roomCapacity);
+    }
+
+    /**
+     * Keep one connection per active member. Both sides connect when someone
+     * joins; perfect negotiation settles whose offer wins. A member whose presence
+     * dropped keeps their connection while its data channel is still open.
+     */
+    syncMesh() {
+        const participants = this.signaling.roster;
+        if (!participants || this.manualSignaling) return;
+
+        for (const [sessionId, data] of Object.entries(participants)) {
+            if (sessionId === this.sessionId || !this.signaling.isParticipantActive(data)) continue;
+            if (!this.webrtc.getPeer(sessionId)) {
+                console.log('🕸️ Connecting to member:', sessionId);
+                this.webrtc.createPeerConnection(sessionId)
+                    .catch(error => console.error('❌ Failed to connect to member:', error));
+            }
+        }
+
+        for (const sessionId of Array.from(this.webrtc.peers.keys())) {
+            if (!this.signaling.isParticipantActive(participants[sessionId]) && !this.webrtc.isPeerOpen(sessionId)) {
+                this.removeMember(sessionId);
+            }
+        }
+    }
+
+    removeMember(sessionId) {
+        this.webrtc.removePeer(sessionId);
+        this.connectionPaths.delete(sessionId);
+        this.removeRemoteVideo(sessionId);
+        this.updateVerificationBadge();
+
+        // Everyone still here gets a new sender key the departed member never saw
+        if (this.senderKeys) {
+            this.senderKeys.handlePeerLeft(sessionId)
+                .catch(error => console.error('❌ Failed to re-issue sender key:', error));
+        }
+    }
+
+    /**
+     * p2p or relayed for members on a data channel of ours, signaling for anyone
+     * else who is present, offline for those who left
+     */
+    getParticipantConnection(sessionId, data) {
+        if (!this.signaling.isParticipantActive(data)) return 'offline';
+
+        const connected = this.webrtc.getPeer(sessionId)?.peerConnection?.connectionState === 'connected';
+        if (connected) {
+            return this.connectionPaths.get(sessionId) === 'relay' ? 'relayed' : 'p2p';
+        }
+        return 'signaling';
+    }
+
+    async updateConnectionPath(sessionId) {
+        try {
+            const path = await this.webrtc.getPeer(sessionId)?.getConnectionPath();
+            if (path) {
+                this.connectionPaths.set(sessionId, path);
+            }
+        } catch (error) {
+            console.warn('⚠️ Could not read connection path:', error);
+            this.connectionPaths.delete(sessionId);
+        }
+        this.renderRoster();
+    }
+
     /**
      * Initialize the application
      */
@@ -205,7 +648,7 @@ class EnhancedSecureMessenger {
         try {
             console.log('🚀 Initializing Enhanced Secure Messenger...');
             
-            // Try initializing Firebase with retries
+            // Try connecting the signaling transport with retries
             let retries = 3;
             let initialized = false;
             
@@ -213,10 +656,10 @@ class EnhancedSecureMessenger {
                 try {
                     await this.signaling.initialize();
                     initialized = true;
-                    console.log('✅ Firebase initialized successfully');
+                    console.log('✅ Signaling initialized successfully');
                 } catch (error) {
                     retries--;
-                    console.warn(`⚠️ Firebase initialization failed, retries left: ${retries}`);
+                    console.warn(`⚠️ Signaling initialization failed, retries left: ${retries}`);
                     if (retries > 0) {
                         await new Promise(resolve => setTimeout(resolve, 2000));
                     } else {
@@ -232,8 +675,8 @@ class EnhancedSecureMessenger {
             this.updateConnectionStatus('error');
             
             // Provide more helpful error message
-            const errorMsg = error.message.includes('Firebase') 
-                ? 'Unable to connect to Firebase. Please check your internet connection and try refreshing the page.'
+            const errorMsg = error.message.includes('Signaling') 
+                ? 'Unable to connect to the signaling server. Please check your internet connection and try refreshing the page - or connect with codes, which needs no server.'
                 : 'Failed to initialize. Please refresh the page and try again.';
             
             alert(errorMsg);
@@ -257,6 +700,7 @@ class EnhancedSecureMessenger {
             
             // Reset message manager
             if (this.messageManager) {
+                this.messageManager.close();
                 this.messageManager = null;
             }
             
@@ -264,6 +708,11 @@ class EnhancedSecureMessenger {
             if (this.webrtcSecrets) {
                 this.webrtcSecrets = null;
             }
+
+            if (this.senderKeys) {
+                this.senderKeys.destroy();
+                this.senderKeys = null;
+            }
         } else {
             console.log('🆕 First connection - minimal cleanup');
         }
@@ -278,32 +727,130 @@ class EnhancedSecureMessenger {
         this.isInRoom = false;
         this.roomId = null;
         this.sessionId = null;
+        this.manualSignaling = null;
+        this.manualRole = null;
         
         console.log('✅ State cleaned for fresh connection');
     }
 
     /**
-     * Join room with password and alias
+     * Live strength meter for the room key input
      */
-    async joinRoom() {
+    updatePasswordStrength() {
         const password = this.elements.roomPassword.value.trim();
+        const bar = this.elements.passwordStrengthBar;
+        const text = this.elements.passwordStrengthText;
+
         if (!password) {
-            alert('Please enter a room key');
+            bar.style.width = '0%';
+            text.textContent = 'no key';
             return;
         }
 
+        const strength = this.passphrase.evaluate(password);
+        const colors = {
+            'very weak': 'bg-red-500',
+            'weak': 'bg-orange-500',
+            'fair': 'bg-yellow-500',
+            'strong': 'bg-green-500',
+            'very strong': 'bg-green-400'
+        };
+
+        bar.className = `h-full transition-all ${colors[strength.label]}`;
+        bar.style.width = `${Math.max(5, Math.min(100, strength.bits / 80 * 100))}%`;
+        text.textContent = `${strength.label} · ~${strength.bits} bits`;
+        text.className = `w-32 text-right ${strength.acceptable ? 'text-gray-400' : 'text-red-400'}`;
+    }
+
+    generatePassphrase() {
+        this.elements.roomPassword.value = this.passphrase.generate();
+        this.elements.roomPassword.type = 'text'; // Visible so it can be read out or written down
+        this.updatePasswordStrength();
+    }
+
+    async copyPassphrase() {
+        const password = this.elements.roomPassword.value.trim();
+        if (!password) return;
+
+        try {
+            await navigator.clipboard.writeText(password);
+            this.elements.copyPassphrase.textContent = 'copied';
+            setTimeout(() => {
+                this.elements.copyPassphrase.textContent = 'copy';
+            }, 1500);
+        } catch (error) {
+            console.error('❌ Failed to copy room key:', error);
+            alert('Could not copy to clipboard');
+        }
+    }
+
+    async sharePassphrase() {
+        const password = this.elements.roomPassword.value.trim();
+        if (!password || !navigator.share) return;
+
+        try {
+            await navigator.share({ title: 'p2p-chat room key', text: password });
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                console.error('❌ Failed to share room key:', error);
+            }
+        }
+    }
+
+    /**
+     * Validate room key and alias inputs; alerts and returns null when invalid
+     */
+    readRoomForm() {
+        const password = this.elements.roomPassword.value.trim();
+        if (!password) {
+            alert('Please enter a room key');
+            return null;
+        }
+
+        const strength = this.passphrase.evaluate(password);
+        if (!strength.acceptable) {
+            alert(`Room key is too easy to guess (${strength.label}, ~${strength.bits} bits). Use at least ${strength.minEntropyBits} bits - the generate button makes a strong passphrase.`);
+            return null;
+        }
+
         // Get alias from input field
         const alias = this.elements.userAlias.value.trim();
         if (!alias) {
             alert('Please enter an alias');
-            return;
+            return null;
         }
         
         if (alias.length > 20) {
             alert('Alias must be 20 characters or less');
-            return;
+            return null;
+        }
+
+        return { password, alias, capacity: Number(this.elements.roomCapacity.value) || roomConfig.defaultCapacity };
+    }
+
+    /**
+     * Capacity choices for a new room; members joining later get whatever the creator picked
+     */
+    populateCapacityOptions() {
+        const options = [];
+        for (let capacity = 2; capacity <= roomConfig.maxCapacity; capacity++) {
+            const option = document.createElement('option');
+            option.value = capacity;
+            option.textContent = `${capacity} participants`;
+            option.selected = capacity === roomConfig.defaultCapacity;
+            options.push(option);
         }
+        this.elements.roomCapacity.replaceChildren(...options);
+    }
+
+    /**
+     * Join room with password and alias
+     */
+    async joinRoom() {
+        const form = this.readRoomForm();
+        if (!form) return;
 
+        const { password, alias, capacity } = form;
         this.userAlias = alias;
         console.log('👤 User alias set to:', this.userAlias);
 
@@ -312,7 +859,7 @@ class EnhancedSecureMessenger {
             this.updateConnectionStatus('connecting');
 
             // Validate that Firebase is initialized (skip for now to debug)
-            console.log(`🔍 Firebase connection status: ${this.signaling.isConnected}`);
+            console.log(`🔍 Signaling connection status: ${this.signaling.isConnected}`);
             // if (!this.signaling.isConnected) {
             //     throw new Error('Firebase not initialized. Please refresh the page.');
             // }
@@ -322,7 +869,10 @@ class EnhancedSecureMessenger {
 
             // Initialize crypto with password
             this.roomId = await this.crypto.initialize(password);
+            this.roomId = await this.migrateToLegacyRoomIfNeeded(password);
             this.sessionId = this.crypto.getSessionId();
+            this.webrtc.setSessionId(this.sessionId);
+            this.webrtc.certificate = this.crypto.dtlsCertificate;
 
             console.log('🏠 Room ID:', this.roomId);
             console.log('👤 Session ID:', this.sessionId);
@@ -332,7 +882,8 @@ class EnhancedSecureMessenger {
             
             // Don't clean up signaling data - we need to receive offers from other peers
             console.log(roomExists ? '🏠 Room exists - preserving signaling data' : '🆕 New room');
-            // Determine initiator status based on room state
+            // Determine initiator status based on room state - it only decides who writes the
+            // room metadata; WebRTC offers come from whoever needs one (see WebRTCManager.negotiate)
             let isInitiator = !roomExists;
             
             if (roomExists) {
@@ -349,52 +900,22 @@ class EnhancedSecureMessenger {
 
             console.log(isInitiator ? '👑 Creating/restarting room' : '🚪 Joining active room');
 
+            await this.restoreHistory();
+
             // Join room in signaling with alias
             console.log('📡 Starting signaling setup...');
-            await this.signaling.joinRoom(this.roomId, this.sessionId, isInitiator, this.userAlias);
-            console.log('✅ Signaling setup complete');
-
-            // Initialize message manager (for live chat with Firebase fallback)
-            this.messageManager = new MessageManager(this.signaling, this.webrtc, this.crypto);
-            this.messageManager.onMessageReceived = (message) => this.displayMessage(message);
-            this.messageManager.initialize();
+            const keyBundle = await this.crypto.createKeyExchangeBundle();
+            await this.signaling.joinRoom(this.roomId, this.sessionId, isInitiator, this.userAlias, keyBundle, capacity);
+            this.roomCapacity = await this.signaling.getRoomCapacity(this.roomId);
+            console.log(`✅ Signaling setup complete (room of ${this.roomCapacity})`);
 
-            // Initialize WebRTC online chat (for P2P-only direct messages)
-            this.webrtcSecrets = new WebRTCSecrets(this.webrtc, this.crypto, this.signaling);
-            this.webrtcSecrets.onSecretReceived = (secret) => this.displayOnlineMessage(secret.text, secret.timestamp, false, secret.ephemeral, secret.senderAlias);
-            this.webrtcSecrets.initialize();
+            this.createMessagingServices();
 
-            // Set up WebRTC with error handling
-            try {
-                await this.webrtc.createPeerConnection();
-                console.log('✅ WebRTC peer connection created');
-            } catch (error) {
-                console.error('❌ Failed to create WebRTC connection:', error);
-                console.log('🔄 Continuing without WebRTC - you can still use Firebase chat');
-            }
+            // No connection is opened here: syncMesh connects to every active member
+            // as the roster comes in, and perfect negotiation sorts out simultaneous offers
+            this.syncMesh();
 
-            if (isInitiator && this.webrtc.peerConnection) {
-                // Create offer if we're the first one
-                console.log('🚀 Creating WebRTC offer as initiator...');
-                try {
-                    const offer = await this.webrtc.createOffer();
-                    await this.signaling.sendOffer(offer);
-                    console.log('📤 WebRTC offer sent to Firebase');
-                    
-                    // Set connection timeout with more detailed logging
-                    setTimeout(() => {
-                        if (this.webrtc.peerConnection?.iceConnectionState !== 'connected' && 
-                            this.webrtc.peerConnection?.iceConnectionState !== 'completed') {
-                            console.warn('⏰ WebRTC P2P connection timeout');
-                            console.log('💡 Direct messaging may not work, but Firebase chat is available');
-                        }
-                    }, 20000);
-                    
-                } catch (error) {
-                    console.error('❌ Failed to create/send offer:', error);
-                    console.log('🔄 WebRTC failed, but Firebase chat is still available');
-                }
-            } else if (!isInitiator) {
+            if (!isInitiator) {
                 // Load offline messages if joining existing room
                 console.log('🔗 Joining existing room as responder...');
                 try {
@@ -427,9 +948,9 @@ class EnhancedSecureMessenger {
             // Provide more specific error messages
             let errorMessage = 'Failed to join room';
             if (error.message.includes('Room is full')) {
-                errorMessage = 'Room is full (maximum 3 participants). Please try a different room.';
+                errorMessage = `${error.message}. Please try a different room.`;
             } else
-            if (error.message.includes('Firebase')) {
+            if (error.message.includes('Signaling')) {
                 errorMessage = 'Connection failed. Please check your internet and try again.';
             } else if (error.message.includes('timeout')) {
                 errorMessage = 'Connection timed out. Please try again with a stable connection.';
@@ -449,6 +970,210 @@ class EnhancedSecureMessenger {
         }
     }
 
+    /**
+     * Message manager (live chat with mailbox fallback) and P2P-only direct messages
+     */
+    createMessagingServices() {
+        // Sender keys carry the DataChannel copy of chat messages
+        this.senderKeys = new SenderKeyManager(this.webrtc, this.crypto);
+        this.senderKeys.initialize();
+
+        this.messageManager = new MessageManager(this.signaling, this.webrtc, this.crypto, this.senderKeys);
+        this.messageManager.alias = this.userAlias;
+        this.messageManager.onMessageReceived = (message) => this.displayMessage(message);
+        this.messageManager.onMessageRejected = (rejection) => this.displayRejectedMessage(rejection, this.elements.messages);
+        this.messageManager.onDeliveryUpdate = (messageId, status) => this.updateDeliveryStatus(messageId, status);
+        this.messageManager.sendReadReceipts = this.elements.sendReadReceipts.checked;
+        this.messageManager.initialize();
+
+        this.webrtcSecrets = new WebRTCSecrets(this.webrtc, this.crypto, this.signaling);
+        this.webrtcSecrets.onSecretReceived = (secret) => this.displayOnlineMessage(secret.text, secret.timestamp, false, secret.ephemeral, secret.senderAlias);
+        this.webrtcSecrets.onSecretRejected = (rejection) => this.displayRejectedMessage(rejection, this.elements.onlineMessagesList);
+        this.webrtcSecrets.initialize();
+    }
+
+    /**
+     * Start a room without any signaling server - the peer connection is set up
+     * through connection codes instead (see ManualSignaling)
+     */
+    async startManualSession(role) {
+        const form = this.readRoomForm();
+        if (!form) return false;
+
+        await this.ensureCleanState();
+
+        this.userAlias = form.alias;
+        this.roomId = await this.crypto.initialize(form.password);
+        this.sessionId = this.crypto.getSessionId();
+        this.webrtc.setSessionId(this.sessionId);
+        this.webrtc.certificate = this.crypto.dtlsCertificate;
+        await this.restoreHistory();
+
+        // Codes connect exactly one other member; ManualSignaling opens that connection
+        this.manualSignaling = new ManualSignaling(this.webrtc, this.crypto);
+        this.manualRole = role;
+        this.createMessagingServices();
+
+        this.showRoomInterface();
+        this.isInRoom = true;
+        console.log(`📋 Manual session started as ${role}`);
+        return true;
+    }
+
+    /**
+     * Initiator: show the offer code
+     */
+    async createManualOffer() {
+        try {
+            if (!await this.startManualSession('initiator')) return;
+
+            this.setManualStatus('Gathering network candidates...');
+            const code = await this.manualSignaling.createOfferCode(this.userAlias);
+            this.showManualCode(code);
+            this.setManualStatus('Show this code to your peer, then paste or scan their answer code below.');
+        } catch (error) {
+            console.error('❌ Failed to create connection code:', error);
+            this.setManualStatus(`Could not create code: ${error.message}`);
+        }
+    }
+
+    /**
+     * Joiner pastes an offer (and gets an answer code back), initiator pastes the answer
+     */
+    async applyManualCode() {
+        const code = this.elements.manualCodeInput.value.trim();
+        if (!code) {
+            alert('Paste a connection code first');
+            return;
+        }
+
+        try {
+            if (this.manualRole === 'initiator') {
+                await this.manualSignaling.acceptAnswerCode(code);
+                this.setManualStatus('Connecting...');
+                return;
+            }
+
+            if (!await this.startManualSession('joiner')) return;
+
+            this.setManualStatus('Gathering network candidates...');
+            const answer = await this.manualSignaling.createAnswerCode(code, this.userAlias);
+            this.showManualCode(answer);
+            this.setManualStatus('Show this answer code to your peer. The chat connects once they use it.');
+        } catch (error) {
+            console.error('❌ Failed to use connection code:', error);
+            this.setManualStatus(error.message);
+        }
+    }
+
+    showManualCode(code) {
+        this.elements.manualCodeText.value = code;
+        this.elements.manualCodeInput.value = '';
+        this.elements.manualCodeOutput.classList.remove('hidden');
+
+        try {
+            QRCode.fromText(code).drawToCanvas(this.elements.manualQrCanvas, 3);
+        } catch (error) {
+            // Very large codes exceed QR capacity - copy-paste still works
+            console.warn('⚠️ Could not render QR code:', error.message);
+            this.elements.manualQrCanvas.classList.add('hidden');
+        }
+    }
+
+    async copyManualCode() {
+        try {
+            await navigator.clipboard.writeText(this.elements.manualCodeText.value);
+            this.elements.copyManualCode.textContent = 'copied';
+            setTimeout(() => {
+                this.elements.copyManualCode.textContent = 'copy code';
+            }, 1500);
+        } catch (error) {
+            console.warn('⚠️ Clipboard unavailable:', error);
+            this.elements.manualCodeText.select();
+        }
+    }
+
+    /**
+     * Read a code from the camera (browsers with BarcodeDetector)
+     */
+    async scanManualCode() {
+        if (this.scanStream) {
+            this.stopManualScan();
+            return;
+        }
+
+        try {
+            const detector = new BarcodeDetector({ formats: ['qr_code'] });
+            this.scanStream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+
+            const video = this.elements.manualScanVideo;
+            video.srcObject = this.scanStream;
+            video.classList.remove('hidden');
+            await video.play();
+            this.elements.scanManualCode.textContent = 'stop scan';
+
+            while (this.scanStream) {
+                const [barcode] = await detector.detect(video);
+                if (barcode?.rawValue) {
+                    this.elements.manualCodeInput.value = barcode.rawValue;
+                    this.stopManualScan();
+                    await this.applyManualCode();
+                    return;
+                }
+                await new Promise(resolve => setTimeout(resolve, 250));
+            }
+        } catch (error) {
+            console.error('❌ QR scan failed:', error);
+            this.stopManualScan();
+            this.setManualStatus('Camera scan unavailable - paste the code instead.');
+        }
+    }
+
+    stopManualScan() {
+        this.scanStream?.getTracks().forEach(track => track.stop());
+        this.scanStream = null;
+        this.elements.manualScanVideo.srcObject = null;
+        this.elements.manualScanVideo.classList.add('hidden');
+        this.elements.scanManualCode.textContent = 'scan code';
+    }
+
+    setManualStatus(text) {
+        this.elements.manualStatus.textContent = text;
+    }
+
+    hideManualPanel() {
+        this.stopManualScan();
+        this.elements.manualPanel.classList.add('hidden');
+        this.elements.manualCodeOutput.classList.add('hidden');
+        this.elements.manualQrCanvas.classList.remove('hidden');
+        this.elements.manualCodeText.value = '';
+        this.elements.manualCodeInput.value = '';
+    }
+
+    /**
+     * Fall back to the legacy v1 room when nobody is in the v2 room
+     * but an older client is already waiting under the v1 room ID
+     */
+    async migrateToLegacyRoomIfNeeded(password) {
+        if (!roomConfig.allowLegacyRooms || this.crypto.getRoomScheme() === 1) {
+            return this.roomId;
+        }
+
+        const currentCheck = await this.signaling.checkActiveParticipants(this.roomId);
+        if (currentCheck.hasActive) {
+            return this.roomId;
+        }
+
+        const legacyRoomId = await this.crypto.generateRoomIdFromPassword(password);
+        const legacyCheck = await this.signaling.checkActiveParticipants(legacyRoomId);
+        if (!legacyCheck.hasActive) {
+            return this.roomId;
+        }
+
+        console.warn('⚠️ Found active legacy v1 room - joining with legacy key derivation');
+        return this.crypto.initialize(password, 1);
+    }
+
     /**
      * Send message (works immediately, even if peer not connected)
      */
@@ -462,11 +1187,12 @@ class EnhancedSecureMessenger {
         if (!message) return;
 
         try {
-            const success = await this.messageManager.sendMessage(message);
+            const messageId = await this.messageManager.sendMessage(message);
             
-            if (success) {
+            if (messageId) {
                 // Display immediately in UI with user's alias
                 this.displayMessage({
+                    id: messageId,
                     text: message,
                     timestamp: Date.now(),
                     sender: 'local',
@@ -530,6 +1256,11 @@ class EnhancedSecureMessenger {
      * Display message in UI with smooth scrolling and sender alias
      */
     displayMessage(message) {
+        // History and the mailbox can both hold a message we are rejoining to
+        if (message.id && this.elements.messages.querySelector(`[data-message-id="${CSS.escape(message.id)}"]`)) {
+            return;
+        }
+
         // Hide placeholder messages when first real message arrives
         const messagesContainer = this.elements.messages.querySelector('.space-y-2');
         if (messagesContainer && !messagesContainer.classList.contains('has-real-messages')) {
@@ -539,6 +1270,9 @@ class EnhancedSecureMessenger {
         
         const messageElement = document.createElement('div');
         messageElement.className = `message ${message.sender}`;
+        if (message.id) {
+            messageElement.dataset.messageId = message.id;
+        }
         
         const time = new Date(message.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
         const sourceLabel = message.source ? ` (${message.source})` : '';
@@ -551,20 +1285,85 @@ class EnhancedSecureMessenger {
             senderLabel = `<div class="message-sender">you</div>`;
         }
         
+        // Flag messages whose sender could not be proven by signature
+        let signatureWarning = '';
+        if (message.imported) {
+            signatureWarning = `<div class="message-warning">⚠ imported, signed by ${this.escapeHtml(message.imported)}</div>`;
+        } else if (message.sender === 'remote' && message.signatureStatus && message.signatureStatus !== 'valid') {
+            signatureWarning = `<div class="message-warning">⚠ unverified sender</div>`;
+        }
+        
         messageElement.innerHTML = `
             <div class="message-wrapper">
                 ${senderLabel}
                 <div class="message-content">${this.escapeHtml(message.text)}</div>
-                <div class="message-time">${time}${sourceLabel}</div>
+                ${signatureWarning}
+                <div class="message-time">${time}${sourceLabel}${message.sender === 'local' ? ' <span class="message-ticks"></span>' : ''}</div>
+                ${message.sender === 'local' ? '<div class="message-delivery"></div>' : ''}
             </div>
         `;
         
         this.elements.messages.appendChild(messageElement);
+        if (message.sender === 'local' && message.id) {
+            const status = this.messageManager?.getDeliveryStatus(message.id);
+            if (status) this.updateDeliveryStatus(message.id, status);
+        } else if (message.sender === 'remote' && message.id && !message.restored) {
+            this.unreadMessages.push({ id: message.id, senderId: message.senderId });
+            this.flushReadReceipts();
+        }
+
+        if (message.id && !message.restored && this.history) {
+            this.history.save({
+                id: message.id,
+                channel: 'store',
+                text: message.text,
+                timestamp: message.timestamp,
+                sender: message.sender,
+                senderAlias: message.senderAlias,
+                senderId: message.senderId || null,
+                source: message.source || null,
+                signatureStatus: message.signatureStatus || null
+            });
+        }
         requestAnimationFrame(() => {
             this.scrollToBottom(this.elements.messages);
         });
     }
 
+    /**
+     * Show which members have picked up one of our messages
+     */
+    async updateDeliveryStatus(messageId, { state, delivered, read, pending }) {
+        const messageElement = this.elements.messages.querySelector(`[data-message-id="${CSS.escape(messageId)}"]`);
+        if (!messageElement) return;
+
+        const ticks = messageElement.querySelector('.message-ticks');
+        ticks.textContent = DELIVERY_TICKS[state];
+        ticks.title = state;
+        ticks.classList.toggle('read', state === 'read');
+
+        const names = async (sessionIds) => (await Promise.all(sessionIds.map(sessionId => this.getRemoteAlias(sessionId)))).join(', ');
+        const unread = delivered.filter(sessionId => !read.includes(sessionId));
+        const parts = [];
+        if (read.length > 0) parts.push(`read by ${await names(read)}`);
+        if (unread.length > 0) parts.push(`received by ${await names(unread)}`);
+        if (pending.length > 0) parts.push(`waiting for ${await names(pending)}`);
+        messageElement.querySelector('.message-delivery').textContent = parts.join(' · ');
+    }
+
+    /**
+     * Send read receipts for messages the user can actually see: the page is
+     * visible and the store tab is open
+     */
+    flushReadReceipts() {
+        if (!this.messageManager || this.unreadMessages.length === 0) return;
+        if (document.visibilityState !== 'visible' || this.elements.offlineSection.classList.contains('hidden')) return;
+
+        const messages = this.unreadMessages;
+        this.unreadMessages = [];
+        this.messageManager.markAsRead(messages).catch(error => console.error('❌ Failed to send read receipts:', error));
+    }
+
     /**
      * Display online message with WebRTC indicators and smooth scrolling
      */
@@ -624,6 +1423,184 @@ class EnhancedSecureMessenger {
 
 
 
+    /**
+     * Open this room's local history and put it back on screen
+     */
+    async restoreHistory() {
+        this.history = new MessageHistory(this.crypto, this.roomId);
+        this.elements.historyRetention.value = this.history.retention;
+
+        try {
+            const entries = await this.history.load();
+            for (const entry of entries) {
+                this.displayMessage({ ...entry, restored: true });
+            }
+
+            if (entries.length > 0) {
+                console.log(`📚 Restored ${entries.length} messages from local history`);
+            }
+        } catch (error) {
+            console.error('❌ Failed to load local history:', error);
+        }
+    }
+
+    async changeHistoryRetention() {
+        if (!this.history) return;
+
+        const retention = this.elements.historyRetention.value;
+        if (retention === 'off' && !confirm('Turn off history and delete the messages saved for this room?')) {
+            this.elements.historyRetention.value = this.history.retention;
+            return;
+        }
+
+        try {
+            await this.history.setRetention(retention);
+            console.log('📚 History retention set to', retention);
+        } catch (error) {
+            console.error('❌ Failed to change history retention:', error);
+        }
+    }
+
+    async wipeHistory() {
+        if (!this.history || !confirm('Delete all messages saved on this device for this room?')) return;
+
+        try {
+            await this.history.wipe();
+        } catch (error) {
+            console.error('❌ Failed to wipe history:', error);
+            alert('Failed to wipe history');
+        }
+    }
+
+    /**
+     * Download this room's saved history in the chosen format
+     */
+    async exportTranscript() {
+        if (!this.history?.isEnabled()) {
+            alert('Turn on history on this device first - only saved messages can be exported');
+            return;
+        }
+
+        try {
+            const entries = (await this.history.load()).map(entry => this.transcript.normalizeEntry(entry));
+            const details = { roomId: this.roomId, alias: this.userAlias, entries };
+            const date = new Date().toISOString().slice(0, 10);
+            const format = this.elements.transcriptFormat.value;
+
+            if (format === 'markdown') {
+                this.downloadFile(`transcript-${date}.md`, this.transcript.toMarkdown(details), 'text/markdown');
+            } else if (format === 'html') {
+                this.downloadFile(`transcript-${date}.html`, this.transcript.toHtml(details), 'text/html');
+            } else {
+                const password = prompt('Password for the exported transcript');
+                if (!password) return;
+
+                const strength = this.passphrase.evaluate(password);
+                if (!strength.acceptable) {
+                    alert(`That password is too weak (~${strength.bits} bits, need ${strength.minEntropyBits}). Try a generated passphrase.`);
+                    return;
+                }
+                if (prompt('Repeat the password') !== password) {
+                    alert('Passwords do not match');
+                    return;
+                }
+
+                const bundle = await this.transcript.exportBundle(details, password);
+                this.downloadFile(`transcript-${date}.json`, bundle, 'application/json');
+
+                const fingerprint = await this.verifier.identityFingerprint(this.crypto.getIdentityPublicKey());
+                alert(`Transcript signed with your key fingerprint:\n${fingerprint}\n\nWhoever imports it can compare this to tell it came from you.`);
+            }
+
+            console.log(`📤 Exported ${entries.length} messages as ${format}`);
+        } catch (error) {
+            console.error('❌ Failed to export transcript:', error);
+            alert('Failed to export transcript');
+        }
+    }
+
+    /**
+     * Merge an exported bundle into this room's history, skipping messages we already have
+     */
+    async importTranscript(file) {
+        if (!this.history?.isEnabled()) {
+            alert('Turn on history on this device first - imported messages are kept there');
+            return;
+        }
+
+        const password = prompt('Password of the transcript');
+        if (!password) return;
+
+        try {
+            const transcript = await this.transcript.importBundle(await file.text(), password);
+
+            // Anyone can sign a bundle and name any alias in it - only the key tells who it was
+            const fingerprint = await this.verifier.identityFingerprint(transcript.signer);
+            let signer;
+            if (transcript.ownKey) {
+                signer = `Signed by this device (${fingerprint})`;
+            } else if (await this.verifier.isVerified(transcript.signer)) {
+                signer = `Signed by verified contact ${transcript.exportedBy} (${fingerprint})`;
+            } else {
+                signer = `Signed by an unverified key (${fingerprint}) that claims to be ${transcript.exportedBy}`;
+                if (!confirm(`${signer}. Compare this fingerprint with the sender before trusting it. Import anyway?`)) {
+                    return;
+                }
+            }
+
+            if (transcript.roomId !== this.roomId
+                && !confirm(`This transcript was exported from another room by ${transcript.exportedBy}. Import it into this room anyway?`)) {
+                return;
+            }
+
+            const added = await this.history.merge(this.transcript.toImportedEntries(transcript, fingerprint));
+            for (const entry of added) {
+                this.displayMessage({ ...entry, restored: true });
+            }
+
+            const skipped = transcript.messages.length - added.length;
+            alert(`Imported ${added.length} messages${skipped ? `, ${skipped} already saved or outside the retention period` : ''}.\n\n${signer}`);
+            console.log(`📥 Imported ${added.length} of ${transcript.messages.length} transcript messages`);
+        } catch (error) {
+            console.error('❌ Failed to import transcript:', error);
+            alert(`Failed to import transcript: ${error.message}`);
+        }
+    }
+
+    downloadFile(name, content, type) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = name;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    /**
+     * Show a system line in a message list (joins, leaves, warnings)
+     */
+    displaySystemMessage(text, container, isWarning = false) {
+        if (!container) return;
+
+        const element = document.createElement('div');
+        element.className = `system-message${isWarning ? ' warning' : ''}`;
+        element.textContent = text;
+
+        container.appendChild(element);
+        requestAnimationFrame(() => {
+            this.scrollToBottom(container);
+        });
+    }
+
+    /**
+     * Tell the user a message was dropped because its signature didn't match the claimed sender
+     */
+    async displayRejectedMessage(rejection, container) {
+        const aliases = await this.signaling.getParticipantAliases();
+        const claimed = aliases[rejection.claimedSender] || 'unknown participant';
+        this.displaySystemMessage(`⚠ rejected a forged message claiming to be from ${claimed}`, container, true);
+    }
+
     /**
      * Update online message status based on WebRTC connection
      */
@@ -715,6 +1692,7 @@ class EnhancedSecureMessenger {
         this.elements.onlineSection.classList.add('hidden');
         
         console.log('📁 Switched to store tab');
+        this.flushReadReceipts();
     }
 
     /**
@@ -770,7 +1748,8 @@ class EnhancedSecureMessenger {
             console.log('🎨 Updating UI to show room interface...');
             
             if (this.elements.currentRoomId) {
-                this.elements.currentRoomId.textContent = this.roomId;
+                const legacyLabel = this.crypto.getRoomScheme() === 1 ? ' (legacy)' : '';
+                this.elements.currentRoomId.textContent = `${this.roomId}${legacyLabel}`;
                 console.log('✅ Room ID displayed');
             }
             
@@ -786,11 +1765,13 @@ class EnhancedSecureMessenger {
             
             if (this.elements.userAlias) {
                 this.elements.userAlias.style.display = 'none';
+                this.elements.roomCapacityRow.style.display = 'none';
                 console.log('✅ Alias input hidden');
             }
             
             if (this.elements.joinRoom) {
                 this.elements.joinRoom.style.display = 'none';
+                this.elements.toggleManualConnect.style.display = 'none';
                 console.log('✅ Join button hidden');
             }
             
@@ -828,8 +1809,14 @@ class EnhancedSecureMessenger {
     async leaveRoom() {
         try {
             if (this.messageManager) {
+                this.messageManager.close();
                 this.messageManager = null;
             }
+
+            if (this.senderKeys) {
+                this.senderKeys.destroy();
+                this.senderKeys = null;
+            }
             
             await this.signaling.leaveRoom();
             this.crypto.destroy();
@@ -842,7 +1829,10 @@ class EnhancedSecureMessenger {
             this.elements.videoContainer.style.display = 'none';
             this.elements.roomPassword.style.display = 'block';
             this.elements.userAlias.style.display = 'block';
+            this.elements.roomCapacityRow.style.display = '';
             this.elements.joinRoom.style.display = 'block';
+            this.elements.toggleManualConnect.style.display = 'block';
+            this.hideManualPanel();
             this.elements.roomPassword.value = '';
             this.elements.userAlias.value = '';
             this.elements.messages.innerHTML = '';
@@ -851,6 +1841,19 @@ class EnhancedSecureMessenger {
             this.isInRoom = false;
             this.roomId = null;
             this.sessionId = null;
+            this.manualSignaling = null;
+            this.manualRole = null;
+            this.roomCapacity = null;
+            this.incomingCallFrom = null;
+            this.unreadMessages = [];
+            this.history = null;
+            this.elements.historyRetention.value = 'off';
+            this.participantAliases.clear();
+            this.peerVerifications.clear();
+            this.updateVerificationBadge();
+            this.connectionPaths.clear();
+            this.clearRemoteVideos();
+            this.rosterPanel.clear();
             
             this.updateConnectionStatus('ready');
             
@@ -870,14 +1873,16 @@ class EnhancedSecureMessenger {
             if (this.messageManager) {
                 await this.messageManager.cleanupExpiredMessages();
             }
+            if (this.history) {
+                await this.history.prune().catch(error => console.warn('⚠️ History prune failed:', error));
+            }
         }, 5 * 60 * 1000);
 
-        // Update activity every 30 seconds
-        setInterval(async () => {
+        // Refresh online message status and last-seen times every 30 seconds
+        setInterval(() => {
             if (this.isInRoom) {
-                await this.signaling.updateActivity();
-                // Also update online message status periodically
                 this.updateOnlineMessageStatus();
+                this.renderRoster();
             }
         }, 30 * 1000);
     }
@@ -1015,14 +2020,6 @@ class EnhancedSecureMessenger {
                 this.cleanupBeforeUnload();
             }
         });
-
-        // Also clean up on visibility change (tab switch)
-        document.addEventListener('visibilitychange', () => {
-            if (document.visibilityState === 'hidden' && this.isInRoom) {
-                // Update last seen time when tab becomes hidden
-                this.signaling?.updateActivity();
-            }
-        });
     }
 
     /**
@@ -1030,30 +2027,7 @@ class EnhancedSecureMessenger {
      */
     cleanupBeforeUnload() {
         try {
-            if (this.signaling && this.signaling.roomRef && this.signaling.sessionId) {
-                // Mark participant as inactive immediately
-                const roomRef = this.signaling.roomRef;
-                const sessionId = this.signaling.sessionId;
-                
-                // Use synchronous Firebase operation
-                if (this.signaling.firebaseRefs) {
-                    this.signaling.firebaseRefs.set(
-                        this.signaling.firebaseRefs.ref(
-                            this.signaling.database, 
-                            `rooms/${this.signaling.currentRoomId}/participants/${sessionId}/active`
-                        ), 
-                        false
-                    );
-                    
-                    this.signaling.firebaseRefs.set(
-                        this.signaling.firebaseRefs.ref(
-                            this.signaling.database, 
-                            `rooms/${this.signaling.currentRoomId}/participants/${sessionId}/left`
-                        ), 
-                        Date.now()
-                    );
-                }
-            }
+            // Presence needs nothing here: the signaling backend's disconnect hook marks us gone
             
             // Close WebRTC connection
             if (this.webrtc) {
@@ -1095,6 +2069,7 @@ class EnhancedSecureMessenger {
             this.elements.endCall.style.display = 'inline-block';
             this.elements.toggleMute.style.display = 'inline-block';
             this.elements.toggleVideo.style.display = 'inline-block';
+            this.elements.switchCamera.style.display = 'inline-block';
             // Ensure local video plays
             this.elements.localVideo.play().catch(e => console.warn('Local video play failed:', e));
             
@@ -1125,13 +2100,14 @@ class EnhancedSecureMessenger {
         
         this.webrtc.endCall();
         this.elements.localVideo.srcObject = null;
-        this.elements.remoteVideo.srcObject = null;
+        this.clearRemoteVideos();
         this.elements.videoContainer.style.display = 'none';
         this.elements.videoContainer.classList.add('hidden');
         this.elements.startCall.style.display = 'inline-block';
         this.elements.endCall.style.display = 'none';
         this.elements.toggleMute.style.display = 'none';
         this.elements.toggleVideo.style.display = 'none';
+        this.elements.switchCamera.style.display = 'none';
         
         // Reset button states
         this.elements.toggleMute.textContent = 'mute';
@@ -1140,6 +2116,72 @@ class EnhancedSecureMessenger {
         console.log('✅ Video call ended');
     }
 
+    /**
+     * One tile per member sending media; called again with an empty stream
+     * when that member removes their tracks
+     */
+    showRemoteStream(stream, sessionId) {
+        if (stream.getTracks().length === 0) {
+            console.log('📺 Remote media ended for', sessionId);
+            this.removeRemoteVideo(sessionId);
+            return;
+        }
+
+        let tile = this.remoteVideoTiles.get(sessionId);
+        if (!tile) {
+            tile = document.createElement('div');
+            tile.className = 'relative bg-gray-900 min-h-0';
+
+            const video = document.createElement('video');
+            video.autoplay = true;
+            video.playsInline = true;
+            video.className = 'w-full h-full object-cover';
+
+            const label = document.createElement('div');
+            label.className = 'absolute bottom-2 left-2 bg-black bg-opacity-60 px-2 py-1 rounded text-white text-xs';
+            this.getRemoteAlias(sessionId).then(alias => { label.textContent = alias; });
+
+            tile.append(video, label);
+            this.elements.remoteVideos.append(tile);
+            this.remoteVideoTiles.set(sessionId, tile);
+        }
+
+        console.log('📺 Setting remote video stream for', sessionId);
+        const video = tile.querySelector('video');
+        video.srcObject = stream;
+        this.layoutRemoteVideos();
+        this.elements.videoContainer.style.display = 'flex';
+        this.elements.videoContainer.classList.remove('hidden');
+        // Ensure video plays
+        video.play().catch(e => console.warn('Remote video play failed:', e));
+    }
+
+    removeRemoteVideo(sessionId) {
+        const tile = this.remoteVideoTiles.get(sessionId);
+        if (!tile) return;
+
+        tile.querySelector('video').srcObject = null;
+        tile.remove();
+        this.remoteVideoTiles.delete(sessionId);
+        this.layoutRemoteVideos();
+
+        if (this.remoteVideoTiles.size === 0 && !this.webrtc.localStream) {
+            this.elements.videoContainer.style.display = 'none';
+            this.elements.videoContainer.classList.add('hidden');
+        }
+    }
+
+    clearRemoteVideos() {
+        for (const sessionId of Array.from(this.remoteVideoTiles.keys())) {
+            this.removeRemoteVideo(sessionId);
+        }
+    }
+
+    // A single member fills the screen, more share a two-column grid
+    layoutRemoteVideos() {
+        this.elements.remoteVideos.classList.toggle('grid-cols-2', this.remoteVideoTiles.size > 1);
+    }
+
     toggleMute() {
         const isEnabled = this.webrtc.toggleAudio();
         this.elements.toggleMute.textContent = isEnabled ? 'mute' : 'unmuted';
@@ -1148,14 +2190,43 @@ class EnhancedSecureMessenger {
             : 'bg-red-600 text-white px-3 py-2 rounded font-medium hover:bg-red-700 transition-colors text-sm';
     }
 
-    toggleVideo() {
-        const isEnabled = this.webrtc.toggleVideo();
+    /**
+     * Camera off removes the video track (and frees the camera), camera on adds a
+     * new one - both renegotiate with the peer while the chat stays up
+     */
+    async toggleVideo() {
+        let isEnabled;
+        try {
+            const videoTrack = this.webrtc.localStream?.getVideoTracks()[0];
+            if (videoTrack) {
+                this.webrtc.removeLocalTrack(videoTrack);
+                isEnabled = false;
+            } else {
+                await this.webrtc.startMediaCall(true, false);
+                isEnabled = true;
+            }
+        } catch (error) {
+            console.error('❌ Failed to toggle camera:', error);
+            return;
+        }
+
+        this.elements.switchCamera.style.display = isEnabled ? 'inline-block' : 'none';
         this.elements.toggleVideo.textContent = isEnabled ? 'video' : 'video off';
         this.elements.toggleVideo.className = isEnabled
             ? 'bg-gray-700 text-white px-3 py-2 rounded font-medium hover:bg-gray-600 transition-colors text-sm'
             : 'bg-red-600 text-white px-3 py-2 rounded font-medium hover:bg-red-700 transition-colors text-sm';
     }
 
+    async switchCamera() {
+        try {
+            if (!await this.webrtc.switchCamera()) {
+                console.log('📷 No other camera to switch to');
+            }
+        } catch (error) {
+            console.error('❌ Failed to switch camera:', error);
+        }
+    }
+
     updateMediaControlsState() {
         // Update mute/video button states based on current stream
         if (this.webrtc.localStream) {
@@ -1180,21 +2251,25 @@ class EnhancedSecureMessenger {
     
     // Call notification methods
     async sendCallRequest() {
-        if (this.signaling && this.userAlias && this.signaling.roomRef && this.signaling.firebaseRefs) {
+        const reached = this.webrtc.sendControl({ type: 'call_request' });
+        if (reached.length > 0) {
+            console.log(`📤 Call request sent in-band to ${reached.length} member(s)`);
+        }
+
+        // Members we have no control channel with yet hear about it through the database
+        const members = this.manualSignaling ? [] : Object.entries(this.signaling.roster || {})
+            .filter(([sessionId, data]) => sessionId !== this.sessionId && this.signaling.isParticipantActive(data))
+            .map(([sessionId]) => sessionId);
+        if (members.every(sessionId => reached.includes(sessionId))) {
+            return;
+        }
+
+        if (this.signaling && this.signaling.currentRoomId) {
             try {
                 console.log('📤 Sending call request notification');
                 
-                // Send call notification to Firebase
-                const notificationRef = this.signaling.firebaseRefs.push(
-                    this.signaling.firebaseRefs.child(this.signaling.roomRef, 'call_notifications')
-                );
-                
-                await this.signaling.firebaseRefs.set(notificationRef, {
-                    type: 'call_request',
-                    senderAlias: this.userAlias,
-                    sender: this.signaling.sessionId,
-                    timestamp: Date.now()
-                });
+                // No alias: the server would see it, receivers look it up in the sealed roster
+                await this.signaling.sendCallNotification({ type: 'call_request' });
                 
                 console.log('✅ Call request notification sent');
             } catch (error) {
@@ -1233,18 +2308,21 @@ class EnhancedSecureMessenger {
     }
     
     async sendCallDeclined() {
-        if (this.signaling && this.signaling.roomRef && this.signaling.firebaseRefs) {
+        const caller = this.incomingCallFrom;
+        this.incomingCallFrom = null;
+
+        if (this.webrtc.getPeer(caller)?.sendControl({ type: 'call_declined' })) {
+            console.log('📤 Call decline sent in-band');
+            return;
+        }
+
+        if (this.signaling && this.signaling.currentRoomId) {
             try {
                 console.log('📤 Sending call declined notification');
                 
-                const notificationRef = this.signaling.firebaseRefs.push(
-                    this.signaling.firebaseRefs.child(this.signaling.roomRef, 'call_notifications')
-                );
-                
-                await this.signaling.firebaseRefs.set(notificationRef, {
+                await this.signaling.sendCallNotification({
                     type: 'call_declined',
-                    sender: this.signaling.sessionId,
-                    timestamp: Date.now()
+                    to: caller
                 });
                 
                 console.log('✅ Call declined notification sent');
@@ -1254,20 +2332,27 @@ class EnhancedSecureMessenger {
         }
     }
     
+    /**
+     * Call request or decline, from the control channel or a database notification
+     */
+    async handleCallSignal(message, sessionId) {
+        if (message.type === 'call_request') {
+            this.incomingCallFrom = sessionId;
+            this.showIncomingCallNotification(await this.getRemoteAlias(sessionId));
+        } else if (message.type === 'call_declined') {
+            // Database declines go to the whole room but answer one caller
+            if (message.to && message.to !== this.sessionId) return;
+            this.hideCallNotification();
+            alert(`${await this.getRemoteAlias(sessionId)} declined the call`);
+        }
+    }
+    
     setupCallNotificationListener() {
-        if (this.signaling && this.signaling.roomRef && this.signaling.firebaseRefs) {
+        if (this.signaling && this.signaling.currentRoomId) {
             try {
                 console.log('👂 Setting up call notification listener');
                 
-                const notificationsRef = this.signaling.firebaseRefs.child(
-                    this.signaling.roomRef, 
-                    'call_notifications'
-                );
-                
-                this.signaling.firebaseRefs.on(notificationsRef, 'child_added', (snapshot) => {
-                    const notificationData = snapshot.val();
-                    const notificationId = snapshot.key;
-                    
+                this.signaling.listenForCallNotifications((notificationId, notificationData) => {
                     // Skip our own notifications
                     if (notificationData.sender === this.signaling.sessionId) {
                         return;
@@ -1280,18 +2365,11 @@ class EnhancedSecureMessenger {
                     
                     console.log('📞 Received call notification:', notificationData);
                     
-                    if (notificationData.type === 'call_request') {
-                        this.showIncomingCallNotification(notificationData.senderAlias);
-                    } else if (notificationData.type === 'call_declined') {
-                        this.hideCallNotification();
-                        alert('Call was declined');
-                    }
+                    this.handleCallSignal(notificationData, notificationData.sender);
                     
                     // Clean up the notification after handling
                     setTimeout(() => {
-                        this.signaling.firebaseRefs.remove(
-                            this.signaling.firebaseRefs.child(notificationsRef, notificationId)
-                        );
+                        this.signaling.deleteCallNotification(notificationId).catch(() => {});
                     }, 5000);
                 });
                 
@@ -2,17 +2,174 @@
  * Enhanced Crypto Manager for Offline Message Support
  */
 
+import { DoubleRatchetSession } from './double-ratchet.js';
+import { LocalStore } from './local-store.js';
+import { ReplayGuard } from './replay-guard.js';
+import { PassphraseGenerator } from './passphrase.js';
+import { roomConfig } from './config.js';
+
+const CERTIFICATE_LIFETIME = 365 * 24 * 60 * 60 * 1000; // 1 year
+const PADDING_BUCKETS = [256, 1024, 4096, 16384];
+// Bounds on the work factor an imported transcript may ask for
+const TRANSCRIPT_MIN_ITERATIONS = 100000;
+const TRANSCRIPT_MAX_ITERATIONS = 10000000;
+
 export class EnhancedCryptoManager {
     constructor() {
         this.encryptionKey = null;
+        this.macKey = null;
+        this.signalingKey = null;
+        this.historyKey = null;
+        this.masterKey = null;
+        this.roomScheme = null;
         this.roomId = null;
         this.currentPassword = null;
         this.sessionId = this.generateSessionId();
+        this.ephemeralKeyPair = null;
+        this.ephemeralPublicKey = null;
+        this.sessionKeys = new Map(); // peer sessionId -> { key, publicKey, ratchetSecret }
+        this.senderIdentities = new Map(); // sender sessionId -> identity key proven by a sealed envelope
+        this.mailboxMembers = new Map(); // member identity key -> { mailboxKey, wrapKey }
+        this.ratchets = new Map(); // peer sessionId -> Promise<DoubleRatchetSession>
+        this.identityStore = new LocalStore('webrtc_identity', ['keys']);
+        this.identityKeyPair = null;
+        this.identityPublicKey = null;
+        this.mailboxKeyPair = null;
+        this.mailboxPublicKey = null;
+        this.dtlsCertificate = null;
+        this.replayGuard = null;
+        this.passphrase = new PassphraseGenerator();
+    }
+
+    /**
+     * Load (or create) the long-term identity key, mailbox key and DTLS certificate for this browser
+     * All persist in IndexedDB so safety numbers stay stable across reloads, and mail
+     * sealed for an earlier session can still be opened by the next one
+     */
+    async loadIdentity() {
+        if (this.identityKeyPair) return;
+
+        let identity = await this.identityStore.get('keys', 'identity');
+        if (!identity) {
+            identity = await crypto.subtle.generateKey(
+                { name: 'ECDSA', namedCurve: 'P-256' },
+                false,
+                ['sign', 'verify']
+            );
+            await this.identityStore.put('keys', 'identity', identity);
+            console.log('🪪 Generated new identity key');
+        }
+
+        this.identityKeyPair = identity;
+        const rawPublicKey = await crypto.subtle.exportKey('raw', identity.publicKey);
+        this.identityPublicKey = this.arrayBufferToBase64(rawPublicKey);
+
+        let mailbox = await this.identityStore.get('keys', 'mailbox');
+        if (!mailbox) {
+            mailbox = await crypto.subtle.generateKey(
+                { name: 'ECDH', namedCurve: 'P-256' },
+                false,
+                ['deriveBits']
+            );
+            await this.identityStore.put('keys', 'mailbox', mailbox);
+            console.log('🪪 Generated new mailbox key');
+        }
+
+        this.mailboxKeyPair = mailbox;
+        this.mailboxPublicKey = this.arrayBufferToBase64(await crypto.subtle.exportKey('raw', mailbox.publicKey));
+
+        if (typeof RTCPeerConnection !== 'undefined') {
+            let certificate = await this.identityStore.get('keys', 'dtls_certificate');
+            if (!certificate || certificate.expires < Date.now()) {
+                certificate = await RTCPeerConnection.generateCertificate({
+                    name: 'ECDSA',
+                    namedCurve: 'P-256',
+                    expires: CERTIFICATE_LIFETIME
+                });
+                await this.identityStore.put('keys', 'dtls_certificate', certificate);
+                console.log('🪪 Generated new DTLS certificate');
+            }
+            this.dtlsCertificate = certificate;
+        }
+    }
+
+    /**
+     * Derive scheme v2 master secret from password
+     * Costly PBKDF2 so every offline guess against a published room ID is expensive
+     */
+    async deriveMasterKey(password) {
+        const encoder = new TextEncoder();
+
+        const keyMaterial = await crypto.subtle.importKey(
+            'raw',
+            encoder.encode(password),
+            'PBKDF2',
+            false,
+            ['deriveBits']
+        );
+
+        const masterBits = await crypto.subtle.deriveBits(
+            {
+                name: 'PBKDF2',
+                salt: encoder.encode('webrtc_room_salt_v2'),
+                iterations: roomConfig.kdfIterations,
+                hash: 'SHA-256'
+            },
+            keyMaterial,
+            256
+        );
+
+        return crypto.subtle.importKey('raw', masterBits, 'HKDF', false, ['deriveBits', 'deriveKey']);
+    }
+
+    /**
+     * Derive a purpose-specific value from the v2 master secret
+     * Room ID, encryption and MAC keys use distinct HKDF labels, so publishing
+     * the room ID reveals nothing about the keys
+     */
+    async deriveSubkeyBits(label, length = 256) {
+        return crypto.subtle.deriveBits(
+            {
+                name: 'HKDF',
+                hash: 'SHA-256',
+                salt: new TextEncoder().encode('webrtc_room_v2'),
+                info: new TextEncoder().encode(label)
+            },
+            this.masterKey,
+            length
+        );
+    }
+
+    async deriveSubkey(label, algorithm, usages) {
+        return crypto.subtle.deriveKey(
+            {
+                name: 'HKDF',
+                hash: 'SHA-256',
+                salt: new TextEncoder().encode('webrtc_room_v2'),
+                info: new TextEncoder().encode(label)
+            },
+            this.masterKey,
+            algorithm,
+            false,
+            usages
+        );
+    }
+
+    /**
+     * Scheme v2 room ID - prefixed so clients can tell the schemes apart
+     */
+    async deriveRoomIdV2() {
+        const bits = await this.deriveSubkeyBits('room_id_v2', 96);
+        const hex = Array.from(new Uint8Array(bits))
+            .map(b => b.toString(16).padStart(2, '0'))
+            .join('');
+        return `v2_${hex}`;
     }
 
     /**
      * Generate deterministic room ID from password using PBKDF2
      * Uses fixed salt for deterministic results
+     * Legacy scheme v1 - kept so new clients can still meet old ones
      */
     async generateRoomIdFromPassword(password) {
         const encoder = new TextEncoder();
@@ -87,21 +244,960 @@ export class EnhancedCryptoManager {
         return key;
     }
 
+    /**
+     * Key for the local message history
+     * Comes from the password alone, kept apart from the room key, so history
+     * written in one visit still opens after the next rejoin
+     */
+    async deriveHistoryKey(password) {
+        const algorithm = { name: 'AES-GCM', length: 256 };
+
+        if (this.roomScheme !== 1) {
+            return this.deriveSubkey('history_v2', algorithm, ['encrypt', 'decrypt']);
+        }
+
+        const encoder = new TextEncoder();
+        const keyMaterial = await crypto.subtle.importKey('raw', encoder.encode(password), 'PBKDF2', false, ['deriveKey']);
+        return crypto.subtle.deriveKey(
+            {
+                name: 'PBKDF2',
+                salt: encoder.encode(`history_salt_${this.roomId}`),
+                iterations: 100000,
+                hash: 'SHA-256'
+            },
+            keyMaterial,
+            algorithm,
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    /**
+     * Encrypt a history entry for storage on this device
+     * The storage key goes into the AAD so entries cannot be swapped around
+     */
+    async sealHistoryEntry(storageKey, entry) {
+        if (!this.historyKey) {
+            throw new Error('History key not initialized');
+        }
+
+        const padded = this.padPlaintext(new TextEncoder().encode(JSON.stringify(entry)));
+        const { data, iv } = await this.encryptWithKey(this.historyKey, padded, this.historyAad(storageKey));
+        return { data, iv };
+    }
+
+    async openHistoryEntry(storageKey, sealed) {
+        if (!this.historyKey) {
+            throw new Error('History key not initialized');
+        }
+
+        const padded = await this.decryptWithKey(this.historyKey, sealed, this.historyAad(storageKey));
+        return this.parseEnvelope(padded);
+    }
+
+    historyAad(storageKey) {
+        return new TextEncoder().encode(`local_history_v1|${this.roomId}|${storageKey}`);
+    }
+
+    /**
+     * Sign an exported transcript with our identity key
+     * Bound to the transcript's own room ID rather than the current room, so
+     * a bundle still verifies when it is imported somewhere else
+     */
+    async signTranscript(transcript) {
+        if (!this.identityKeyPair) {
+            throw new Error('Identity key not loaded');
+        }
+
+        const signature = await crypto.subtle.sign(
+            { name: 'ECDSA', hash: 'SHA-256' },
+            this.identityKeyPair.privateKey,
+            this.transcriptSignatureInput(transcript)
+        );
+        return this.arrayBufferToBase64(signature);
+    }
+
+    async verifyTranscript(transcript, signature) {
+        try {
+            const valid = await crypto.subtle.verify(
+                { name: 'ECDSA', hash: 'SHA-256' },
+                await this.importIdentityKey(transcript.signer),
+                this.base64ToArrayBuffer(signature),
+                this.transcriptSignatureInput(transcript)
+            );
+            return valid ? 'valid' : 'invalid';
+        } catch (error) {
+            console.warn('⚠️ Could not verify transcript signature:', error);
+            return 'invalid';
+        }
+    }
+
+    transcriptSignatureInput(transcript) {
+        return new TextEncoder().encode(`transcript_v1|${transcript.roomId}|${this.canonicalJson(transcript)}`);
+    }
+
+    /**
+     * Encrypt a signed transcript under an export password
+     * Independent of the room password, so an archive can be opened after the room is gone
+     */
+    async sealTranscript(signed, password) {
+        const kdf = {
+            name: 'PBKDF2',
+            hash: 'SHA-256',
+            iterations: roomConfig.kdfIterations,
+            salt: this.arrayBufferToBase64(crypto.getRandomValues(new Uint8Array(16)))
+        };
+
+        const key = await this.deriveTranscriptKey(password, kdf);
+        const padded = this.padPlaintext(new TextEncoder().encode(JSON.stringify(signed)));
+        const { data, iv } = await this.encryptWithKey(key, padded, this.transcriptAad(kdf));
+        return { kdf, data, iv };
+    }
+
+    async openTranscript(sealed, password) {
+        const { kdf } = sealed;
+        if (kdf?.name !== 'PBKDF2' || kdf.hash !== 'SHA-256' || !(kdf.iterations >= TRANSCRIPT_MIN_ITERATIONS && kdf.iterations <= TRANSCRIPT_MAX_ITERATIONS)) {
+            throw new Error('Unsupported transcript key derivation');
+        }
+
+        const key = await this.deriveTranscriptKey(password, kdf);
+        const padded = await this.decryptWithKey(key, sealed, this.transcriptAad(kdf));
+        return this.parseEnvelope(padded);
+    }
+
+    async deriveTranscriptKey(password, kdf) {
+        const keyMaterial = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveKey']);
+        return crypto.subtle.deriveKey(
+            {
+                name: 'PBKDF2',
+                salt: this.base64ToArrayBuffer(kdf.salt),
+                iterations: kdf.iterations,
+                hash: 'SHA-256'
+            },
+            keyMaterial,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    // KDF parameters travel in the clear, so they are authenticated with the ciphertext
+    transcriptAad(kdf) {
+        return new TextEncoder().encode(`transcript_bundle_v1|${this.canonicalJson(kdf)}`);
+    }
+
+    /**
+     * Derive HMAC key from password using PBKDF2
+     * Used to authenticate ephemeral ECDH public keys exchanged between peers
+     */
+    async deriveMacKey(password, roomId) {
+        const encoder = new TextEncoder();
+
+        const keyMaterial = await crypto.subtle.importKey(
+            'raw',
+            encoder.encode(password),
+            'PBKDF2',
+            false,
+            ['deriveKey']
+        );
+
+        // Separate salt so the MAC key is independent from the encryption key
+        const salt = encoder.encode(`mac_salt_${roomId}`);
+
+        return crypto.subtle.deriveKey(
+            {
+                name: 'PBKDF2',
+                salt: salt,
+                iterations: 100000,
+                hash: 'SHA-256'
+            },
+            keyMaterial,
+            { name: 'HMAC', hash: 'SHA-256', length: 256 },
+            false,
+            ['sign', 'verify']
+        );
+    }
+
+    /**
+     * Derive the v1 signaling key - sealed offers, answers and ICE candidates
+     */
+    async deriveSignalingKey(password, roomId) {
+        const encoder = new TextEncoder();
+
+        const keyMaterial = await crypto.subtle.importKey(
+            'raw',
+            encoder.encode(password),
+            'PBKDF2',
+            false,
+            ['deriveKey']
+        );
+
+        return crypto.subtle.deriveKey(
+            {
+                name: 'PBKDF2',
+                salt: encoder.encode(`signaling_salt_${roomId}`),
+                iterations: 100000,
+                hash: 'SHA-256'
+            },
+            keyMaterial,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    /**
+     * Generate ephemeral ECDH key pair for this session
+     * The private half never leaves memory and is dropped on destroy()
+     */
+    async generateEphemeralKeyPair() {
+        this.ephemeralKeyPair = await crypto.subtle.generateKey(
+            { name: 'ECDH', namedCurve: 'P-256' },
+            false,
+            ['deriveBits']
+        );
+
+        const rawPublicKey = await crypto.subtle.exportKey('raw', this.ephemeralKeyPair.publicKey);
+        this.ephemeralPublicKey = this.arrayBufferToBase64(rawPublicKey);
+    }
+
     /**
      * Initialize crypto manager with password
      */
-    async initialize(password) {
+    async initialize(password, scheme = roomConfig.scheme) {
         // Reset any previous state
         this.destroy();
+
+        // Refuse to derive keys from trivially guessable passwords
+        const strength = this.passphrase.evaluate(password);
+        if (!strength.acceptable) {
+            throw new Error(`Room key too weak (about ${strength.bits} bits, at least ${strength.minEntropyBits} required) - try a generated passphrase`);
+        }
         
         this.currentPassword = password;
-        this.roomId = await this.generateRoomIdFromPassword(password);
-        this.encryptionKey = await this.deriveEncryptionKey(password, this.roomId);
+        this.roomScheme = scheme;
+
+        if (scheme === 1) {
+            console.warn('⚠️ Using legacy v1 room scheme - room ID is cheap to brute-force');
+            this.roomId = await this.generateRoomIdFromPassword(password);
+            this.encryptionKey = await this.deriveEncryptionKey(password, this.roomId);
+            this.macKey = await this.deriveMacKey(password, this.roomId);
+            this.signalingKey = await this.deriveSignalingKey(password, this.roomId);
+        } else {
+            this.masterKey = await this.deriveMasterKey(password);
+            this.roomId = await this.deriveRoomIdV2();
+            this.encryptionKey = await this.deriveSubkey(
+                'encryption_v2',
+                { name: 'AES-GCM', length: 256 },
+                ['encrypt', 'decrypt']
+            );
+            this.macKey = await this.deriveSubkey(
+                'mac_v2',
+                { name: 'HMAC', hash: 'SHA-256', length: 256 },
+                ['sign', 'verify']
+            );
+            this.signalingKey = await this.deriveSubkey(
+                'signaling_v2',
+                { name: 'AES-GCM', length: 256 },
+                ['encrypt', 'decrypt']
+            );
+        }
+
+        this.historyKey = await this.deriveHistoryKey(password);
+
+        await this.loadIdentity();
+        await this.generateEphemeralKeyPair();
+        this.replayGuard = new ReplayGuard(this.roomId);
         
         console.log('🔐 Crypto initialized - Room ID:', this.roomId);
         return this.roomId;
     }
 
+    /**
+     * Build key exchange bundle announcing our ephemeral and mailbox public keys
+     * The MAC binds the keys to our session and room under the password-derived key,
+     * the signature binds them to our long-term identity key
+     */
+    async createKeyExchangeBundle() {
+        if (!this.ephemeralPublicKey || !this.macKey || !this.identityKeyPair) {
+            throw new Error('Encryption key not initialized');
+        }
+
+        const macInput = this.keyExchangeMacInput(this.sessionId, this.ephemeralPublicKey, this.identityPublicKey, this.mailboxPublicKey);
+        const mac = await crypto.subtle.sign('HMAC', this.macKey, macInput);
+        const signature = await crypto.subtle.sign(
+            { name: 'ECDSA', hash: 'SHA-256' },
+            this.identityKeyPair.privateKey,
+            macInput
+        );
+
+        return {
+            sessionId: this.sessionId,
+            publicKey: this.ephemeralPublicKey,
+            identityKey: this.identityPublicKey,
+            mailboxKey: this.mailboxPublicKey,
+            mac: this.arrayBufferToBase64(mac),
+            signature: this.arrayBufferToBase64(signature)
+        };
+    }
+
+    /**
+     * Verify a peer's key exchange bundle and derive the pairwise session key
+     * Returns true if a new session key was established
+     */
+    async handleKeyExchangeBundle(bundle) {
+        if (!this.ephemeralKeyPair || !this.macKey) {
+            throw new Error('Encryption key not initialized');
+        }
+
+        if (!bundle || !bundle.sessionId || !bundle.publicKey || !bundle.identityKey || !bundle.mailboxKey || !bundle.mac || !bundle.signature) {
+            throw new Error('Invalid key exchange bundle');
+        }
+
+        if (bundle.sessionId === this.sessionId) {
+            return false;
+        }
+
+        const pinned = this.getPeerIdentityKey(bundle.sessionId);
+        if (pinned && pinned !== bundle.identityKey) {
+            // First identity seen for a session is pinned - a different one is an impersonation attempt
+            throw new Error('Identity key changed for session - possible impersonation');
+        }
+
+        const existing = this.sessionKeys.get(bundle.sessionId);
+        if (existing && existing.publicKey === bundle.publicKey) {
+            return false;
+        }
+
+        await this.verifyKeyBundle(bundle);
+        await this.setMailboxMember(bundle);
+
+        const peerPublicKey = await crypto.subtle.importKey(
+            'raw',
+            this.base64ToArrayBuffer(bundle.publicKey),
+            { name: 'ECDH', namedCurve: 'P-256' },
+            false,
+            []
+        );
+
+        const sharedSecret = await crypto.subtle.deriveBits(
+            { name: 'ECDH', public: peerPublicKey },
+            this.ephemeralKeyPair.privateKey,
+            256
+        );
+
+        const key = await this.deriveSessionKey(sharedSecret, bundle.sessionId);
+        const ratchetSecret = await this.deriveRatchetSecret(sharedSecret, bundle.sessionId);
+        this.sessionKeys.set(bundle.sessionId, {
+            key,
+            publicKey: bundle.publicKey,
+            identityKey: bundle.identityKey,
+            ratchetSecret
+        });
+
+        // A new ephemeral key from the peer means a new session - restart the ratchet
+        this.ratchets.delete(bundle.sessionId);
+
+        console.log('🤝 Session key established with:', bundle.sessionId);
+        return true;
+    }
+
+    /**
+     * Check a key exchange bundle's MAC and identity signature; throws if either fails
+     */
+    async verifyKeyBundle(bundle) {
+        if (!bundle || !bundle.sessionId || !bundle.publicKey || !bundle.identityKey || !bundle.mailboxKey || !bundle.mac || !bundle.signature) {
+            throw new Error('Invalid key exchange bundle');
+        }
+
+        const macInput = this.keyExchangeMacInput(bundle.sessionId, bundle.publicKey, bundle.identityKey, bundle.mailboxKey);
+        const valid = await crypto.subtle.verify(
+            'HMAC',
+            this.macKey,
+            this.base64ToArrayBuffer(bundle.mac),
+            macInput
+        );
+
+        if (!valid) {
+            throw new Error('Key exchange authentication failed - wrong password or tampered key');
+        }
+
+        const identityKey = await this.importIdentityKey(bundle.identityKey);
+        const signatureValid = await crypto.subtle.verify(
+            { name: 'ECDSA', hash: 'SHA-256' },
+            identityKey,
+            this.base64ToArrayBuffer(bundle.signature),
+            macInput
+        );
+
+        if (!signatureValid) {
+            throw new Error('Key exchange signature invalid - keys not owned by identity');
+        }
+    }
+
+    /**
+     * Remember a member's long-term mailbox key from their bundle, so mail can be sealed
+     * for them whether or not they are online. Bundles of members who have left count too.
+     */
+    async addMailboxMember(bundle) {
+        const known = this.mailboxMembers.get(bundle?.identityKey);
+        if (known && known.mailboxKey === bundle.mailboxKey) return;
+
+        await this.verifyKeyBundle(bundle);
+        await this.setMailboxMember(bundle);
+    }
+
+    // Bundle must already be verified
+    async setMailboxMember(bundle) {
+        if (!this.mailboxKeyPair) {
+            throw new Error('Identity key not loaded');
+        }
+
+        const known = this.mailboxMembers.get(bundle.identityKey);
+        if (known && known.mailboxKey === bundle.mailboxKey) return;
+
+        const memberKey = await crypto.subtle.importKey(
+            'raw',
+            this.base64ToArrayBuffer(bundle.mailboxKey),
+            { name: 'ECDH', namedCurve: 'P-256' },
+            false,
+            []
+        );
+        const sharedSecret = await crypto.subtle.deriveBits(
+            { name: 'ECDH', public: memberKey },
+            this.mailboxKeyPair.privateKey,
+            256
+        );
+
+        this.mailboxMembers.set(bundle.identityKey, {
+            mailboxKey: bundle.mailboxKey,
+            wrapKey: await this.deriveMailboxWrapKey(sharedSecret, bundle.identityKey)
+        });
+    }
+
+    /**
+     * Key wrapping content keys between two members' mailbox keys, bound to both identities
+     * Both keys are long-term, so mailbox copies are not forward secret - only the data
+     * channel ratchet is
+     */
+    async deriveMailboxWrapKey(sharedSecret, memberIdentityKey) {
+        const encoder = new TextEncoder();
+        const [first, second] = [this.identityPublicKey, memberIdentityKey].sort();
+
+        const hkdfKey = await crypto.subtle.importKey(
+            'raw',
+            sharedSecret,
+            'HKDF',
+            false,
+            ['deriveKey']
+        );
+
+        return crypto.subtle.deriveKey(
+            {
+                name: 'HKDF',
+                hash: 'SHA-256',
+                salt: encoder.encode(`mailbox_salt_${this.roomId}`),
+                info: encoder.encode(`webrtc_mailbox_v1|${first}|${second}`)
+            },
+            hkdfKey,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    /**
+     * Derive pairwise AES-GCM session key from ECDH shared secret using HKDF
+     * Both peers sort the session IDs so they derive the same key
+     */
+    async deriveSessionKey(sharedSecret, peerSessionId) {
+        const encoder = new TextEncoder();
+        const [first, second] = [this.sessionId, peerSessionId].sort();
+
+        const hkdfKey = await crypto.subtle.importKey(
+            'raw',
+            sharedSecret,
+            'HKDF',
+            false,
+            ['deriveKey']
+        );
+
+        return crypto.subtle.deriveKey(
+            {
+                name: 'HKDF',
+                hash: 'SHA-256',
+                salt: encoder.encode(`session_salt_${this.roomId}`),
+                info: encoder.encode(`webrtc_session_v1|${first}|${second}`)
+            },
+            hkdfKey,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    /**
+     * Derive the double ratchet root secret, domain-separated from the session key
+     */
+    async deriveRatchetSecret(sharedSecret, peerSessionId) {
+        const encoder = new TextEncoder();
+        const [first, second] = [this.sessionId, peerSessionId].sort();
+
+        const hkdfKey = await crypto.subtle.importKey(
+            'raw',
+            sharedSecret,
+            'HKDF',
+            false,
+            ['deriveBits']
+        );
+
+        return crypto.subtle.deriveBits(
+            {
+                name: 'HKDF',
+                hash: 'SHA-256',
+                salt: encoder.encode(`session_salt_${this.roomId}`),
+                info: encoder.encode(`webrtc_ratchet_v1|${first}|${second}`)
+            },
+            hkdfKey,
+            256
+        );
+    }
+
+    /**
+     * Get (or lazily start) the double ratchet session with a peer
+     */
+    getRatchet(peerSessionId) {
+        const session = this.sessionKeys.get(peerSessionId);
+        if (!session) {
+            throw new Error('No session key for peer - key exchange not complete');
+        }
+
+        if (!this.ratchets.has(peerSessionId)) {
+            const [first, second] = [this.sessionId, peerSessionId].sort();
+            const ratchet = new DoubleRatchetSession({
+                rootKey: session.ratchetSecret,
+                localKeyPair: this.ephemeralKeyPair,
+                localPublicKey: this.ephemeralPublicKey,
+                remotePublicKey: session.publicKey,
+                isInitiator: this.sessionId === first,
+                associatedData: `${this.roomId}|${first}|${second}`
+            });
+            this.ratchets.set(peerSessionId, ratchet.initialize());
+        }
+
+        return this.ratchets.get(peerSessionId);
+    }
+
+    /**
+     * Encrypt for a peer with the next ratchet message key (forward secret)
+     * Our session ID and the message counter are bound in as associated data
+     */
+    async ratchetEncrypt(plaintext, peerSessionId, counter) {
+        const ratchet = await this.getRatchet(peerSessionId);
+        return ratchet.encrypt(plaintext, `${this.sessionId}|${counter}`);
+    }
+
+    /**
+     * Decrypt a ratchet message from a peer
+     */
+    async ratchetDecrypt(encryptedObj, peerSessionId, counter) {
+        const ratchet = await this.getRatchet(peerSessionId);
+        return ratchet.decrypt(encryptedObj, `${peerSessionId}|${counter}`);
+    }
+
+    /**
+     * Next counter for an outgoing payload
+     */
+    nextCounter() {
+        return this.replayGuard.nextCounter();
+    }
+
+    /**
+     * Record a sender's counter, returning false for replayed or stale counters
+     * Tracked per identity key so a sender reconnecting with a new session cannot be replayed;
+     * the sender's tabs draw from one shared counter, so they never reuse each other's
+     */
+    acceptCounter(senderSessionId, counter) {
+        const senderKey = this.getPeerIdentityKey(senderSessionId) || senderSessionId;
+        return this.replayGuard.accept(senderKey, counter);
+    }
+
+    /**
+     * Seal an offer, answer or ICE candidate before it is written to signaling
+     * Only the sender's session ID stays readable, for skipping our own writes
+     */
+    async sealSignal(type, payload) {
+        if (!this.signalingKey) {
+            throw new Error('Signaling key not initialized');
+        }
+
+        const plaintext = new TextEncoder().encode(JSON.stringify(payload));
+        const sealed = await this.encryptWithKey(this.signalingKey, plaintext, this.signalAad(type, this.sessionId));
+
+        return { sender: this.sessionId, data: sealed.data, iv: sealed.iv };
+    }
+
+    /**
+     * Open a sealed signaling payload - anything unauthenticated throws
+     */
+    async openSignal(type, sealed) {
+        if (!this.signalingKey) {
+            throw new Error('Signaling key not initialized');
+        }
+        if (!sealed?.data || !sealed?.iv || !sealed?.sender) {
+            throw new Error(`Unsealed ${type} rejected`);
+        }
+
+        let plaintext;
+        try {
+            plaintext = await this.decryptWithKey(this.signalingKey, sealed, this.signalAad(type, sealed.sender));
+        } catch (error) {
+            throw new Error(`Sealed ${type} failed authentication - tampered or wrong room`);
+        }
+
+        const payload = JSON.parse(new TextDecoder().decode(plaintext));
+        if (payload.sender !== sealed.sender) {
+            throw new Error(`Sealed ${type} sender mismatch`);
+        }
+
+        return payload;
+    }
+
+    signalAad(type, sender) {
+        return new TextEncoder().encode(`signaling_v1|${this.roomId}|${type}|${sender}`);
+    }
+
+    /**
+     * Seal a display name for a participant record
+     * Bound to the room and session, so it cannot be copied onto someone else's record
+     */
+    async sealAlias(sessionId, alias) {
+        const { data, iv } = await this.encryptWithKey(this.encryptionKey, new TextEncoder().encode(alias), this.aliasAad(sessionId));
+        return { data, iv };
+    }
+
+    async openAlias(sessionId, sealed) {
+        const plaintext = await this.decryptWithKey(this.encryptionKey, sealed, this.aliasAad(sessionId));
+        return new TextDecoder().decode(plaintext);
+    }
+
+    aliasAad(sessionId) {
+        return new TextEncoder().encode(`alias_v1|${this.roomId}|${sessionId}`);
+    }
+
+    keyExchangeMacInput(sessionId, publicKey, identityKey, mailboxKey) {
+        return new TextEncoder().encode(`key_exchange_v2|${this.roomId}|${sessionId}|${publicKey}|${identityKey}|${mailboxKey}`);
+    }
+
+    async importIdentityKey(identityKeyBase64) {
+        return crypto.subtle.importKey(
+            'raw',
+            this.base64ToArrayBuffer(identityKeyBase64),
+            { name: 'ECDSA', namedCurve: 'P-256' },
+            false,
+            ['verify']
+        );
+    }
+
+    /**
+     * Sign an outgoing payload with our identity key
+     */
+    async signPayload(payload) {
+        if (!this.identityKeyPair) {
+            throw new Error('Identity key not loaded');
+        }
+
+        const signature = await crypto.subtle.sign(
+            { name: 'ECDSA', hash: 'SHA-256' },
+            this.identityKeyPair.privateKey,
+            this.signatureInput(payload)
+        );
+
+        return this.arrayBufferToBase64(signature);
+    }
+
+    /**
+     * Check a payload's signature against the identity pinned for its claimed sender
+     * Returns 'valid', 'invalid', 'missing' (unsigned) or 'unknown' (no key for sender yet)
+     */
+    async verifyPayloadSignature(payload) {
+        if (!payload.signature) return 'missing';
+
+        const identityKey = this.getPeerIdentityKey(payload.sender);
+        if (!identityKey) return 'unknown';
+
+        try {
+            const valid = await crypto.subtle.verify(
+                { name: 'ECDSA', hash: 'SHA-256' },
+                await this.importIdentityKey(identityKey),
+                this.base64ToArrayBuffer(payload.signature),
+                this.signatureInput(payload)
+            );
+            return valid ? 'valid' : 'invalid';
+        } catch (error) {
+            return 'invalid';
+        }
+    }
+
+    /**
+     * Canonical bytes covered by a payload signature
+     */
+    signatureInput(payload) {
+        const signed = {
+            type: payload.type,
+            id: payload.id,
+            sender: payload.sender,
+            timestamp: payload.timestamp,
+            data: payload.data,
+            iv: payload.iv,
+            header: payload.header || null,
+            counter: payload.counter ?? null,
+            wrappedKeys: payload.wrappedKeys || null
+        };
+        return new TextEncoder().encode(`signed_payload_v1|${this.roomId}|${this.canonicalJson(signed)}`);
+    }
+
+    /**
+     * JSON with sorted keys - Firebase does not preserve property order
+     */
+    canonicalJson(value) {
+        if (Array.isArray(value)) {
+            return `[${value.map(item => this.canonicalJson(item)).join(',')}]`;
+        }
+        if (value && typeof value === 'object') {
+            const entries = Object.keys(value).sort()
+                .map(key => `${JSON.stringify(key)}:${this.canonicalJson(value[key])}`);
+            return `{${entries.join(',')}}`;
+        }
+        return JSON.stringify(value ?? null);
+    }
+
+    /**
+     * Identity key a peer proved ownership of during key exchange, or by sealing mail for us
+     */
+    getPeerIdentityKey(peerSessionId) {
+        return this.sessionKeys.get(peerSessionId)?.identityKey || this.senderIdentities.get(peerSessionId) || null;
+    }
+
+    hasSessionKey(peerSessionId) {
+        return this.sessionKeys.has(peerSessionId);
+    }
+
+    getSessionPeers() {
+        return Array.from(this.sessionKeys.keys());
+    }
+
+    forgetSessionKey(peerSessionId) {
+        this.sessionKeys.delete(peerSessionId);
+        this.ratchets.delete(peerSessionId);
+    }
+
+    /**
+     * Encrypt message for a single peer with the pairwise session key
+     */
+    async encryptForPeer(plaintext, peerSessionId) {
+        const session = this.sessionKeys.get(peerSessionId);
+        if (!session) {
+            throw new Error('No session key for peer - key exchange not complete');
+        }
+
+        return this.encryptWithKey(session.key, new TextEncoder().encode(plaintext));
+    }
+
+    /**
+     * Decrypt message from a single peer with the pairwise session key
+     */
+    async decryptFromPeer(encryptedObj, peerSessionId) {
+        const session = this.sessionKeys.get(peerSessionId);
+        if (!session) {
+            throw new Error('No session key for peer - key exchange not complete');
+        }
+
+        try {
+            const decrypted = await this.decryptWithKey(session.key, encryptedObj);
+            return new TextDecoder().decode(decrypted);
+        } catch (error) {
+            throw new Error('Decryption failed - session key mismatch or corrupted data');
+        }
+    }
+
+    /**
+     * Seal a message envelope for storage
+     * Sender, alias, timestamp and type live inside the ciphertext; the plaintext is
+     * padded to a size bucket, and the content key is wrapped for every member whose
+     * mailbox key we know - online or not - under a blinded tag of their identity key.
+     * Nothing is ever sealed under the room key: with no other member known yet the
+     * record has no recipients and nobody can open it.
+     *
+     * The sender's counter travels next to the wrapped content key, so room, sender
+     * and counter can all be bound as additional data without leaving them in cleartext.
+     */
+    async sealEnvelope(envelope) {
+        const padded = this.padPlaintext(new TextEncoder().encode(JSON.stringify(envelope)));
+
+        const contentKey = await crypto.subtle.generateKey(
+            { name: 'AES-GCM', length: 256 },
+            true,
+            ['encrypt', 'decrypt']
+        );
+
+        const { data, iv } = await this.encryptWithKey(
+            contentKey,
+            padded,
+            this.envelopeAad(this.identityPublicKey, envelope.counter)
+        );
+
+        const keyMaterial = new Uint8Array(40);
+        keyMaterial.set(new Uint8Array(await crypto.subtle.exportKey('raw', contentKey)));
+        new DataView(keyMaterial.buffer).setBigUint64(32, BigInt(envelope.counter));
+
+        const recipients = {};
+        for (const [identityKey, member] of this.mailboxMembers) {
+            // Other tabs of this browser share our identity and get the message directly
+            if (identityKey === this.identityPublicKey) continue;
+
+            const wrapped = await this.encryptWithKey(
+                member.wrapKey,
+                keyMaterial,
+                this.wrappedKeyAad(this.identityPublicKey, identityKey)
+            );
+            recipients[await this.recipientTag(identityKey)] = { data: wrapped.data, iv: wrapped.iv };
+        }
+
+        return { data, iv, recipients };
+    }
+
+    /**
+     * Open a sealed envelope
+     * Returns null if the envelope was sealed for other members. The wrapped key is
+     * tried against each member's mailbox key; a sender session already tied to
+     * another identity is refused, otherwise it is pinned to the one that sealed it.
+     */
+    async openEnvelope(record) {
+        if (!record.recipients) {
+            throw new Error('Mailbox record is not sealed for any member');
+        }
+
+        const wrappedKey = record.recipients[await this.recipientTag(this.identityPublicKey)];
+        if (!wrappedKey) return null;
+
+        for (const [identityKey, member] of this.mailboxMembers) {
+            let keyMaterial;
+            try {
+                keyMaterial = await this.decryptWithKey(
+                    member.wrapKey,
+                    wrappedKey,
+                    this.wrappedKeyAad(identityKey, this.identityPublicKey)
+                );
+            } catch (error) {
+                continue; // Not this member's key
+            }
+
+            const counter = Number(new DataView(keyMaterial).getBigUint64(32));
+            const contentKey = await crypto.subtle.importKey(
+                'raw',
+                keyMaterial.slice(0, 32),
+                { name: 'AES-GCM' },
+                false,
+                ['decrypt']
+            );
+            const envelope = this.parseEnvelope(await this.decryptWithKey(
+                contentKey,
+                record,
+                this.envelopeAad(identityKey, counter)
+            ));
+
+            const pinned = this.getPeerIdentityKey(envelope.sender);
+            if (envelope.counter !== counter || (pinned && pinned !== identityKey)) {
+                throw new Error('Envelope sender or counter does not match its sealed key');
+            }
+            this.senderIdentities.set(envelope.sender, identityKey);
+            return envelope;
+        }
+
+        throw new Error('No member key opens this envelope - sender bundle not seen yet');
+    }
+
+    envelopeAad(senderIdentityKey, counter) {
+        return new TextEncoder().encode(`sealed_envelope_v2|${this.roomId}|${senderIdentityKey}|${counter}`);
+    }
+
+    wrappedKeyAad(senderIdentityKey, recipientIdentityKey) {
+        return new TextEncoder().encode(`envelope_key_v2|${this.roomId}|${senderIdentityKey}|${recipientIdentityKey}`);
+    }
+
+    parseEnvelope(padded) {
+        return JSON.parse(new TextDecoder().decode(this.unpadPlaintext(new Uint8Array(padded))));
+    }
+
+    /**
+     * Blinded recipient tag for an identity key (mailbox copies) or session ID (receipt
+     * inboxes) - lets a recipient find what is addressed to it without revealing who
+     * it is to anyone lacking the room password
+     */
+    async recipientTag(recipientId) {
+        const tag = await crypto.subtle.sign(
+            'HMAC',
+            this.macKey,
+            new TextEncoder().encode(`recipient_tag_v1|${recipientId}`)
+        );
+        return Array.from(new Uint8Array(tag).slice(0, 16))
+            .map(b => b.toString(16).padStart(2, '0'))
+            .join('');
+    }
+
+    /**
+     * Pad to the next size bucket (ISO/IEC 7816-4: 0x80 then zeros) to hide message length
+     */
+    padPlaintext(bytes) {
+        const bucket = PADDING_BUCKETS.find(size => size > bytes.length)
+            || Math.ceil((bytes.length + 1) / PADDING_BUCKETS[PADDING_BUCKETS.length - 1]) * PADDING_BUCKETS[PADDING_BUCKETS.length - 1];
+        const padded = new Uint8Array(bucket);
+        padded.set(bytes);
+        padded[bytes.length] = 0x80;
+        return padded;
+    }
+
+    unpadPlaintext(padded) {
+        let end = padded.length - 1;
+        while (end >= 0 && padded[end] === 0) end--;
+        if (end < 0 || padded[end] !== 0x80) {
+            throw new Error('Invalid envelope padding');
+        }
+        return padded.slice(0, end);
+    }
+
+    /**
+     * Low-level AES-GCM helpers shared by room and session encryption
+     */
+    async encryptWithKey(key, data, additionalData = null) {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+
+        const ciphertext = await crypto.subtle.encrypt(
+            this.gcmParams(iv, additionalData),
+            key,
+            data
+        );
+
+        return {
+            data: this.arrayBufferToBase64(ciphertext),
+            iv: this.arrayBufferToBase64(iv),
+            timestamp: Date.now()
+        };
+    }
+
+    async decryptWithKey(key, encryptedObj, additionalData = null) {
+        return crypto.subtle.decrypt(
+            this.gcmParams(this.base64ToArrayBuffer(encryptedObj.iv), additionalData),
+            key,
+            this.base64ToArrayBuffer(encryptedObj.data)
+        );
+    }
+
+    gcmParams(iv, additionalData) {
+        return additionalData ? { name: 'AES-GCM', iv, additionalData } : { name: 'AES-GCM', iv };
+    }
+
     /**
      * Encrypt message for storage/transmission
      */
@@ -190,11 +1286,24 @@ export class EnhancedCryptoManager {
      */
     destroy() {
         this.encryptionKey = null;
+        this.macKey = null;
+        this.signalingKey = null;
+        this.historyKey = null;
+        this.masterKey = null;
         this.currentPassword = null;
+        this.ephemeralKeyPair = null;
+        this.ephemeralPublicKey = null;
+        this.sessionKeys.clear();
+        this.senderIdentities.clear();
+        this.mailboxMembers.clear();
+        this.ratchets.clear();
+        this.replayGuard = null;
         console.log('🔒 Crypto manager destroyed');
     }
 
     // Getters
     getRoomId() { return this.roomId; }
+    getRoomScheme() { return this.roomScheme; }
     getSessionId() { return this.sessionId; }
+    getIdentityPublicKey() { return this.identityPublicKey; }
 }
\ No newline at end of file
@@ -1,74 +1,80 @@
 /**
  * Enhanced Signaling Manager with Offline Message Support
+ * Backend-agnostic: all storage goes through a SignalingTransport adapter
  */
 
-import { firebaseConfig } from './config.js';
+import { firebaseConfig, signalingConfig, roomConfig } from './config.js';
+import { FirebaseTransport } from './firebase-transport.js';
+import { WebSocketTransport } from './websocket-transport.js';
+import { BroadcastTransport } from './broadcast-transport.js';
 
 export class EnhancedSignalingManager {
-    constructor() {
-        this.database = null;
-        this.roomRef = null;
+    constructor(transport = null) {
+        this.transport = transport;
         this.currentRoomId = null;
         this.sessionId = null;
         this.onSignalingMessage = null;
         this.onEncryptedMessageReceived = null;
         this.isConnected = false;
-        this.app = null;
-        this.firebaseRefs = null;
+        this.crypto = null;
         this.processedSignals = new Set();
-        this.activityInterval = null;
+        // Negotiation needs signals sent and handled one at a time, in order
+        this.sendQueue = Promise.resolve();
+        this.signalQueue = Promise.resolve();
+        this.sentSignals = []; // { type, key, to } of our own signals, removed once in-band signaling takes over
+        this.roster = null; // participants by session ID, kept live while in a room
+        this.onRosterChange = null;
+        this.cancelPresence = null;
     }
 
     /**
-     * Initialize Firebase connection
+     * Connect the configured signaling transport
      */
     async initialize() {
+        if (!this.transport) {
+            this.transport = this.createTransport(signalingConfig);
+        }
+
         try {
-            console.log('🔥 Initializing Firebase...');
-            
-            // Import Firebase modules with timeout
-            const loadPromise = Promise.all([
-                import('https://www.gstatic.com/firebasejs/12.1.0/firebase-app.js'),
-                import('https://www.gstatic.com/firebasejs/12.1.0/firebase-database.js')
-            ]);
-            
-            const timeoutPromise = new Promise((_, reject) =>
-                setTimeout(() => reject(new Error('Firebase load timeout')), 15000)
-            );
-            
-            const [{ initializeApp }, { getDatabase, ref, set, update, push, onChildAdded, onChildChanged, off, remove, get, onDisconnect, serverTimestamp, onValue }] = 
-                await Promise.race([loadPromise, timeoutPromise]);
-            
-            this.app = initializeApp(firebaseConfig);
-            this.database = getDatabase(this.app);
-            
-            // Store Firebase functions for later use
-            this.firebaseRefs = { ref, set, update, push, onChildAdded, onChildChanged, off, remove, get, onDisconnect, serverTimestamp, onValue };
-            
+            await this.transport.connect();
+
             // Set up connection state monitoring
             this.setupConnectionMonitoring();
-            
+
             this.isConnected = true;
-            console.log('✅ Firebase initialized successfully');
-            
         } catch (error) {
-            console.error('❌ Failed to initialize Firebase:', error);
+            console.error('❌ Failed to initialize signaling transport:', error);
             this.isConnected = false;
-            throw new Error(`Firebase initialization failed: ${error.message}`);
+            throw new Error(`Signaling initialization failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * ?signaling=local|websocket|firebase in the page URL overrides the config
+     */
+    createTransport(config) {
+        const requested = new URLSearchParams(globalThis.location?.search).get('signaling') || config.transport;
+
+        switch (requested) {
+            case 'local':
+                return new BroadcastTransport();
+            case 'websocket':
+                return new WebSocketTransport(config.relayUrl);
+            default:
+                return new FirebaseTransport(firebaseConfig);
         }
     }
     
     /**
-     * Set up Firebase connection monitoring
+     * Set up connection monitoring
      */
     setupConnectionMonitoring() {
-        const connectedRef = this.firebaseRefs.ref(this.database, '.info/connected');
-        this.firebaseRefs.onValue(connectedRef, (snapshot) => {
-            if (snapshot.val() === true) {
-                console.log('🟢 Firebase connected');
+        this.transport.onConnectionChange((connected) => {
+            if (connected) {
+                console.log('🟢 Signaling connected');
                 this.isConnected = true;
             } else {
-                console.log('🔴 Firebase disconnected');
+                console.log('🔴 Signaling disconnected');
                 this.isConnected = false;
             }
         });
@@ -76,32 +82,31 @@ export class EnhancedSignalingManager {
 
     /**
      * Join or create room with alias and participant limit
+     * capacity only applies when we create (or restart) the room - joiners get the creator's
      */
-    async joinRoom(roomId, sessionId, isInitiator = false, alias = null) {
+    async joinRoom(roomId, sessionId, isInitiator = false, alias = null, keyBundle = null, capacity = roomConfig.defaultCapacity) {
         this.currentRoomId = roomId;
         this.sessionId = sessionId;
         
         console.log(`🚪 ${isInitiator ? 'Creating' : 'Joining'} room:`, roomId);
 
-        // Set up room reference
-        this.roomRef = this.firebaseRefs.ref(this.database, `rooms/${roomId}`);
-
-        // Check participant count before joining (max 3 participants)
         if (!isInitiator) {
+            const maxParticipants = await this.getRoomCapacity(roomId);
             const participantCheck = await this.checkActiveParticipants(roomId);
-            if (participantCheck.count >= 3) {
-                throw new Error('Room is full (maximum 3 participants)');
+            if (participantCheck.count >= maxParticipants) {
+                throw new Error(`Room is full (maximum ${maxParticipants} participants)`);
             }
         }
 
-        // Update room info with alias
+        // Update room info with alias, sealed under the room key so the database never sees it
         const roomUpdate = {
             [`participants/${sessionId}`]: {
                 joined: Date.now(),
                 lastSeen: Date.now(),
                 active: true,
-                alias: alias || 'Anonymous',
-                sessionId: sessionId
+                sealedAlias: await this.crypto.sealAlias(sessionId, alias || 'Anonymous'),
+                sessionId: sessionId,
+                ...(keyBundle ? { keyBundle } : {})
             },
             lastActivity: Date.now()
         };
@@ -109,10 +114,11 @@ export class EnhancedSignalingManager {
         if (isInitiator) {
             roomUpdate.created = Date.now();
             roomUpdate.messageCount = 0;
-            roomUpdate.maxParticipants = 3;
+            roomUpdate.maxParticipants = this.clampCapacity(capacity);
+            roomUpdate.scheme = this.getRoomScheme(roomId);
         }
 
-        await this.firebaseRefs.update(this.roomRef, roomUpdate);
+        await this.transport.updateRoom(roomId, roomUpdate);
 
         // Set up WebRTC signaling listeners
         this.setupWebRTCSignaling();
@@ -120,30 +126,50 @@ export class EnhancedSignalingManager {
         // Set up encrypted message listener
         this.setupEncryptedMessageListener();
 
-        // Start periodic activity updates to keep participant active
-        this.startActivityUpdates();
+        // Presence: the backend flips us to inactive when we drop, the roster streams changes
+        this.startPresence();
 
         console.log('✅ Room setup complete');
     }
 
+    /**
+     * Participant limit chosen by the room creator; rooms from older clients were fixed at 3
+     */
+    async getRoomCapacity(roomId) {
+        const room = await this.transport.getRoom(roomId);
+        return this.clampCapacity(room?.maxParticipants ?? 3);
+    }
+
+    // A room of one is pointless, beyond maxCapacity the mesh gets too heavy
+    clampCapacity(capacity) {
+        const value = Math.floor(Number(capacity)) || roomConfig.defaultCapacity;
+        return Math.min(Math.max(value, 2), roomConfig.maxCapacity);
+    }
+
+    /**
+     * Room addressing scheme version, encoded in the room ID prefix
+     */
+    getRoomScheme(roomId) {
+        const match = /^v(\d+)_/.exec(roomId);
+        return match ? Number(match[1]) : 1;
+    }
+
     /**
      * Get participant aliases for the current room
      */
     async getParticipantAliases() {
-        if (!this.roomRef) return {};
+        if (!this.currentRoomId) return {};
         
         try {
-            const participantsRef = this.firebaseRefs.ref(this.database, `rooms/${this.currentRoomId}/participants`);
-            const snapshot = await this.firebaseRefs.get(participantsRef);
-            
-            if (!snapshot.exists()) return {};
-            
-            const participants = snapshot.val();
+            const participants = await this.transport.getParticipants(this.currentRoomId);
             const aliases = {};
             
             for (const [sessionId, data] of Object.entries(participants)) {
-                if (data.active && data.alias) {
-                    aliases[sessionId] = data.alias;
+                if (!data.active) continue;
+
+                const alias = await this.openAlias(sessionId, data);
+                if (alias) {
+                    aliases[sessionId] = alias;
                 }
             }
             
@@ -154,54 +180,112 @@ export class EnhancedSignalingManager {
         }
     }
 
+    /**
+     * Decrypt the alias on a participant record, accepting plaintext aliases written by older clients
+     * sessionId is the record's key in the roster - a sealed alias copied from another record fails
+     */
+    async openAlias(sessionId, participant) {
+        if (!participant.sealedAlias) {
+            return participant.alias || null;
+        }
+
+        try {
+            return await this.crypto.openAlias(sessionId, participant.sealedAlias);
+        } catch (error) {
+            console.warn('⚠️ Could not decrypt participant alias:', sessionId);
+            return null;
+        }
+    }
+
+    /**
+     * Get published key exchange bundles of every participant, as { bundle, active }
+     * Records of members who left stay in the room, and so do their bundles
+     */
+    async getParticipantKeyBundles() {
+        if (!this.currentRoomId) return {};
+
+        try {
+            const participants = await this.transport.getParticipants(this.currentRoomId);
+
+            const bundles = {};
+            for (const [sessionId, data] of Object.entries(participants)) {
+                if (data.keyBundle && sessionId !== this.sessionId) {
+                    bundles[sessionId] = { bundle: data.keyBundle, active: !!data.active };
+                }
+            }
+
+            return bundles;
+        } catch (error) {
+            console.warn('⚠️ Failed to get participant key bundles:', error);
+            return {};
+        }
+    }
+
     /**
      * Setup WebRTC signaling listeners
      */
     setupWebRTCSignaling() {
-        const signalingRef = this.firebaseRefs.ref(this.database, `webrtc_signaling/${this.currentRoomId}`);
-
-        // Listen for offers
-        const offersRef = this.firebaseRefs.ref(this.database, `webrtc_signaling/${this.currentRoomId}/offers`);
-        this.firebaseRefs.onChildAdded(offersRef, (snapshot) => {
-            const offerData = snapshot.val();
-            if (offerData && offerData.sender !== this.sessionId) {
-                this.handleSignalingMessage('offer', offerData);
-            }
-        });
+        // Offers, answers and ICE candidates all carry the sender's routing
+        for (const type of ['offer', 'answer', 'candidate']) {
+            this.transport.onSignal(this.currentRoomId, type, (sealed, key) => {
+                this.signalQueue = this.signalQueue
+                    .then(() => this.receiveSignal(type, sealed, key))
+                    .catch(error => console.error(`❌ Failed to handle ${type}:`, error));
+            });
+        }
+    }
 
-        // Listen for answers
-        const answersRef = this.firebaseRefs.ref(this.database, `webrtc_signaling/${this.currentRoomId}/answers`);
-        this.firebaseRefs.onChildAdded(answersRef, (snapshot) => {
-            const answerData = snapshot.val();
-            if (answerData && answerData.sender !== this.sessionId) {
-                this.handleSignalingMessage('answer', answerData);
-            }
-        });
+    async receiveSignal(type, sealed, key) {
+        const data = await this.openSignal(type, sealed);
+        if (!data) return;
 
-        // Listen for ICE candidates
-        const candidatesRef = this.firebaseRefs.ref(this.database, `webrtc_signaling/${this.currentRoomId}/candidates`);
-        this.firebaseRefs.onChildAdded(candidatesRef, (snapshot) => {
-            const candidateData = snapshot.val();
-            if (candidateData && candidateData.sender !== this.sessionId) {
-                const actualCandidate = candidateData.candidate || candidateData;
-                this.handleSignalingMessage('candidate', actualCandidate);
-            }
-        });
+        // Offers left behind by sessions that have since gone would hijack the negotiation
+        if (type === 'offer' && !(await this.isActiveSender(data.sender))) {
+            console.log('⏭️ Skipping offer from inactive session:', data.sender);
+            return;
+        }
+
+        await this.handleSignalingMessage(type, data, key);
+    }
+
+    async isActiveSender(sessionId) {
+        if (this.roster?.[sessionId]) {
+            return this.isParticipantActive(this.roster[sessionId]);
+        }
+
+        try {
+            const participants = await this.transport.getParticipants(this.currentRoomId);
+            return this.isParticipantActive(participants[sessionId]);
+        } catch (error) {
+            console.warn('⚠️ Could not check sender activity:', error);
+            return true;
+        }
     }
 
     /**
-     * Setup encrypted message listener for offline messages
+     * Open a peer's sealed signal; our own writes and anything
+     * tampered or unauthenticated come back as null
      */
-    setupEncryptedMessageListener() {
-        const messagesRef = this.firebaseRefs.ref(this.database, `encrypted_messages/${this.currentRoomId}`);
+    async openSignal(type, sealed) {
+        if (!sealed || sealed.sender === this.sessionId) return null;
 
-        this.firebaseRefs.onChildAdded(messagesRef, (snapshot) => {
-            const messageData = snapshot.val();
-            const messageId = snapshot.key;
+        try {
+            return await this.crypto.openSignal(type, sealed);
+        } catch (error) {
+            console.warn(`🚫 Dropping ${type}:`, error.message);
+            return null;
+        }
+    }
 
-            // Skip processed, expired, or own messages
+    /**
+     * Setup encrypted message listener for offline messages
+     */
+    setupEncryptedMessageListener() {
+        this.transport.onMail(this.currentRoomId, (messageId, messageData) => {
+            // Skip processed, expired, or own messages, and bare acknowledgements
             if (this.processedSignals.has(messageId) || 
                 messageData.ttl < Date.now() || 
+                !messageData.data || 
                 messageData.sender === this.sessionId) {
                 return;
             }
@@ -217,11 +301,88 @@ export class EnhancedSignalingManager {
         });
     }
 
+    /**
+     * Offline mailbox
+     */
+    async storeOfflineMessage(messageId, record) {
+        await this.transport.putMail(this.currentRoomId, messageId, record);
+    }
+
+    async getOfflineMessages() {
+        return this.transport.getMailbox(this.currentRoomId);
+    }
+
+    async deleteOfflineMessage(messageId) {
+        await this.transport.deleteMail(this.currentRoomId, messageId);
+    }
+
+    /**
+     * Acknowledge a mailbox message and return the record as it stands afterwards
+     */
+    async acknowledgeOfflineMessage(messageId, recipientTag) {
+        await this.transport.ackMail(this.currentRoomId, messageId, recipientTag);
+        return this.transport.getMail(this.currentRoomId, messageId);
+    }
+
+    /**
+     * Follow one of our mailbox messages - callback(record), null once it is purged
+     */
+    watchOfflineMessage(messageId, callback) {
+        return this.transport.onMailRecord(this.currentRoomId, messageId, callback);
+    }
+
+    /**
+     * Read receipts for senders we have no data channel with
+     */
+    async sendReceipt(recipientTag, receipt) {
+        await this.transport.sendReceipt(this.currentRoomId, recipientTag, {
+            ...receipt,
+            timestamp: Date.now()
+        });
+    }
+
+    listenForReceipts(recipientTag, callback) {
+        return this.transport.onReceipt(this.currentRoomId, recipientTag, callback);
+    }
+
+    async deleteReceipt(recipientTag, key) {
+        await this.transport.deleteReceipt(this.currentRoomId, recipientTag, key);
+    }
+
+    /**
+     * Call notifications
+     */
+    async sendCallNotification(notification) {
+        await this.transport.sendNotification(this.currentRoomId, {
+            ...notification,
+            sender: this.sessionId,
+            timestamp: Date.now()
+        });
+    }
+
+    listenForCallNotifications(callback) {
+        return this.transport.onNotification(this.currentRoomId, callback);
+    }
+
+    async deleteCallNotification(notificationId) {
+        await this.transport.deleteNotification(this.currentRoomId, notificationId);
+    }
+
+    /**
+     * Flag our participant record as gone
+     */
+    async markInactive() {
+        await this.transport.updateParticipant(this.currentRoomId, this.sessionId, {
+            active: false,
+            left: Date.now()
+        });
+    }
+
     /**
      * Handle WebRTC signaling messages
      */
-    handleSignalingMessage(type, data) {
-        const signalId = `${type}_${data.timestamp || Date.now()}`;
+    async handleSignalingMessage(type, data, key) {
+        const signalId = `${type}_${key}`;
         
         if (this.processedSignals.has(signalId)) {
             return; // Skip duplicates
@@ -230,71 +391,74 @@ export class EnhancedSignalingManager {
         this.processedSignals.add(signalId);
 
         if (this.onSignalingMessage) {
-            // The data already contains the correct SDP structure from Firebase
-            this.onSignalingMessage(type, data);
+            // The data already contains the correct SDP structure once unsealed
+            await this.onSignalingMessage(type, data);
         }
     }
 
     /**
-     * Send WebRTC offer
+     * Send a WebRTC offer or answer
+     * routing: { connection, to, toConnection } from WebRTCManager.routing()
      */
-    async sendOffer(offer) {
-        console.log('🚀 Sending WebRTC offer...');
-        console.log('📋 Offer data:', { type: offer.type, sdpLength: offer.sdp?.length });
-        
-        const offerData = {
+    async sendDescription(description, routing) {
+        const type = description.type;
+        console.log(`🚀 Sending WebRTC ${type}...`, { sdpLength: description.sdp?.length, to: routing.to });
+
+        const descriptionData = {
             sdp: {
-                type: offer.type,
-                sdp: offer.sdp
+                type,
+                sdp: description.sdp
             },
+            ...routing,
             sender: this.sessionId,
             timestamp: Date.now()
         };
 
-        console.log('📤 Writing offer to Firebase path:', `webrtc_signaling/${this.currentRoomId}/offers`);
-        console.log('📤 Offer payload:', { 
-            sender: offerData.sender, 
-            timestamp: offerData.timestamp,
-            sdpType: offerData.sdp.type
-        });
-
-        const offersRef = this.firebaseRefs.ref(this.database, `webrtc_signaling/${this.currentRoomId}/offers`);
-        const offerRef = this.firebaseRefs.push(offersRef);
-        
         try {
-            await this.firebaseRefs.set(offerRef, offerData);
-            console.log('✅ Offer successfully written to Firebase');
-            console.log('🔑 Offer key:', offerRef.key);
+            const signalKey = await this.queueSignal(type, descriptionData);
+            console.log(`✅ ${type} written to signaling:`, signalKey);
         } catch (error) {
-            console.error('❌ Failed to write offer to Firebase:', error);
+            console.error(`❌ Failed to write ${type} to signaling:`, error);
             throw error;
         }
     }
 
     /**
-     * Send WebRTC answer
+     * Seal and push a signal once everything sent before it is written
      */
-    async sendAnswer(answer) {
-        const answerData = {
-            sdp: {
-                type: answer.type,
-                sdp: answer.sdp
-            },
-            sender: this.sessionId,
-            timestamp: Date.now()
-        };
+    async queueSignal(type, data) {
+        const send = this.sendQueue.then(async () => {
+            const sealed = await this.crypto.sealSignal(type, data);
+            const key = await this.transport.sendSignal(this.currentRoomId, type, sealed);
+            this.sentSignals.push({ type, key, to: data.to || null });
+            return key;
+        });
+        this.sendQueue = send.catch(() => {});
+        return send;
+    }
 
-        const answersRef = this.firebaseRefs.ref(this.database, `webrtc_signaling/${this.currentRoomId}/answers`);
-        const answerRef = this.firebaseRefs.push(answersRef);
-        await this.firebaseRefs.set(answerRef, answerData);
-        
-        console.log('📤 Answer sent');
+    /**
+     * Delete the offers, answers and candidates we wrote to one member - called once
+     * we signal over our control channel with them and the database copies are dead weight
+     */
+    async clearOwnSignals(to) {
+        const roomId = this.currentRoomId;
+        const signals = this.sentSignals.filter(signal => signal.to === to);
+        this.sentSignals = this.sentSignals.filter(signal => signal.to !== to);
+        if (!roomId || signals.length === 0) return;
+
+        try {
+            await Promise.all(signals.map(({ type, key }) => this.transport.deleteSignal(roomId, type, key)));
+            console.log(`🧹 Removed ${signals.length} signaling entries`);
+        } catch (error) {
+            console.warn('⚠️ Failed to remove signaling entries:', error);
+        }
     }
 
     /**
      * Send ICE candidate
      */
-    async sendIceCandidate(candidate) {
+    async sendIceCandidate(candidate, routing) {
         const candidateData = {
             candidate: {
                 candidate: candidate.candidate,
@@ -306,15 +470,15 @@ export class EnhancedSignalingManager {
                 address: candidate.address,
                 protocol: candidate.protocol,
                 port: candidate.port,
-                type: candidate.type
+                type: candidate.type,
+                usernameFragment: candidate.usernameFragment
             },
+            ...routing,
             sender: this.sessionId,
             timestamp: Date.now()
         };
 
-        const candidatesRef = this.firebaseRefs.ref(this.database, `webrtc_signaling/${this.currentRoomId}/candidates`);
-        const candidateRef = this.firebaseRefs.push(candidatesRef);
-        await this.firebaseRefs.set(candidateRef, candidateData);
+        await this.queueSignal('candidate', candidateData);
         
         console.log('📤 ICE candidate sent');
     }
@@ -323,33 +487,19 @@ export class EnhancedSignalingManager {
      * Check if room exists
      */
     async checkRoomExists(roomId) {
-        const roomRef = this.firebaseRefs.ref(this.database, `rooms/${roomId}`);
-        const snapshot = await this.firebaseRefs.get(roomRef);
-        return snapshot.exists();
+        return (await this.transport.getRoom(roomId)) !== null;
     }
 
     /**
-     * Check if room has active participants (within last 2 minutes)
+     * Check if room has active participants
      */
     async checkActiveParticipants(roomId) {
         try {
-            const roomRef = this.firebaseRefs.ref(this.database, `rooms/${roomId}/participants`);
-            const snapshot = await this.firebaseRefs.get(roomRef);
-            
-            if (!snapshot.exists()) {
-                return { count: 0, hasActive: false };
-            }
-            
-            const participants = snapshot.val();
-            const now = Date.now();
-            const activeTimeout = 2 * 60 * 1000; // 2 minutes
+            const participants = await this.transport.getParticipants(roomId);
             
             let activeCount = 0;
-            for (const [sessionId, data] of Object.entries(participants)) {
-                if (data.active && data.lastSeen && (now - data.lastSeen < activeTimeout)) {
-                    activeCount++;
-                } else if (data.active && data.joined && (now - data.joined < activeTimeout)) {
-                    // Recently joined but no lastSeen yet
+            for (const data of Object.values(participants)) {
+                if (this.isParticipantActive(data)) {
                     activeCount++;
                 }
             }
@@ -364,69 +514,61 @@ export class EnhancedSignalingManager {
     }
 
     /**
-     * Start periodic activity updates
+     * Disconnect hooks clear `active` and set `left` server-side, so no timeout guessing is needed
      */
-    startActivityUpdates() {
-        // Clear any existing interval
-        if (this.activityInterval) {
-            clearInterval(this.activityInterval);
-        }
-        
-        // Update activity every 30 seconds
-        this.activityInterval = setInterval(() => {
-            this.updateActivity();
-        }, 30000);
-        
-        console.log('⏰ Started activity updates (30s interval)');
+    isParticipantActive(data) {
+        return !!(data?.active && !data.left);
     }
 
     /**
-     * Update room activity and check for cleanup
+     * Register presence on every (re)connect and follow the roster
      */
-    async updateActivity() {
-        if (this.roomRef && this.sessionId && this.currentRoomId) {
+    startPresence() {
+        const roomId = this.currentRoomId;
+        const sessionId = this.sessionId;
+
+        this.transport.track(this.transport.onConnectionChange(async (connected) => {
+            if (!connected || this.currentRoomId !== roomId) return;
+
             try {
-                await this.firebaseRefs.update(this.roomRef, {
-                    [`participants/${this.sessionId}/lastSeen`]: Date.now(),
-                    lastActivity: Date.now()
+                // Hook first, so a drop right after the write below still marks us gone
+                const cancel = await this.transport.onParticipantDisconnect(roomId, sessionId);
+                this.cancelPresence = cancel;
+                await this.transport.updateParticipant(roomId, sessionId, {
+                    active: true,
+                    left: null,
+                    lastSeen: this.transport.serverTimestamp()
                 });
-
-                // Periodically check if room should be cleaned up due to inactivity
-                // Check every 5 minutes (10 activity updates)
-                this.inactivityCheckCounter = (this.inactivityCheckCounter || 0) + 1;
-                if (this.inactivityCheckCounter >= 10) {
-                    this.inactivityCheckCounter = 0;
-                    await this.checkForInactiveRoomCleanup();
-                }
+                console.log('🟢 Presence registered');
             } catch (error) {
-                console.warn('⚠️ Failed to update activity:', error.message);
+                console.warn('⚠️ Failed to register presence:', error);
             }
-        }
+        }));
+
+        this.transport.onParticipants(roomId, (participants) => this.handleRosterUpdate(participants));
     }
 
-    /**
-     * Check if room should be cleaned up due to all participants being inactive
-     */
-    async checkForInactiveRoomCleanup() {
-        if (!this.currentRoomId) return;
-        
-        try {
-            const participantCheck = await this.checkActiveParticipants(this.currentRoomId);
-            
-            // If no active participants for an extended time, clean up
-            if (participantCheck.count === 0) {
-                console.log('🧹 All participants inactive - scheduling room cleanup');
-                // Give a grace period before cleanup
-                setTimeout(async () => {
-                    const recheckParticipants = await this.checkActiveParticipants(this.currentRoomId);
-                    if (recheckParticipants.count === 0) {
-                        console.log('🧹 Confirmed no active participants - cleaning up room');
-                        await this.cleanupRoomCompletely(this.currentRoomId);
-                    }
-                }, 60000); // 1-minute grace period
+    handleRosterUpdate(participants) {
+        const previous = this.roster;
+        this.roster = participants;
+
+        // The first snapshot is just who is already here
+        const joined = [];
+        const left = [];
+        if (previous) {
+            for (const sessionId of new Set([...Object.keys(previous), ...Object.keys(participants)])) {
+                const was = this.isParticipantActive(previous[sessionId]);
+                const is = this.isParticipantActive(participants[sessionId]);
+                if (is && !was) joined.push(sessionId);
+                if (was && !is) left.push(sessionId);
             }
-        } catch (error) {
-            console.warn('⚠️ Failed to check for inactive room cleanup:', error);
+        }
+
+        joined.forEach(sessionId => console.log('👋 Participant joined:', sessionId));
+        left.forEach(sessionId => console.log('🚪 Participant left:', sessionId));
+
+        if (this.onRosterChange) {
+            this.onRosterChange(participants, { joined, left });
         }
     }
 
@@ -434,39 +576,59 @@ export class EnhancedSignalingManager {
      * Leave room and cleanup with auto-delete messages
      */
     async leaveRoom() {
-        // Stop activity updates
-        if (this.activityInterval) {
-            clearInterval(this.activityInterval);
-            this.activityInterval = null;
-            console.log('⏹️ Stopped activity updates');
-        }
-        
-        if (this.roomRef && this.sessionId && this.currentRoomId) {
+        if (this.sessionId && this.currentRoomId) {
+            // Leaving on purpose - the disconnect hook must not touch this room later
+            await this.cancelPresence?.();
+            this.cancelPresence = null;
+
             // Mark as inactive
-            await this.firebaseRefs.update(this.roomRef, {
-                [`participants/${this.sessionId}/active`]: false,
-                [`participants/${this.sessionId}/left`]: Date.now()
-            });
+            await this.markInactive();
 
             // Check if this was the last active participant
             const participantCheck = await this.checkActiveParticipants(this.currentRoomId);
             if (participantCheck.count === 0) {
-                console.log('🧹 Last participant leaving - cleaning up all room data');
-                await this.cleanupRoomCompletely(this.currentRoomId);
+                if (await this.hasPendingMail(this.currentRoomId)) {
+                    // The mail and the member bundles it was sealed for stay; TTL and acks clear it
+                    console.log('📬 Last participant leaving - keeping the room for undelivered mail');
+                    await this.cleanupStaleSignalingData(this.currentRoomId);
+                } else {
+                    console.log('🧹 Last participant leaving - cleaning up all room data');
+                    await this.cleanupRoomCompletely(this.currentRoomId);
+                }
             }
 
             // Remove listeners
-            this.firebaseRefs.off(this.roomRef);
+            this.transport.unsubscribeAll();
         }
 
         this.currentRoomId = null;
         this.sessionId = null;
-        this.roomRef = null;
         this.processedSignals.clear();
+        this.sentSignals = [];
+        this.roster = null;
         
         console.log('👋 Left room');
     }
 
+    /**
+     * Whether any unexpired mailbox record still waits for a recipient to pick it up
+     */
+    async hasPendingMail(roomId) {
+        try {
+            const mailbox = await this.transport.getMailbox(roomId);
+            const now = Date.now();
+
+            return Object.values(mailbox).some(record =>
+                record.data && record.recipients && record.ttl >= now &&
+                Object.keys(record.recipients).some(tag => !record.deliveredTo?.[tag])
+            );
+        } catch (error) {
+            // Keeping a room too long is cheaper than losing someone's mail
+            console.warn('⚠️ Could not check the mailbox, keeping the room:', error.message);
+            return true;
+        }
+    }
+
     /**
      * Completely clean up room when all participants leave
      */
@@ -474,20 +636,8 @@ export class EnhancedSignalingManager {
         try {
             console.log(`🧹 Cleaning up all data for room: ${roomId}`);
             
-            // Delete all encrypted messages
-            const messagesRef = this.firebaseRefs.ref(this.database, `encrypted_messages/${roomId}`);
-            await this.firebaseRefs.remove(messagesRef);
-            console.log('🗑️ Deleted all encrypted messages');
-            
-            // Delete WebRTC signaling data
-            const signalingRef = this.firebaseRefs.ref(this.database, `webrtc_signaling/${roomId}`);
-            await this.firebaseRefs.remove(signalingRef);
-            console.log('🗑️ Deleted WebRTC signaling data');
-            
-            // Delete room metadata
-            const roomRef = this.firebaseRefs.ref(this.database, `rooms/${roomId}`);
-            await this.firebaseRefs.remove(roomRef);
-            console.log('🗑️ Deleted room metadata');
+            // Delete messages, WebRTC signaling data and room metadata
+            await this.transport.deleteRoom(roomId);
             
             console.log('✅ Complete room cleanup finished - all data deleted');
             
@@ -501,14 +651,8 @@ export class EnhancedSignalingManager {
      */
     async cleanupStaleSignalingData(roomId) {
         try {
-            const signalingRef = this.firebaseRefs.ref(this.database, `webrtc_signaling/${roomId}`);
-            await this.firebaseRefs.remove(signalingRef);
+            await this.transport.clearSignals(roomId);
             console.log(`🧹 Cleaned stale signaling data for room: ${roomId}`);
-            
-            // Also clear any old ICE candidates and offers/answers
-            const roomRef = this.firebaseRefs.ref(this.database, `rooms/${roomId}/signaling_data`);
-            await this.firebaseRefs.remove(roomRef);
-            console.log(`🧹 Cleaned room signaling metadata for: ${roomId}`);
         } catch (error) {
             console.warn('⚠️ Failed to cleanup stale signaling data (may not exist):', error.message);
         }
@@ -519,8 +663,7 @@ export class EnhancedSignalingManager {
      */
     async cleanupSignalingData() {
         try {
-            const signalingRef = this.firebaseRefs.ref(this.database, `webrtc_signaling/${this.currentRoomId}`);
-            await this.firebaseRefs.remove(signalingRef);
+            await this.transport.clearSignals(this.currentRoomId);
             console.log('🧹 Signaling data cleaned');
         } catch (error) {
             console.error('❌ Failed to cleanup signaling data:', error);
@@ -534,16 +677,14 @@ export class EnhancedSignalingManager {
         if (!this.currentRoomId) return null;
 
         try {
-            const roomSnapshot = await this.firebaseRefs.get(this.roomRef);
-            const messagesSnapshot = await this.firebaseRefs.get(
-                this.firebaseRefs.ref(this.database, `encrypted_messages/${this.currentRoomId}`)
-            );
+            const roomData = await this.transport.getRoom(this.currentRoomId);
+            const mailbox = await this.transport.getMailbox(this.currentRoomId);
 
             return {
-                roomData: roomSnapshot.exists() ? roomSnapshot.val() : null,
-                messageCount: messagesSnapshot.exists() ? Object.keys(messagesSnapshot.val()).length : 0,
-                activeParticipants: roomSnapshot.exists() ? 
-                    Object.values(roomSnapshot.val().participants || {})
+                roomData: roomData,
+                messageCount: Object.keys(mailbox).length,
+                activeParticipants: roomData ? 
+                    Object.values(roomData.participants || {})
                         .filter(p => p.active).length : 0
             };
         } catch (error) {
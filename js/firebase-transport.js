@@ -0,0 +1,94 @@
+/**
+ * Firebase Realtime Database adapter for the signaling transport
+ */
+
+import { SignalingTransport } from './signaling-transport.js';
+
+const FIREBASE_SDK = 'https://www.gstatic.com/firebasejs/12.1.0';
+
+export class FirebaseTransport extends SignalingTransport {
+    constructor(config) {
+        super();
+        this.config = config;
+        this.app = null;
+        this.database = null;
+        this.refs = null;
+    }
+
+    /**
+     * Load the Firebase SDK from the CDN and open the database
+     */
+    async connect() {
+        console.log('🔥 Initializing Firebase...');
+
+        // Import Firebase modules with timeout
+        const loadPromise = Promise.all([
+            import(`${FIREBASE_SDK}/firebase-app.js`),
+            import(`${FIREBASE_SDK}/firebase-database.js`)
+        ]);
+
+        const timeoutPromise = new Promise((_, reject) =>
+            setTimeout(() => reject(new Error('Firebase load timeout')), 15000)
+        );
+
+        const [{ initializeApp }, { getDatabase, ref, set, update, push, onChildAdded, onValue, remove, get, onDisconnect, serverTimestamp }] =
+            await Promise.race([loadPromise, timeoutPromise]);
+
+        this.app = initializeApp(this.config);
+        this.database = getDatabase(this.app);
+
+        // Keep Firebase functions for the primitives below
+        this.refs = { ref, set, update, push, onChildAdded, onValue, remove, get, onDisconnect, serverTimestamp };
+
+        console.log('✅ Firebase initialized successfully');
+    }
+
+    ref(path) {
+        return this.refs.ref(this.database, path);
+    }
+
+    async get(path) {
+        const snapshot = await this.refs.get(this.ref(path));
+        return snapshot.exists() ? snapshot.val() : null;
+    }
+
+    async set(path, value) {
+        return this.refs.set(this.ref(path), value);
+    }
+
+    async update(path, values) {
+        return this.refs.update(this.ref(path), values);
+    }
+
+    async remove(path) {
+        return this.refs.remove(this.ref(path));
+    }
+
+    async push(path, value) {
+        const childRef = this.refs.push(this.ref(path));
+        await this.refs.set(childRef, value);
+        return childRef.key;
+    }
+
+    onChildAdded(path, callback) {
+        return this.refs.onChildAdded(this.ref(path), (snapshot) => callback(snapshot.key, snapshot.val()));
+    }
+
+    onValue(path, callback) {
+        return this.refs.onValue(this.ref(path), (snapshot) => callback(snapshot.exists() ? snapshot.val() : null));
+    }
+
+    onConnectionChange(callback) {
+        return this.onValue('.info/connected', (connected) => callback(connected === true));
+    }
+
+    async onDisconnectUpdate(path, values) {
+        const hook = this.refs.onDisconnect(this.ref(path));
+        await hook.update(values);
+        return () => hook.cancel();
+    }
+
+    serverTimestamp() {
+        return this.refs.serverTimestamp();
+    }
+}
\ No newline at end of file
@@ -0,0 +1,83 @@
+/**
+ * Minimal IndexedDB wrapper for persistent client-side state
+ * Values are stored with out-of-line string keys
+ */
+
+export class LocalStore {
+    constructor(dbName, storeNames, version = 1) {
+        this.dbName = dbName;
+        this.storeNames = storeNames;
+        this.version = version;
+        this.db = null;
+    }
+
+    /**
+     * Open database, creating object stores on first use
+     */
+    open() {
+        if (this.db) return Promise.resolve(this.db);
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.version);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                for (const storeName of this.storeNames) {
+                    if (!db.objectStoreNames.contains(storeName)) {
+                        db.createObjectStore(storeName);
+                    }
+                }
+            };
+
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async get(storeName, key) {
+        return this.run(storeName, 'readonly', store => store.get(key));
+    }
+
+    async put(storeName, key, value) {
+        return this.run(storeName, 'readwrite', store => store.put(value, key));
+    }
+
+    async delete(storeName, key) {
+        return this.run(storeName, 'readwrite', store => store.delete(key));
+    }
+
+    async getAll(storeName) {
+        return this.run(storeName, 'readonly', store => store.getAll());
+    }
+
+    async clear(storeName) {
+        return this.run(storeName, 'readwrite', store => store.clear());
+    }
+
+    /**
+     * Run a single request in its own transaction
+     */
+    async run(storeName, mode, operation) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = operation(transaction.objectStore(storeName));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,123 @@
+/**
+ * Manual signaling - connect with no database or relay at all
+ * Offer and answer travel as "connection codes" the users copy-paste or show as QR codes.
+ * Each code is the full SDP with every ICE candidate, deflated and sealed under the room key.
+ */
+
+const CODE_PREFIX = 'P2P1.';
+const ICE_GATHER_TIMEOUT = 10000;
+
+export class ManualSignaling {
+    constructor(mesh, crypto) {
+        this.mesh = mesh;
+        this.crypto = crypto;
+        this.peer = null;
+        this.peerAlias = null;
+    }
+
+    /**
+     * Initiator: create the offer code
+     * The joiner's session is unknown until their answer, so the connection starts unaddressed
+     */
+    async createOfferCode(alias) {
+        // Descriptions travel in the codes, so nothing is offered automatically
+        this.peer = await this.mesh.createPeerConnection(null, { autoNegotiate: false });
+        await this.peer.createOffer();
+        const description = await this.peer.waitForIceGathering(ICE_GATHER_TIMEOUT);
+
+        console.log('📋 Manual offer ready');
+        return this.encodeCode('offer', description.sdp, alias);
+    }
+
+    /**
+     * Joiner: open the initiator's offer code and create the answer code
+     */
+    async createAnswerCode(offerCode, alias) {
+        const offer = await this.decodeCode(offerCode, 'offer');
+        this.peerAlias = offer.alias;
+
+        this.peer = await this.mesh.createPeerConnection(offer.sender, { autoNegotiate: false });
+        await this.peer.handleRemoteDescription({ type: 'offer', sdp: offer.sdp }, offer);
+        const description = await this.peer.waitForIceGathering(ICE_GATHER_TIMEOUT);
+
+        console.log('📋 Manual answer ready');
+        return this.encodeCode('answer', description.sdp, alias);
+    }
+
+    /**
+     * Initiator: apply the joiner's answer code
+     */
+    async acceptAnswerCode(answerCode) {
+        const answer = await this.decodeCode(answerCode, 'answer');
+        this.peerAlias = answer.alias;
+
+        this.mesh.renamePeer(null, answer.sender);
+        await this.peer.handleRemoteDescription({ type: 'answer', sdp: answer.sdp }, answer);
+        console.log('✅ Manual answer applied');
+    }
+
+    /**
+     * The code carries the same routing as signaled descriptions, so the
+     * answer is only accepted by the connection that made the offer
+     */
+    async encodeCode(type, sdp, alias) {
+        const payload = { type, sdp, alias, sender: this.mesh.sessionId, ...this.peer.routing() };
+        const json = new TextEncoder().encode(JSON.stringify(payload));
+        const compressed = await this.transform(json, new CompressionStream('deflate-raw'));
+
+        const sealed = await this.crypto.encryptWithKey(
+            this.crypto.encryptionKey,
+            compressed,
+            this.codeAad(type)
+        );
+
+        return `${CODE_PREFIX}${this.toBase64Url(sealed.iv)}.${this.toBase64Url(sealed.data)}`;
+    }
+
+    async decodeCode(code, expectedType) {
+        const [iv, data] = code.replace(/\s+/g, '').slice(CODE_PREFIX.length).split('.');
+        if (!code.trim().startsWith(CODE_PREFIX) || !iv || !data) {
+            throw new Error('Not a connection code');
+        }
+
+        let compressed;
+        try {
+            // The type is bound into the AAD, so an offer pasted where an answer belongs fails here
+            compressed = await this.crypto.decryptWithKey(
+                this.crypto.encryptionKey,
+                { iv: this.fromBase64Url(iv), data: this.fromBase64Url(data) },
+                this.codeAad(expectedType)
+            );
+        } catch (error) {
+            throw new Error(`Could not open ${expectedType} code - wrong room key, wrong step or damaged code`);
+        }
+
+        const json = await this.transform(new Uint8Array(compressed), new DecompressionStream('deflate-raw'));
+        const payload = JSON.parse(new TextDecoder().decode(json));
+
+        if (payload.type !== expectedType || typeof payload.sdp !== 'string' || !payload.connection || !payload.sender) {
+            throw new Error(`Invalid ${expectedType} code`);
+        }
+
+        return payload;
+    }
+
+    codeAad(type) {
+        return new TextEncoder().encode(`manual_signal_v1|${this.crypto.getRoomId()}|${type}`);
+    }
+
+    async transform(bytes, stream) {
+        const output = new Blob([bytes]).stream().pipeThrough(stream);
+        return new Uint8Array(await new Response(output).arrayBuffer());
+    }
+
+    // QR codes and chat apps survive base64url better than standard base64
+    toBase64Url(base64) {
+        return base64.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    fromBase64Url(base64Url) {
+        const base64 = base64Url.replace(/-/g, '+').replace(/_/g, '/');
+        return base64 + '='.repeat((4 - base64.length % 4) % 4);
+    }
+}
\ No newline at end of file
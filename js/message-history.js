@@ -0,0 +1,152 @@
+/**
+ * Opt-in local message history, one encrypted IndexedDB entry per message
+ * Entries are sealed under a key derived from the room password, so only someone
+ * who can rejoin the room can read them back. Nothing is written while retention is off.
+ */
+
+import { LocalStore } from './local-store.js';
+
+const STORE_NAME = 'entries';
+const RETENTION_KEY_PREFIX = 'p2p_history_retention_';
+const DAY = 24 * 60 * 60 * 1000;
+
+export const HISTORY_RETENTION = {
+    off: 0,
+    day: DAY,
+    week: 7 * DAY,
+    month: 30 * DAY,
+    forever: Infinity
+};
+
+export class MessageHistory {
+    constructor(crypto, roomId, store = new LocalStore('webrtc_history', [STORE_NAME]), storage = globalThis.localStorage) {
+        this.crypto = crypto;
+        this.roomId = roomId;
+        this.store = store;
+        this.storage = storage;
+        this.retention = this.loadRetention();
+    }
+
+    // Retention is chosen per room and defaults to off
+
+    loadRetention() {
+        const retention = this.storage.getItem(RETENTION_KEY_PREFIX + this.roomId);
+        return retention in HISTORY_RETENTION ? retention : 'off';
+    }
+
+    async setRetention(retention) {
+        if (!(retention in HISTORY_RETENTION)) {
+            throw new Error(`Unknown history retention: ${retention}`);
+        }
+
+        this.retention = retention;
+        if (retention === 'off') {
+            this.storage.removeItem(RETENTION_KEY_PREFIX + this.roomId);
+            await this.wipe();
+        } else {
+            this.storage.setItem(RETENTION_KEY_PREFIX + this.roomId, retention);
+            await this.prune();
+        }
+    }
+
+    isEnabled() {
+        return this.retention !== 'off';
+    }
+
+    storageKey(entryId) {
+        return `${this.roomId}:${entryId}`;
+    }
+
+    /**
+     * Entries are { id, channel, text, timestamp, sender, senderAlias, senderId, source, signatureStatus, imported }
+     * with channel 'store'; direct messages are ephemeral and never saved. imported holds the
+     * fingerprint of the key that signed the transcript an entry came from
+     */
+    async save(entry) {
+        if (!this.isEnabled()) return;
+
+        try {
+            const key = this.storageKey(entry.id);
+            const sealed = await this.crypto.sealHistoryEntry(key, entry);
+            // Only the random entry ID and room ID stay readable, for lookups
+            await this.store.put(STORE_NAME, key, { roomId: this.roomId, entryId: entry.id, ...sealed });
+        } catch (error) {
+            console.warn('⚠️ Could not save message to history:', error);
+        }
+    }
+
+    /**
+     * This room's entries, oldest first; expired and unreadable ones are deleted on the way
+     */
+    async load() {
+        if (!this.isEnabled()) return [];
+
+        const cutoff = Date.now() - HISTORY_RETENTION[this.retention];
+        const entries = [];
+
+        for (const [key, sealed] of await this.records()) {
+            let entry;
+            try {
+                entry = await this.crypto.openHistoryEntry(key, sealed);
+            } catch (error) {
+                console.warn('⚠️ Dropping unreadable history entry:', key);
+                await this.store.delete(STORE_NAME, key);
+                continue;
+            }
+
+            if (entry.timestamp < cutoff) {
+                await this.store.delete(STORE_NAME, key);
+            } else {
+                entries.push(entry);
+            }
+        }
+
+        return entries.sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    /**
+     * Add entries we do not hold yet, matched by message ID
+     * Entries the retention period would drop straight away are skipped; returns those saved
+     */
+    async merge(entries) {
+        if (!this.isEnabled()) return [];
+
+        const known = new Set((await this.records()).map(([, record]) => record.entryId));
+        const cutoff = Date.now() - HISTORY_RETENTION[this.retention];
+        const added = [];
+
+        for (const entry of entries) {
+            if (known.has(entry.id) || entry.timestamp < cutoff) continue;
+
+            known.add(entry.id);
+            await this.save(entry);
+            added.push(entry);
+        }
+
+        return added;
+    }
+
+    // Timestamps are sealed, so pruning means opening every entry
+    async prune() {
+        await this.load();
+    }
+
+    /**
+     * Delete everything stored for this room
+     */
+    async wipe() {
+        const records = await this.records();
+        for (const [key] of records) {
+            await this.store.delete(STORE_NAME, key);
+        }
+        console.log(`🧹 Wiped ${records.length} history entries for this room`);
+    }
+
+    // [storageKey, sealed] pairs for this room
+    async records() {
+        const records = await this.store.getAll(STORE_NAME);
+        return records
+            .filter(record => record.roomId === this.roomId)
+            .map(record => [this.storageKey(record.entryId), record]);
+    }
+}
\ No newline at end of file
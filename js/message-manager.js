@@ -2,15 +2,30 @@
  * Message Manager for Dual Delivery (Online/Offline)
  */
 
+import { Outbox } from './outbox.js';
+
+const ENVELOPE_VERSION = 1;
+const MAILBOX_TTL = 24 * 60 * 60 * 1000;
+const RECEIPT_STATES = ['sent', 'delivered', 'read'];
+
 export class MessageManager {
-    constructor(signaling, webrtc, crypto) {
+    constructor(signaling, webrtc, crypto, senderKeys = null) {
         this.signaling = signaling;
         this.webrtc = webrtc;
         this.crypto = crypto;
+        this.senderKeys = senderKeys;
+        this.alias = null;
         this.isWebRTCConnected = false;
-        this.messageQueue = [];
+        this.outbox = new Outbox(crypto.getRoomId());
+        this.outboxTimer = null;
+        this.retrying = false;
         this.deliveredMessages = new Set();
+        this.sentMessages = new Map(); // messageId -> { recipients: tag -> sessionId, states: sessionId -> receipt state, ttl, unsubscribe }
+        this.recipientTag = null;
+        this.sendReadReceipts = true;
         this.onMessageReceived = null;
+        this.onMessageRejected = null;
+        this.onDeliveryUpdate = null; // (messageId, { state, delivered, read, pending }), lists of session IDs
     }
 
     /**
@@ -28,187 +43,530 @@ export class MessageManager {
             await this.handleIncomingMessage(messageData, 'firebase');
         };
 
+        if (this.hasMailbox()) {
+            this.listenForReceipts().catch(error => console.error('❌ Failed to listen for receipts:', error));
+        }
+
+        this.restoreOutbox().catch(error => console.error('❌ Failed to restore outbox:', error));
+
         console.log('📨 Message manager initialized');
     }
 
     /**
      * Send message with dual delivery
+     * Resolves to the message ID once the message is sealed and in the outbox,
+     * or false if it could not be sealed
      */
     async sendMessage(plaintext) {
         if (!plaintext.trim()) return false;
 
         const messageId = this.generateMessageId();
-        let delivered = false;
+        const timestamp = Date.now();
+        let envelope;
+        let entry;
 
         try {
-            // Encrypt the message
-            const encrypted = await this.crypto.encryptMessage(plaintext);
-            const messagePayload = {
+            // Seal for every member who has published a mailbox key, whether or not
+            // they are here now; the active ones also get it over their data channel
+            envelope = await this.buildEnvelope(messageId, plaintext, timestamp);
+            const recipients = await this.refreshPeerKeys();
+            const sealed = await this.crypto.sealEnvelope(envelope);
+            const record = {
                 id: messageId,
-                type: 'encrypted_chat',
-                data: encrypted.data,
-                iv: encrypted.iv,
-                timestamp: encrypted.timestamp,
-                sender: this.crypto.getSessionId()
+                envelope: ENVELOPE_VERSION,
+                ...sealed
             };
 
             console.log('📤 Sending message:', messageId);
             console.log('📊 WebRTC connection status:', this.isWebRTCConnected);
-            console.log('📊 Data channel state:', this.webrtc.dataChannel?.readyState);
-
-            // Try WebRTC first (if connected and data channel is open)
-            const dataChannelReady = this.webrtc.dataChannel && this.webrtc.dataChannel.readyState === 'open';
-            if (this.isWebRTCConnected && dataChannelReady) {
-                console.log('🔄 Attempting WebRTC message send...');
-                const webrtcSent = this.webrtc.sendMessage(messagePayload);
-                if (webrtcSent) {
-                    console.log('✅ Message sent via WebRTC');
-                    delivered = true;
-                } else {
-                    console.log('⚠️ WebRTC send failed, will use Firebase fallback');
-                }
-            } else {
-                console.log('📊 WebRTC not ready for messaging');
-                console.log('  - isWebRTCConnected:', this.isWebRTCConnected);
-                console.log('  - dataChannelReady:', dataChannelReady);
-            }
 
-            // Always store in Firebase for reliability and offline delivery
-            await this.storeOfflineMessage(messagePayload);
-            console.log('📝 Message stored in Firebase');
+            // Manually connected members are not in any roster, only in the mesh
+            const directPeers = Array.from(this.webrtc.peers.keys()).filter(Boolean);
+            const sessionIds = [...new Set([...recipients, ...directPeers])];
 
-            return true;
+            // Receipts can come back over a data channel before the first attempt finishes
+            await this.trackDelivery(record, sessionIds);
+            entry = await this.outbox.add(record, sessionIds, this.sentMessages.get(messageId).ttl);
         } catch (error) {
             console.error('❌ Failed to send message:', error);
+            this.sentMessages.delete(messageId);
             return false;
         }
+
+        // From here on the outbox owns the message - whatever fails is retried
+        await this.attemptDelivery(entry, envelope);
+        return messageId;
+    }
+
+    /**
+     * One delivery attempt over every path still needed: the data channel of each
+     * member yet to acknowledge, and the mailbox until it holds a copy
+     * The first attempt encrypts once under our sender key (or under each peer's ratchet
+     * without one); retries only have the sealed record, which every member it was
+     * sealed for can open just the same
+     */
+    async attemptDelivery(entry, envelope = null) {
+        let groupPayload = null;
+
+        for (const peerSessionId of entry.pending) {
+            if (!this.webrtc.isPeerOpen(peerSessionId)) continue;
+
+            try {
+                let webrtcPayload;
+                if (!envelope) {
+                    webrtcPayload = { type: 'encrypted_chat', ...entry.record };
+                } else if (this.senderKeys) {
+                    groupPayload = groupPayload || await this.senderKeys.sealGroupMessage(envelope);
+                    webrtcPayload = groupPayload;
+                } else {
+                    webrtcPayload = await this.buildWebRTCPayload(envelope, entry.record, peerSessionId);
+                }
+                if (this.webrtc.sendToPeer(peerSessionId, webrtcPayload)) {
+                    console.log('✅ Message sent via WebRTC to', peerSessionId);
+                }
+            } catch (error) {
+                console.warn('⚠️ WebRTC send failed:', peerSessionId, error.message);
+            }
+        }
+
+        // Always store in the mailbox for reliability and offline delivery
+        if (this.needsMailboxCopy(entry.record) && !entry.stored) {
+            try {
+                await this.storeOfflineMessage(entry.record);
+                entry.stored = true;
+                console.log('📝 Message stored in mailbox');
+                this.watchMailboxAcks(entry.id);
+            } catch (error) {
+                console.warn('⚠️ Mailbox write failed, will retry:', error.message);
+            }
+        }
+
+        // Receipts may have settled it while we were sending
+        if (!this.outbox.get(entry.id)) return;
+
+        // With nobody else around the mailbox copy is all there is to deliver
+        const parked = entry.pending.length === 0 && (entry.stored || !this.needsMailboxCopy(entry.record));
+        if (parked || entry.ttl < Date.now()) {
+            await this.outbox.remove(entry.id);
+            return;
+        }
+
+        await this.outbox.scheduleRetry(entry);
+        this.scheduleOutbox();
+    }
+
+    /**
+     * Pick up messages a previous page load never got acknowledged
+     */
+    async restoreOutbox() {
+        const entries = await this.outbox.load();
+
+        for (const entry of entries) {
+            await this.trackDelivery(entry.record, entry.pending, entry.ttl);
+            if (entry.stored) {
+                this.watchMailboxAcks(entry.id);
+            }
+        }
+
+        if (entries.length > 0) {
+            console.log(`📮 Restored ${entries.length} unacknowledged messages from the outbox`);
+        }
+        this.scheduleOutbox();
+    }
+
+    // One timer, set for whichever entry is due first
+    scheduleOutbox() {
+        clearTimeout(this.outboxTimer);
+        this.outboxTimer = null;
+
+        const next = this.outbox.nextDue();
+        if (next !== null) {
+            this.outboxTimer = setTimeout(() => this.retryOutbox(), Math.max(0, next - Date.now()));
+        }
+    }
+
+    async retryOutbox() {
+        if (this.retrying) return;
+        this.retrying = true;
+
+        try {
+            for (const entry of this.outbox.due()) {
+                console.log(`🔁 Retrying message ${entry.id} (attempt ${entry.attempts + 1})`);
+                await this.attemptDelivery(entry);
+            }
+        } finally {
+            this.retrying = false;
+            this.scheduleOutbox();
+        }
+    }
+
+    /**
+     * Bring the outbox in line with a message's receipts; done once nobody is pending
+     */
+    async updateOutbox(messageId) {
+        const entry = this.outbox.get(messageId);
+        const status = this.getDeliveryStatus(messageId);
+        if (!entry || !status) return;
+
+        entry.pending = status.pending;
+        if (entry.pending.length === 0) {
+            await this.outbox.remove(messageId);
+            console.log('📮 Message acknowledged by everyone:', messageId);
+        } else {
+            await this.outbox.save(entry);
+        }
+    }
+
+    /**
+     * Build the signed inner envelope - everything except routing data goes in here
+     */
+    async buildEnvelope(messageId, text, timestamp) {
+        const envelope = {
+            type: 'encrypted_chat',
+            id: messageId,
+            sender: this.crypto.getSessionId(),
+            alias: this.alias,
+            timestamp: timestamp,
+            counter: this.crypto.nextCounter(),
+            text: text
+        };
+
+        envelope.signature = await this.crypto.signPayload(this.envelopeSignedFields(envelope));
+        return envelope;
+    }
+
+    envelopeSignedFields(envelope) {
+        return {
+            type: envelope.type,
+            id: envelope.id,
+            sender: envelope.sender,
+            timestamp: envelope.timestamp,
+            counter: envelope.counter,
+            data: envelope.text,
+            signature: envelope.signature
+        };
     }
 
     /**
      * Handle incoming messages from any source
      */
-    async handleIncomingMessage(messageData, source) {
+    async handleIncomingMessage(messageData, source, peerSessionId = null) {
         try {
-            // Prevent duplicate processing
+            // Prevent duplicate processing - the mailbox copy of a message we already
+            // got directly still needs our acknowledgement before it can be purged, and
+            // a direct resend means the sender missed our receipt
             if (this.deliveredMessages.has(messageData.id)) {
                 console.log('⏭️ Skipping duplicate message:', messageData.id);
+                if (source === 'firebase') {
+                    await this.markMessageAsDelivered(messageData.id);
+                } else if (peerSessionId) {
+                    await this.sendReceipt(peerSessionId, [messageData.id], 'delivered');
+                }
                 return;
             }
 
-            // Skip our own messages
-            if (messageData.sender === this.crypto.getSessionId()) {
-                console.log('⏭️ Skipping own message:', messageData.id);
-                return;
+            const message = await this.openMessage(messageData, source, peerSessionId);
+            if (message) {
+                await this.deliverMessage(message, source);
             }
+        } catch (error) {
+            console.error('❌ Failed to handle incoming message:', error);
+        }
+    }
 
-            // Decrypt message
-            const decrypted = await this.crypto.decryptMessage({
-                data: messageData.data,
-                iv: messageData.iv
-            });
+    /**
+     * Decrypt and authenticate a payload
+     * Returns null for messages that are ours, not addressed to us, or forged
+     */
+    async openMessage(messageData, source, peerSessionId = null) {
+        // Skip our own messages (legacy payloads carry the sender in cleartext)
+        if (messageData.sender === this.crypto.getSessionId()) {
+            console.log('⏭️ Skipping own message:', messageData.id);
+            return null;
+        }
+
+        let message;
+        let signed;
+
+        if (messageData.envelope || messageData.type === 'group_chat') {
+            const envelope = messageData.envelope
+                ? await this.openEnvelope(messageData)
+                : await this.openGroupMessage(messageData, peerSessionId);
+            if (!envelope) {
+                console.log('⏭️ Skipping message sealed for other members:', messageData.id);
+                return null;
+            }
 
-            // Mark as delivered
-            this.deliveredMessages.add(messageData.id);
+            if (envelope.id !== messageData.id) {
+                throw new Error('Envelope ID does not match stored message ID');
+            }
 
-            // Get sender alias from signaling
-            const aliases = await this.signaling.getParticipantAliases();
-            const senderAlias = aliases[messageData.sender] || 'Unknown';
+            if (envelope.sender === this.crypto.getSessionId()) {
+                console.log('⏭️ Skipping own message:', messageData.id);
+                return null;
+            }
 
-            // Notify UI
-            if (this.onMessageReceived) {
-                this.onMessageReceived({
+            signed = this.envelopeSignedFields(envelope);
+            message = {
+                id: envelope.id,
+                text: envelope.text,
+                timestamp: envelope.timestamp,
+                counter: envelope.counter,
+                senderId: envelope.sender,
+                envelopeAlias: envelope.alias
+            };
+        } else if (messageData.header) {
+            signed = messageData;
+            message = {
+                id: messageData.id,
+                timestamp: messageData.timestamp,
+                counter: messageData.counter,
+                senderId: messageData.sender
+            };
+        } else {
+            throw new Error('Unsupported message format - no replay protection');
+        }
+
+        // Reject forgeries before trusting the content
+        message.signatureStatus = await this.checkSignature(signed);
+        if (message.signatureStatus === 'invalid') {
+            console.warn('🚨 Rejected message with invalid signature:', messageData.id);
+            if (this.onMessageRejected) {
+                this.onMessageRejected({
                     id: messageData.id,
-                    text: decrypted,
-                    timestamp: messageData.timestamp,
-                    sender: 'remote',
-                    senderAlias: senderAlias,
-                    senderId: messageData.sender,
-                    source: source
+                    claimedSender: message.senderId,
+                    source: source,
+                    reason: 'invalid_signature'
                 });
             }
+            return null;
+        }
 
-            console.log(`📨 Message received via ${source}:`, messageData.id);
+        if (messageData.header) {
+            message.text = await this.crypto.ratchetDecrypt(messageData, messageData.sender, messageData.counter);
+        }
+
+        return message;
+    }
 
-            // If received via Firebase, mark as delivered and delete
+    /**
+     * Open a sealed envelope, fetching member keys once if the sealing member is unknown
+     */
+    async openEnvelope(record) {
+        try {
+            return await this.crypto.openEnvelope(record);
+        } catch (error) {
+            await this.refreshPeerKeys();
+            return this.crypto.openEnvelope(record);
+        }
+    }
+
+    /**
+     * Decrypt a sender key payload - only valid on the data channel of the member who sent it
+     */
+    async openGroupMessage(payload, peerSessionId) {
+        if (!this.senderKeys) {
+            throw new Error('Group message received without sender keys');
+        }
+        if (payload.sender !== peerSessionId) {
+            throw new Error('Group message sender does not match the DataChannel it arrived on');
+        }
+
+        return this.senderKeys.openGroupMessage(payload);
+    }
+
+    /**
+     * Hand an opened message to the UI
+     */
+    async deliverMessage(message, source) {
+        // Another path may have delivered it while we were decrypting
+        if (this.deliveredMessages.has(message.id)) return;
+
+        // Mark as delivered
+        this.deliveredMessages.add(message.id);
+
+        // The counter is bound into the ciphertext, so a re-injected blob cannot carry a fresh one
+        if (!this.crypto.acceptCounter(message.senderId, message.counter)) {
+            console.warn('🚨 Dropped replayed or stale message:', message.id);
+            // Most often an outbox retry of something we showed before a reload
             if (source === 'firebase') {
-                await this.markMessageAsDelivered(messageData.id);
+                await this.markMessageAsDelivered(message.id);
+            } else {
+                await this.sendReceipt(message.senderId, [message.id], 'delivered');
             }
+            return;
+        }
 
-        } catch (error) {
-            console.error('❌ Failed to handle incoming message:', error);
+        // Get sender alias from signaling
+        const aliases = await this.signaling.getParticipantAliases();
+        const senderAlias = aliases[message.senderId] || message.envelopeAlias || 'Unknown';
+
+        // Notify UI
+        if (this.onMessageReceived) {
+            this.onMessageReceived({
+                id: message.id,
+                text: message.text,
+                timestamp: message.timestamp,
+                sender: 'remote',
+                senderAlias: senderAlias,
+                senderId: message.senderId,
+                source: source,
+                signatureStatus: message.signatureStatus
+            });
+        }
+
+        console.log(`📨 Message received via ${source}:`, message.id);
+
+        // Mailbox pickups are reported by the acknowledgement below
+        await this.sendReceipt(message.senderId, [message.id], 'delivered');
+
+        // If received via Firebase, acknowledge it in the mailbox
+        if (source === 'firebase') {
+            await this.markMessageAsDelivered(message.id);
         }
     }
 
     /**
-     * Store message in Firebase for offline delivery
+     * Re-encrypt the DataChannel copy under the peer's ratchet so direct
+     * delivery gets forward secrecy; otherwise send the sealed record as is
      */
-    async storeOfflineMessage(messagePayload) {
-        const roomId = this.crypto.getRoomId();
-        const messageId = messagePayload.id;
+    async buildWebRTCPayload(envelope, record, peerSessionId) {
+        if (!peerSessionId || !this.crypto.hasSessionKey(peerSessionId)) {
+            return { type: 'encrypted_chat', ...record };
+        }
+
+        const encrypted = await this.crypto.ratchetEncrypt(envelope.text, peerSessionId, envelope.counter);
+        const webrtcPayload = {
+            id: envelope.id,
+            type: envelope.type,
+            header: encrypted.header,
+            data: encrypted.data,
+            iv: encrypted.iv,
+            timestamp: envelope.timestamp,
+            counter: envelope.counter,
+            sender: envelope.sender
+        };
+
+        webrtcPayload.signature = await this.crypto.signPayload(webrtcPayload);
+        return webrtcPayload;
+    }
+
+    /**
+     * Verify the sender signature, fetching the sender's published key if we don't have it yet
+     */
+    async checkSignature(signedPayload) {
+        let status = await this.crypto.verifyPayloadSignature(signedPayload);
+
+        if (status === 'unknown') {
+            await this.refreshPeerKeys();
+            status = await this.crypto.verifyPayloadSignature(signedPayload);
+        }
+
+        return status;
+    }
 
-        await this.signaling.firebaseRefs.set(
-            this.signaling.firebaseRefs.ref(
-                this.signaling.database, 
-                `encrypted_messages/${roomId}/${messageId}`
-            ),
-            {
-                data: messagePayload.data,
-                iv: messagePayload.iv,
-                timestamp: messagePayload.timestamp,
-                sender: messagePayload.sender,
-                ttl: Date.now() + (24 * 60 * 60 * 1000), // 24 hour expiry
-                delivered: false
+    /**
+     * Import key bundles published in the roster - session keys for active participants,
+     * mailbox keys for everyone including members who have left
+     * Returns the session IDs of active participants we share a session key with
+     */
+    async refreshPeerKeys() {
+        const bundles = await this.signaling.getParticipantKeyBundles();
+        const recipients = [];
+
+        for (const [sessionId, { bundle, active }] of Object.entries(bundles)) {
+            try {
+                if (active) {
+                    await this.crypto.handleKeyExchangeBundle(bundle);
+                    recipients.push(sessionId);
+                } else {
+                    await this.crypto.addMailboxMember(bundle);
+                }
+            } catch (error) {
+                console.warn('⚠️ Rejected key bundle from participant:', sessionId, error.message);
             }
-        );
+        }
+
+        return recipients;
+    }
+
+    /**
+     * Store sealed envelope in the signaling mailbox for offline delivery
+     * Only routing data stays in cleartext: ciphertext, recipient tags and expiry
+     */
+    async storeOfflineMessage(record) {
+        const stored = {
+            envelope: record.envelope,
+            data: record.data,
+            iv: record.iv,
+            recipients: record.recipients,
+            ttl: Date.now() + MAILBOX_TTL
+        };
+
+        await this.signaling.storeOfflineMessage(record.id, stored);
+    }
+
+    /**
+     * Manually signaled sessions have no signaling room and so no mailbox
+     */
+    hasMailbox() {
+        return !!this.signaling.currentRoomId;
+    }
+
+    // A record sealed for nobody - no other member has published a key yet - is not worth storing
+    needsMailboxCopy(record) {
+        return this.hasMailbox() && Object.keys(record.recipients || {}).length > 0;
     }
 
     /**
      * Load offline messages when joining room
      */
     async loadOfflineMessages() {
-        try {
-            const roomId = this.crypto.getRoomId();
-            const messagesRef = this.signaling.firebaseRefs.ref(
-                this.signaling.database, 
-                `encrypted_messages/${roomId}`
-            );
+        if (!this.hasMailbox()) return;
 
-            const snapshot = await this.signaling.firebaseRefs.get(messagesRef);
+        try {
+            const mailbox = await this.signaling.getOfflineMessages();
             
-            if (!snapshot.exists()) {
+            if (Object.keys(mailbox).length === 0) {
                 console.log('📭 No offline messages found');
                 return;
             }
 
-            const messages = [];
-            snapshot.forEach((childSnapshot) => {
-                const messageData = childSnapshot.val();
-                const messageId = childSnapshot.key;
-
-                // Skip expired or delivered messages
-                if (messageData.ttl < Date.now() || messageData.delivered) {
-                    return;
+            const myTag = await this.getRecipientTag();
+            const records = [];
+            for (const [messageId, messageData] of Object.entries(mailbox)) {
+                // Skip expired messages and those we already acknowledged
+                if (messageData.ttl < Date.now() || messageData.deliveredTo?.[myTag]) {
+                    continue;
                 }
 
-                // Skip our own messages
-                if (messageData.sender === this.crypto.getSessionId()) {
-                    return;
-                }
-
-                messages.push({
+                records.push({
                     id: messageId,
                     ...messageData
                 });
-            });
+            }
+
+            // Timestamps are sealed, so open everything before ordering
+            const messages = [];
+            for (const record of records) {
+                if (this.deliveredMessages.has(record.id)) continue;
+
+                try {
+                    const message = await this.openMessage(record, 'firebase');
+                    if (message) {
+                        messages.push(message);
+                    }
+                } catch (error) {
+                    console.warn('⚠️ Could not open offline message:', record.id, error.message);
+                }
+            }
 
-            // Sort by timestamp
             messages.sort((a, b) => a.timestamp - b.timestamp);
 
             console.log(`📥 Loading ${messages.length} offline messages`);
 
-            // Process each message
             for (const message of messages) {
-                await this.handleIncomingMessage(message, 'firebase');
+                await this.deliverMessage(message, 'firebase');
             }
 
         } catch (error) {
@@ -217,32 +575,239 @@ export class MessageManager {
     }
 
     /**
-     * Mark message as delivered and delete from Firebase
+     * Acknowledge a mailbox message under our recipient tag; whoever completes
+     * the set of recipients it was sealed for deletes it
      */
     async markMessageAsDelivered(messageId) {
         try {
-            const roomId = this.crypto.getRoomId();
-            const messageRef = this.signaling.firebaseRefs.ref(
-                this.signaling.database, 
-                `encrypted_messages/${roomId}/${messageId}`
-            );
-
-            await this.signaling.firebaseRefs.remove(messageRef);
-            console.log('🗑️ Deleted delivered message:', messageId);
+            const record = await this.signaling.acknowledgeOfflineMessage(messageId, await this.getRecipientTag());
+
+            // The ack recreates an already purged record as a bare deliveredTo map
+            const purged = !record?.data;
+            const complete = record?.recipients &&
+                Object.keys(record.recipients).every(tag => record.deliveredTo?.[tag]);
+
+            if (purged || complete) {
+                await this.signaling.deleteOfflineMessage(messageId);
+                console.log('🗑️ Deleted message delivered to all recipients:', messageId);
+            } else {
+                console.log('✅ Acknowledged mailbox message:', messageId);
+            }
         } catch (error) {
-            console.error('❌ Failed to delete message:', error);
+            console.error('❌ Failed to acknowledge message:', error);
+        }
+    }
+
+    /**
+     * Our tag in mailbox recipient lists - taken from our identity key, so later sessions
+     * of this browser find the same copies, and keyed with the room MAC key, so only
+     * members can tell whose it is
+     */
+    async getRecipientTag() {
+        if (!this.recipientTag) {
+            this.recipientTag = await this.crypto.recipientTag(this.crypto.getIdentityPublicKey());
+        }
+        return this.recipientTag;
+    }
+
+    /**
+     * Start tracking a message we sent - every member it was sealed for or sent
+     * to directly begins as 'sent' and moves up as receipts come in
+     */
+    async trackDelivery(record, sessionIds, ttl = Date.now() + MAILBOX_TTL) {
+        const recipients = new Map();
+        for (const sessionId of sessionIds) {
+            const identityKey = this.crypto.getPeerIdentityKey(sessionId);
+            const tag = identityKey && await this.crypto.recipientTag(identityKey);
+            if (tag && record.recipients?.[tag]) {
+                recipients.set(tag, sessionId);
+            }
         }
+
+        this.sentMessages.set(record.id, {
+            recipients,
+            states: new Map(sessionIds.map(sessionId => [sessionId, 'sent'])),
+            ttl,
+            unsubscribe: null
+        });
+        this.notifyDelivery(record.id);
     }
 
     /**
-     * Process queued messages when WebRTC connects
+     * Follow the acknowledgements on a message in the mailbox until everyone
+     * it was sealed for has it or it expires
+     */
+    watchMailboxAcks(messageId) {
+        const tracked = this.sentMessages.get(messageId);
+        if (!tracked || tracked.recipients.size === 0) return;
+
+        tracked.unsubscribe = this.signaling.watchOfflineMessage(messageId, (stored) => {
+            // Only the last recipient purges the record, so gone before expiry means delivered
+            if (!stored && Date.now() > tracked.ttl) {
+                this.stopTracking(messageId);
+                return;
+            }
+            const acknowledged = stored ? Object.keys(stored.deliveredTo || {}) : Array.from(tracked.recipients.keys());
+
+            for (const tag of acknowledged) {
+                if (tracked.recipients.has(tag)) {
+                    this.markRecipient(messageId, tracked.recipients.get(tag), 'delivered');
+                }
+            }
+
+            if (Array.from(tracked.recipients.values()).every(sessionId => tracked.states.get(sessionId) !== 'sent')) {
+                this.stopTracking(messageId);
+            }
+        });
+    }
+
+    /**
+     * Move a recipient's state forward - receipts from two paths may arrive in any order
+     */
+    markRecipient(messageId, sessionId, state) {
+        const tracked = this.sentMessages.get(messageId);
+        if (!tracked?.states.has(sessionId)) return;
+
+        if (RECEIPT_STATES.indexOf(state) <= RECEIPT_STATES.indexOf(tracked.states.get(sessionId))) return;
+
+        tracked.states.set(sessionId, state);
+        this.notifyDelivery(messageId);
+        this.updateOutbox(messageId).catch(error => console.warn('⚠️ Could not update outbox:', error));
+    }
+
+    notifyDelivery(messageId) {
+        const status = this.getDeliveryStatus(messageId);
+        if (status && this.onDeliveryUpdate) {
+            this.onDeliveryUpdate(messageId, status);
+        }
+    }
+
+    /**
+     * Who has a message we sent, who read it and who it is still waiting for
+     * state sums it up: 'read' or 'delivered' once that holds for everyone, else 'sent'
+     */
+    getDeliveryStatus(messageId) {
+        const tracked = this.sentMessages.get(messageId);
+        if (!tracked) return null;
+
+        const entries = Array.from(tracked.states);
+        const inState = (...states) => entries.filter(([, state]) => states.includes(state)).map(([sessionId]) => sessionId);
+        const delivered = inState('delivered', 'read');
+        const read = inState('read');
+        const pending = inState('sent');
+
+        let state = 'sent';
+        if (entries.length > 0 && read.length === entries.length) {
+            state = 'read';
+        } else if (entries.length > 0 && pending.length === 0) {
+            state = 'delivered';
+        }
+
+        return { state, delivered, read, pending };
+    }
+
+    /**
+     * Tell a sender we got or read their messages - over the data channel when
+     * there is one; otherwise the mailbox acknowledgement already covers delivery
+     * and read receipts go through the signaling server
+     */
+    async sendReceipt(senderId, messageIds, status) {
+        if (this.webrtc.isPeerOpen(senderId) && this.webrtc.sendToPeer(senderId, { type: 'receipt', status, ids: messageIds })) {
+            return;
+        }
+
+        if (status !== 'read' || !this.hasMailbox()) return;
+
+        try {
+            await this.signaling.sendReceipt(await this.crypto.recipientTag(senderId), {
+                status,
+                ids: messageIds,
+                from: await this.getRecipientTag()
+            });
+        } catch (error) {
+            console.error('❌ Failed to send read receipt:', error);
+        }
+    }
+
+    /**
+     * Messages the user has now seen; nothing is sent when read receipts are turned off
+     */
+    async markAsRead(messages) {
+        if (!this.sendReadReceipts) return;
+
+        const bySender = new Map();
+        for (const { id, senderId } of messages) {
+            if (!bySender.has(senderId)) bySender.set(senderId, []);
+            bySender.get(senderId).push(id);
+        }
+
+        for (const [senderId, ids] of bySender) {
+            await this.sendReceipt(senderId, ids, 'read');
+        }
+    }
+
+    /**
+     * Receipt frame from a member's data channel - the channel vouches for who sent it
+     */
+    handleReceipt(receipt, sessionId) {
+        if (!['delivered', 'read'].includes(receipt.status) || !Array.isArray(receipt.ids)) return;
+
+        for (const messageId of receipt.ids) {
+            this.markRecipient(messageId, sessionId, receipt.status);
+        }
+    }
+
+    /**
+     * Receipts left for us in the signaling server, consumed as they arrive
+     * The inbox is per session, since only this session tracks what it sent; receipts
+     * name the reader by mailbox recipient tag, which only room members can compute
+     */
+    async listenForReceipts() {
+        const myTag = await this.crypto.recipientTag(this.crypto.getSessionId());
+
+        this.signaling.listenForReceipts(myTag, async (key, receipt) => {
+            for (const messageId of Array.isArray(receipt.ids) ? receipt.ids : []) {
+                const sessionId = this.sentMessages.get(messageId)?.recipients.get(receipt.from);
+                if (sessionId) {
+                    this.handleReceipt({ status: receipt.status, ids: [messageId] }, sessionId);
+                }
+            }
+
+            await this.signaling.deleteReceipt(myTag, key).catch(() => {});
+        });
+    }
+
+    // Keeps the final status for the UI, drops the subscription
+    stopTracking(messageId) {
+        const tracked = this.sentMessages.get(messageId);
+        if (tracked?.unsubscribe) {
+            tracked.unsubscribe();
+            tracked.unsubscribe = null;
+        }
+    }
+
+    /**
+     * A data channel opened - retry everything in the outbox now rather than
+     * waiting out its backoff
      */
     processMessageQueue() {
-        console.log(`📋 Processing ${this.messageQueue.length} queued messages`);
-        
-        while (this.messageQueue.length > 0) {
-            const message = this.messageQueue.shift();
-            this.webrtc.sendMessage(message);
+        console.log(`📋 Processing ${this.outbox.size} outbox messages`);
+
+        for (const entry of this.outbox.entries.values()) {
+            entry.nextAttempt = Date.now();
+        }
+        this.retryOutbox();
+    }
+
+    /**
+     * Stop retrying and following acknowledgements; the outbox stays on disk
+     */
+    close() {
+        clearTimeout(this.outboxTimer);
+        this.outboxTimer = null;
+
+        for (const messageId of this.sentMessages.keys()) {
+            this.stopTracking(messageId);
         }
     }
 
@@ -250,35 +815,34 @@ export class MessageManager {
      * Cleanup expired messages (called periodically)
      */
     async cleanupExpiredMessages() {
-        try {
-            const roomId = this.crypto.getRoomId();
-            const messagesRef = this.signaling.firebaseRefs.ref(
-                this.signaling.database, 
-                `encrypted_messages/${roomId}`
-            );
+        if (!this.hasMailbox()) return;
 
-            const snapshot = await this.signaling.firebaseRefs.get(messagesRef);
-            
-            if (!snapshot.exists()) return;
+        try {
+            const mailbox = await this.signaling.getOfflineMessages();
 
             const deletePromises = [];
             const now = Date.now();
 
-            snapshot.forEach((childSnapshot) => {
-                const messageData = childSnapshot.val();
-                
-                // Delete expired messages
-                if (messageData.ttl < now) {
+            for (const [messageId, messageData] of Object.entries(mailbox)) {
+                // Delete expired messages, and records left behind by a late acknowledgement
+                if (messageData.ttl < now || !messageData.data) {
                     deletePromises.push(
-                        this.signaling.firebaseRefs.remove(childSnapshot.ref)
+                        this.signaling.deleteOfflineMessage(messageId)
                     );
                 }
-            });
+            }
 
             if (deletePromises.length > 0) {
                 await Promise.all(deletePromises);
                 console.log(`🧹 Cleaned up ${deletePromises.length} expired messages`);
             }
+
+            // Nobody can acknowledge an expired message any more
+            for (const [messageId, tracked] of this.sentMessages) {
+                if (tracked.ttl < now) {
+                    this.stopTracking(messageId);
+                }
+            }
         } catch (error) {
             console.error('❌ Failed to cleanup messages:', error);
         }
@@ -288,7 +852,8 @@ export class MessageManager {
      * Generate unique message ID
      */
     generateMessageId() {
-        return `msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        // Random only - a timestamp in the ID would leak when the message was sent
+        return `msg_${this.crypto.generateSessionId()}`;
     }
 
     /**
@@ -297,8 +862,9 @@ export class MessageManager {
     getStats() {
         return {
             webrtcConnected: this.isWebRTCConnected,
-            queuedMessages: this.messageQueue.length,
-            deliveredMessages: this.deliveredMessages.size
+            queuedMessages: this.outbox.size,
+            deliveredMessages: this.deliveredMessages.size,
+            trackedMessages: this.sentMessages.size
         };
     }
 }
\ No newline at end of file
@@ -1,271 +1,319 @@
-import { webrtcConfig } from './config.js';
+/**
+ * Full-mesh WebRTC: one WebRTCManager per remote member
+ * Every pair runs its own perfect negotiation, control channel and routing;
+ * local media is one shared stream added to every connection.
+ */
+
+import { WebRTCManager } from './webrtc.js';
 
 export class MultiPeerWebRTCManager {
     constructor() {
-        this.peerConnections = new Map(); // sessionId -> RTCPeerConnection
-        this.dataChannels = new Map(); // sessionId -> RTCDataChannel
+        this.peers = new Map(); // remote sessionId -> WebRTCManager
         this.localStream = null;
-        this.onMessageReceived = null;
-        this.onConnectionStateChange = null;
-        this.onRemoteStream = null;
-        this.onIceCandidate = null;
-        this.iceCandidateBuffers = new Map(); // sessionId -> [candidates]
-        this.connectedPeers = new Set();
         this.sessionId = null;
+        this.certificate = null;
+        this.onMessageReceived = null; // (data, sessionId)
+        this.onConnectionStateChange = null; // (state, sessionId)
+        this.onDataChannelOpen = null; // (sessionId)
+        this.onRemoteStream = null; // (stream, sessionId)
+        this.onIceCandidate = null; // (candidate, routing)
+        this.onDescription = null; // (description, routing)
+        this.onControlOpen = null; // (sessionId)
+        this.onControlMessage = null; // (message, sessionId)
+        this.canAcceptPeer = null; // (sessionId) => whether a sender we have no connection with may open one
     }
 
     setSessionId(sessionId) {
         this.sessionId = sessionId;
     }
 
-    async createPeerConnection(remoteSessionId) {
-        if (this.peerConnections.has(remoteSessionId)) {
-            console.log(`🔗 Peer connection already exists for ${remoteSessionId}`);
-            return this.peerConnections.get(remoteSessionId);
+    getPeer(remoteSessionId) {
+        return this.peers.get(remoteSessionId) || null;
+    }
+
+    /**
+     * Connect to a member; negotiationneeded sends them an offer addressed by session ID
+     */
+    async createPeerConnection(remoteSessionId, options = {}) {
+        if (this.peers.has(remoteSessionId)) {
+            return this.peers.get(remoteSessionId);
         }
 
-        const peerConnection = new RTCPeerConnection(webrtcConfig);
-        this.peerConnections.set(remoteSessionId, peerConnection);
-        this.iceCandidateBuffers.set(remoteSessionId, []);
+        const peer = new WebRTCManager();
+        peer.sessionId = this.sessionId;
+        peer.certificate = this.certificate;
+        peer.remoteSessionId = remoteSessionId;
+        peer.localStream = this.localStream;
+        this.peers.set(remoteSessionId, peer);
+        this.bindPeer(peer);
 
-        console.log(`🔗 Peer connection created for ${remoteSessionId}`);
+        await peer.createPeerConnection(options);
+        this.localStream?.getTracks().forEach(track => peer.peerConnection.addTrack(track, this.localStream));
 
-        // Set up event handlers
-        peerConnection.onicecandidate = (event) => {
-            if (event.candidate && this.onIceCandidate) {
-                this.onIceCandidate(event.candidate, remoteSessionId);
-            }
-        };
+        console.log(`🔗 Mesh connection created for ${remoteSessionId} (${this.peers.size} peers)`);
+        return peer;
+    }
 
-        peerConnection.onconnectionstatechange = () => {
-            console.log(`🔄 Connection state for ${remoteSessionId}:`, peerConnection.connectionState);
-            
-            if (peerConnection.connectionState === 'connected') {
-                this.connectedPeers.add(remoteSessionId);
-            } else if (peerConnection.connectionState === 'disconnected' || 
-                       peerConnection.connectionState === 'failed') {
-                this.connectedPeers.delete(remoteSessionId);
-            }
-            
-            if (this.onConnectionStateChange) {
-                this.onConnectionStateChange(peerConnection.connectionState, remoteSessionId);
-            }
+    /**
+     * Forward a peer's callbacks tagged with its session ID - read at call time,
+     * since a manually connected peer only learns it after the key exchange
+     */
+    bindPeer(peer) {
+        peer.onIceCandidate = (candidate, routing) => {
+            if (this.onIceCandidate) this.onIceCandidate(candidate, routing);
         };
-
-        // Handle remote stream
-        peerConnection.ontrack = (event) => {
-            console.log(`📺 Remote stream received from ${remoteSessionId}`);
-            if (event.streams && event.streams[0] && this.onRemoteStream) {
-                this.onRemoteStream(event.streams[0], remoteSessionId);
-            }
+        peer.onDescription = (description, routing) => {
+            if (this.onDescription) this.onDescription(description, routing);
         };
-
-        // Handle data channel
-        peerConnection.ondatachannel = (event) => {
-            console.log(`📡 Data channel received from ${remoteSessionId}`);
-            this.setupDataChannel(event.channel, remoteSessionId);
+        peer.onConnectionStateChange = (state) => {
+            if (this.onConnectionStateChange) this.onConnectionStateChange(state, peer.remoteSessionId);
         };
-
-        // Add local stream if available
-        if (this.localStream) {
-            this.localStream.getTracks().forEach(track => {
-                peerConnection.addTrack(track, this.localStream);
-            });
-        }
-
-        return peerConnection;
-    }
-
-    createDataChannel(remoteSessionId) {
-        const peerConnection = this.peerConnections.get(remoteSessionId);
-        if (!peerConnection) return;
-        
-        const dataChannel = peerConnection.createDataChannel('messages', { ordered: true });
-        this.dataChannels.set(remoteSessionId, dataChannel);
-        this.setupDataChannel(dataChannel, remoteSessionId);
-    }
-
-    setupDataChannel(channel, remoteSessionId) {
-        console.log(`🔧 Setting up data channel for ${remoteSessionId}`);
-        
-        channel.onopen = () => {
-            console.log(`✅ Data channel opened for ${remoteSessionId}`);
-            this.dataChannels.set(remoteSessionId, channel);
+        peer.onDataChannelOpen = () => {
+            if (this.onDataChannelOpen) this.onDataChannelOpen(peer.remoteSessionId);
         };
-
-        channel.onmessage = (event) => {
-            try {
-                const data = JSON.parse(event.data);
-                if (this.onMessageReceived) {
-                    this.onMessageReceived(data, remoteSessionId);
-                }
-            } catch (error) {
-                console.warn(`⚠️ Failed to parse message from ${remoteSessionId}:`, error);
-            }
+        peer.onMessageReceived = (data) => {
+            if (this.onMessageReceived) this.onMessageReceived(data, peer.remoteSessionId);
         };
-
-        channel.onerror = (error) => {
-            console.error(`❌ Data channel error for ${remoteSessionId}:`, error);
+        peer.onRemoteStream = (stream) => {
+            if (this.onRemoteStream) this.onRemoteStream(stream, peer.remoteSessionId);
         };
-
-        channel.onclose = () => {
-            console.log(`🔒 Data channel closed for ${remoteSessionId}`);
-            this.dataChannels.delete(remoteSessionId);
+        peer.onControlOpen = () => {
+            if (this.onControlOpen) this.onControlOpen(peer.remoteSessionId);
+        };
+        peer.onControlMessage = (message) => {
+            if (this.onControlMessage) this.onControlMessage(message, peer.remoteSessionId);
         };
     }
 
-    async createOffer(remoteSessionId) {
-        const peerConnection = await this.createPeerConnection(remoteSessionId);
-        this.createDataChannel(remoteSessionId);
-        
-        const offer = await peerConnection.createOffer();
-        await peerConnection.setLocalDescription(offer);
-        
-        console.log(`📋 Offer created for ${remoteSessionId}`);
-        return offer;
+    /**
+     * Re-key a peer once its real session ID is known (manual connection codes)
+     */
+    renamePeer(oldSessionId, newSessionId) {
+        const peer = this.peers.get(oldSessionId);
+        if (!peer || oldSessionId === newSessionId) return;
+
+        this.peers.delete(oldSessionId);
+        peer.remoteSessionId = newSessionId;
+        this.peers.set(newSessionId, peer);
     }
 
-    async createAnswer(offer, remoteSessionId) {
-        const peerConnection = await this.createPeerConnection(remoteSessionId);
-        
-        await peerConnection.setRemoteDescription(new RTCSessionDescription(offer));
-        
-        // Process buffered ICE candidates
-        await this.processBufferedCandidates(remoteSessionId);
-        
-        const answer = await peerConnection.createAnswer();
-        await peerConnection.setLocalDescription(answer);
-        
-        console.log(`📋 Answer created for ${remoteSessionId}`);
-        return answer;
+    /**
+     * Signals are broadcast to the whole room; only those for us (or for anyone) count
+     */
+    isAddressedToUs(from) {
+        return from.sender !== this.sessionId && (!from.to || from.to === this.sessionId);
     }
 
-    async handleAnswer(answer, remoteSessionId) {
-        const peerConnection = this.peerConnections.get(remoteSessionId);
-        if (!peerConnection) return;
-        
-        if (peerConnection.signalingState === 'have-local-offer') {
-            await peerConnection.setRemoteDescription(new RTCSessionDescription(answer));
-            await this.processBufferedCandidates(remoteSessionId);
-            console.log(`✅ Answer handled for ${remoteSessionId}`);
+    /**
+     * Route a signaled offer or answer to the connection for its sender
+     * An offer from someone we have no connection with yet opens one, if canAcceptPeer lets them in
+     */
+    async handleRemoteDescription(description, from) {
+        if (!from.sender || !this.isAddressedToUs(from)) return;
+
+        const peer = description.type === 'offer'
+            ? this.peers.get(from.sender) || await this.acceptPeer(from.sender)
+            : this.peers.get(from.sender);
+        if (!peer) {
+            console.log(`↩️ Ignoring ${description.type} from unknown peer ${from.sender}`);
+            return;
         }
+
+        await peer.handleRemoteDescription(description, from);
     }
 
-    async addIceCandidate(candidate, remoteSessionId) {
-        const peerConnection = this.peerConnections.get(remoteSessionId);
-        if (!peerConnection) return;
-        
-        const iceCandidate = new RTCIceCandidate(candidate);
-        
-        if (peerConnection.remoteDescription) {
-            await peerConnection.addIceCandidate(iceCandidate);
-            console.log(`✅ ICE candidate added for ${remoteSessionId}`);
-        } else {
-            // Buffer the candidate
-            const buffer = this.iceCandidateBuffers.get(remoteSessionId) || [];
-            buffer.push(iceCandidate);
-            this.iceCandidateBuffers.set(remoteSessionId, buffer);
-            console.log(`⏳ ICE candidate buffered for ${remoteSessionId}`);
+    async addIceCandidate(candidate, from) {
+        if (!from.sender || !this.isAddressedToUs(from)) return;
+
+        // Addressed candidates can beat the offer here; the new connection buffers them
+        const peer = this.peers.get(from.sender) ||
+            (from.to === this.sessionId ? await this.acceptPeer(from.sender) : null);
+        if (peer) {
+            await peer.addIceCandidate(candidate, from);
         }
     }
 
-    async processBufferedCandidates(remoteSessionId) {
-        const buffer = this.iceCandidateBuffers.get(remoteSessionId) || [];
-        const peerConnection = this.peerConnections.get(remoteSessionId);
-        
-        if (!peerConnection) return;
-        
-        console.log(`🔄 Processing ${buffer.length} buffered candidates for ${remoteSessionId}`);
-        
-        for (const candidate of buffer) {
-            try {
-                await peerConnection.addIceCandidate(candidate);
-            } catch (error) {
-                console.warn(`❌ Failed to add buffered candidate for ${remoteSessionId}:`, error);
-            }
+    async acceptPeer(remoteSessionId) {
+        if (this.canAcceptPeer && !this.canAcceptPeer(remoteSessionId)) {
+            console.warn(`🚫 Refusing connection from ${remoteSessionId}`);
+            return null;
         }
-        
-        this.iceCandidateBuffers.set(remoteSessionId, []);
+        return this.createPeerConnection(remoteSessionId);
     }
 
     // Send message to all connected peers
     sendMessage(messagePayload) {
         let successCount = 0;
-        
-        for (const [sessionId, dataChannel] of this.dataChannels) {
-            if (dataChannel.readyState === 'open') {
-                try {
-                    dataChannel.send(JSON.stringify(messagePayload));
-                    successCount++;
-                } catch (error) {
-                    console.error(`❌ Failed to send message to ${sessionId}:`, error);
-                }
+
+        for (const [sessionId, peer] of this.peers) {
+            if (peer.dataChannel?.readyState === 'open' && peer.sendMessage(messagePayload)) {
+                successCount++;
+            } else {
+                console.log(`⚠️ Data channel not open for ${sessionId}`);
             }
         }
-        
-        console.log(`📤 Message sent to ${successCount}/${this.dataChannels.size} peers`);
+
+        console.log(`📤 Message sent to ${successCount}/${this.peers.size} peers`);
         return successCount > 0;
     }
 
+    // Send message to a single peer over its own DataChannel
+    sendToPeer(remoteSessionId, messagePayload) {
+        const peer = this.peers.get(remoteSessionId);
+        if (!peer || peer.dataChannel?.readyState !== 'open') {
+            console.warn(`⚠️ Data channel not open for ${remoteSessionId}`);
+            return false;
+        }
+
+        return peer.sendMessage(messagePayload);
+    }
+
+    /**
+     * Send over every control channel that is up
+     * Returns the session IDs it reached
+     */
+    sendControl(message) {
+        const reached = [];
+        for (const [sessionId, peer] of this.peers) {
+            if (peer.sendControl(message)) {
+                reached.push(sessionId);
+            }
+        }
+        return reached;
+    }
+
+    isPeerOpen(remoteSessionId) {
+        return this.peers.get(remoteSessionId)?.dataChannel?.readyState === 'open';
+    }
+
+    // Drop a single peer without touching the rest of the mesh
+    removePeer(remoteSessionId) {
+        const peer = this.peers.get(remoteSessionId);
+        if (!peer) return;
+
+        // The shared stream belongs to the mesh - closing one peer must not stop it
+        peer.localStream = null;
+        peer.close();
+        this.peers.delete(remoteSessionId);
+
+        console.log(`👋 Peer removed: ${remoteSessionId}`);
+    }
+
+    mediaConstraints(video, audio) {
+        return {
+            audio: audio ? {
+                echoCancellation: true,
+                noiseSuppression: true,
+                autoGainControl: true
+            } : false,
+            video: video ? {
+                width: { ideal: 1280, max: 1920 },
+                height: { ideal: 720, max: 1080 },
+                frameRate: { ideal: 30, max: 60 },
+                ...(video === true ? {} : video)
+            } : false
+        };
+    }
+
+    /**
+     * Start or extend a call on every connection; negotiationneeded
+     * sends each peer its new offer
+     */
     async startMediaCall(video = false, audio = true) {
         try {
-            const mediaConstraints = {
-                audio: audio ? {
-                    echoCancellation: true,
-                    noiseSuppression: true,
-                    autoGainControl: true
-                } : false,
-                video: video ? {
-                    width: { ideal: 1280, max: 1920 },
-                    height: { ideal: 720, max: 1080 },
-                    frameRate: { ideal: 30, max: 60 }
-                } : false
-            };
-
-            this.localStream = await navigator.mediaDevices.getUserMedia(mediaConstraints);
-            
-            // Add tracks to all existing peer connections
-            for (const [sessionId, peerConnection] of this.peerConnections) {
-                this.localStream.getTracks().forEach(track => {
-                    peerConnection.addTrack(track, this.localStream);
-                });
-                
-                // Renegotiate if connected
-                if (peerConnection.connectionState === 'connected') {
-                    const offer = await peerConnection.createOffer();
-                    await peerConnection.setLocalDescription(offer);
-                    // Signal the new offer to the peer
-                    if (this.onIceCandidate) {
-                        // This would need to be handled by the signaling layer
-                        console.log(`🔄 Renegotiation needed for ${sessionId}`);
-                    }
+            const stream = await navigator.mediaDevices.getUserMedia(this.mediaConstraints(video, audio));
+
+            for (const track of stream.getTracks()) {
+                const current = this.localStream?.getTracks().find(t => t.kind === track.kind);
+                if (current) {
+                    await this.replaceLocalTrack(current, track);
+                } else {
+                    this.addLocalTrack(track);
                 }
             }
 
-            console.log(`✅ Media stream started and added to ${this.peerConnections.size} connections`);
+            console.log(`✅ Media stream started and added to ${this.peers.size} connections`);
             return this.localStream;
-            
+
         } catch (error) {
             console.error('❌ Error accessing media devices:', error);
             throw error;
         }
     }
 
+    addLocalTrack(track) {
+        if (!this.localStream) {
+            this.localStream = new MediaStream();
+        }
+        this.localStream.addTrack(track);
+
+        for (const peer of this.peers.values()) {
+            peer.localStream = this.localStream;
+            peer.peerConnection?.addTrack(track, this.localStream);
+        }
+    }
+
+    removeLocalTrack(track) {
+        for (const peer of this.peers.values()) {
+            const sender = peer.peerConnection?.getSenders().find(s => s.track === track);
+            if (sender) {
+                peer.peerConnection.removeTrack(sender);
+            }
+        }
+
+        track.stop();
+        this.localStream?.removeTrack(track);
+    }
+
+    // Swap in place on every sender - no renegotiation
+    async replaceLocalTrack(oldTrack, newTrack) {
+        for (const peer of this.peers.values()) {
+            const sender = peer.peerConnection?.getSenders().find(s => s.track === oldTrack);
+            if (sender) {
+                await sender.replaceTrack(newTrack);
+            } else {
+                peer.peerConnection?.addTrack(newTrack, this.localStream);
+            }
+        }
+
+        newTrack.enabled = oldTrack.enabled;
+        oldTrack.stop();
+        this.localStream.removeTrack(oldTrack);
+        this.localStream.addTrack(newTrack);
+    }
+
+    /**
+     * Cycle to the next camera, e.g. front/back on phones
+     */
+    async switchCamera() {
+        const current = this.localStream?.getVideoTracks()[0];
+        if (!current) return false;
+
+        const cameras = (await navigator.mediaDevices.enumerateDevices()).filter(d => d.kind === 'videoinput');
+        if (cameras.length < 2) return false;
+
+        const currentId = current.getSettings().deviceId;
+        const index = cameras.findIndex(camera => camera.deviceId === currentId);
+        const next = cameras[(index + 1) % cameras.length];
+
+        const stream = await navigator.mediaDevices.getUserMedia(
+            this.mediaConstraints({ deviceId: { exact: next.deviceId } }, false)
+        );
+        await this.replaceLocalTrack(current, stream.getVideoTracks()[0]);
+        console.log('📷 Switched camera to', next.label || next.deviceId);
+        return true;
+    }
+
     endCall() {
         if (this.localStream) {
-            this.localStream.getTracks().forEach(track => track.stop());
+            this.localStream.getTracks().forEach(track => this.removeLocalTrack(track));
             this.localStream = null;
         }
-        
-        // Remove tracks from all peer connections
-        for (const peerConnection of this.peerConnections.values()) {
-            peerConnection.getSenders().forEach(sender => {
-                if (sender.track) {
-                    peerConnection.removeTrack(sender);
-                }
-            });
+
+        for (const peer of this.peers.values()) {
+            peer.localStream = null;
         }
-        
+
         console.log('📞 Media call ended for all peers');
     }
 
@@ -292,31 +340,24 @@ export class MultiPeerWebRTCManager {
     }
 
     getConnectedPeerCount() {
-        return this.connectedPeers.size;
+        return this.getConnectedPeers().length;
     }
 
+    // Members whose DataChannel is open
     getConnectedPeers() {
-        return Array.from(this.connectedPeers);
+        return Array.from(this.peers.keys()).filter(sessionId => this.isPeerOpen(sessionId));
     }
 
     close() {
         console.log('🔒 Closing all peer connections...');
-        
+
         this.endCall();
-        
-        for (const [sessionId, peerConnection] of this.peerConnections) {
-            peerConnection.close();
-        }
-        
-        for (const [sessionId, dataChannel] of this.dataChannels) {
-            dataChannel.close();
+
+        for (const peer of this.peers.values()) {
+            peer.close();
         }
-        
-        this.peerConnections.clear();
-        this.dataChannels.clear();
-        this.iceCandidateBuffers.clear();
-        this.connectedPeers.clear();
-        
+        this.peers.clear();
+
         console.log('✅ All connections closed');
     }
 }
\ No newline at end of file
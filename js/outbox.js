@@ -0,0 +1,117 @@
+/**
+ * Durable outbox for outgoing chat messages
+ * Every sealed message waits here, in IndexedDB, until each member it was sent to has
+ * acknowledged it or it expires. Only the sealed record is persisted, never the plaintext,
+ * so a reload can keep retrying without anything readable at rest.
+ */
+
+import { LocalStore } from './local-store.js';
+
+const STORE_NAME = 'messages';
+const RETRY_BASE_DELAY = 2000;
+const RETRY_MAX_DELAY = 5 * 60 * 1000;
+
+export class Outbox {
+    constructor(roomId, store = new LocalStore('webrtc_outbox', [STORE_NAME])) {
+        this.roomId = roomId;
+        this.store = store;
+        this.entries = new Map(); // messageId -> entry, mirrors the store for this room
+    }
+
+    /**
+     * Entries left over from earlier page loads in this room; expired ones are dropped
+     */
+    async load() {
+        let stored = [];
+        try {
+            stored = await this.store.getAll(STORE_NAME);
+        } catch (error) {
+            console.warn('⚠️ Outbox storage unavailable, keeping messages in memory only:', error);
+        }
+
+        const now = Date.now();
+        for (const entry of stored) {
+            if (entry.roomId !== this.roomId) continue;
+
+            if (entry.ttl < now) {
+                await this.remove(entry.id);
+            } else {
+                this.entries.set(entry.id, entry);
+            }
+        }
+
+        return Array.from(this.entries.values());
+    }
+
+    /**
+     * Hold a sealed record; pending lists the session IDs that still have to acknowledge it
+     */
+    async add(record, pending, ttl) {
+        const entry = {
+            id: record.id,
+            roomId: this.roomId,
+            record,
+            pending,
+            stored: false,
+            attempts: 0,
+            nextAttempt: Date.now(),
+            ttl
+        };
+
+        await this.save(entry);
+        return entry;
+    }
+
+    get(messageId) {
+        return this.entries.get(messageId) || null;
+    }
+
+    async save(entry) {
+        this.entries.set(entry.id, entry);
+        try {
+            await this.store.put(STORE_NAME, entry.id, entry);
+        } catch (error) {
+            console.warn('⚠️ Could not persist outbox entry:', entry.id, error);
+        }
+    }
+
+    async remove(messageId) {
+        this.entries.delete(messageId);
+        try {
+            await this.store.delete(STORE_NAME, messageId);
+        } catch (error) {
+            console.warn('⚠️ Could not remove outbox entry:', messageId, error);
+        }
+    }
+
+    /**
+     * Book the next attempt: exponential backoff with jitter, capped
+     */
+    async scheduleRetry(entry) {
+        entry.attempts++;
+        const delay = Math.min(RETRY_BASE_DELAY * 2 ** (entry.attempts - 1), RETRY_MAX_DELAY);
+        entry.nextAttempt = Date.now() + delay * (0.75 + Math.random() * 0.5);
+        await this.save(entry);
+    }
+
+    // Entries whose next attempt is due, oldest first
+    due(now = Date.now()) {
+        return Array.from(this.entries.values())
+            .filter(entry => entry.nextAttempt <= now)
+            .sort((a, b) => a.nextAttempt - b.nextAttempt);
+    }
+
+    nextDue() {
+        let next = null;
+        for (const entry of this.entries.values()) {
+            if (next === null || entry.nextAttempt < next) {
+                next = entry.nextAttempt;
+            }
+        }
+        return next;
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+}
\ No newline at end of file
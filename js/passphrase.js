@@ -0,0 +1,110 @@
+/**
+ * Passphrase generation and strength estimation for room keys
+ */
+
+import { WORDLIST } from './wordlist.js';
+import { passphraseConfig } from './config.js';
+
+const WORD_INDEX = new Set(WORDLIST);
+const BITS_PER_WORD = Math.log2(WORDLIST.length);
+const DICTIONARY_WORD_BITS = 17; // roughly a 100k-word dictionary attack
+const COMMON_WORD_BITS = 1;
+
+// Guessed first by every cracking tool - worth next to nothing
+const COMMON_PASSWORDS = new Set([
+    'password', 'passw0rd', 'qwerty', 'qwertyuiop', 'letmein', 'welcome', 'admin',
+    'iloveyou', 'monkey', 'dragon', 'football', 'baseball', 'sunshine', 'princess',
+    'secret', 'master', 'shadow', 'trustno1', 'abc123', 'test', 'chat', 'room'
+]);
+
+const STRENGTH_LABELS = [
+    { below: 28, label: 'very weak' },
+    { below: 45, label: 'weak' },
+    { below: 60, label: 'fair' },
+    { below: 80, label: 'strong' },
+    { below: Infinity, label: 'very strong' }
+];
+
+export class PassphraseGenerator {
+    constructor(config = passphraseConfig) {
+        this.config = config;
+    }
+
+    /**
+     * Diceware-style passphrase from the bundled wordlist
+     * The list has a power-of-two length, so masking random values is unbiased
+     */
+    generate(wordCount = this.config.wordCount) {
+        const indexes = crypto.getRandomValues(new Uint16Array(wordCount));
+        return Array.from(indexes)
+            .map(index => WORDLIST[index & (WORDLIST.length - 1)])
+            .join(this.config.separator);
+    }
+
+    /**
+     * Estimated entropy in bits
+     * Plain words are scored per distinct word - wordlist words at their true value,
+     * common passwords at next to nothing, others as if drawn from a large dictionary.
+     * Repeating a word adds nothing. Anything else is scored by character
+     * pool, ignoring repeated characters and runs like "abc" or "321"
+     */
+    estimateEntropy(password) {
+        if (!password) return 0;
+
+        const words = password.toLowerCase().split(/[\s\-_.]+/).filter(Boolean);
+        if (words.every(word => /^[a-z]+$/.test(word)) && !COMMON_PASSWORDS.has(words.join(''))) {
+            return [...new Set(words)].reduce((bits, word) => bits + this.wordEntropy(word), 0);
+        }
+
+        const base = password.toLowerCase().replace(/[^a-z]/g, '');
+        if (COMMON_PASSWORDS.has(base) || /^\d+$/.test(password)) {
+            return Math.min(10 + password.replace(/[a-z]/gi, '').length * 2, 20);
+        }
+
+        return this.effectiveLength(password) * Math.log2(this.poolSize(password));
+    }
+
+    wordEntropy(word) {
+        if (COMMON_PASSWORDS.has(word)) return COMMON_WORD_BITS;
+        if (WORD_INDEX.has(word)) return BITS_PER_WORD;
+        return Math.min(this.effectiveLength(word) * Math.log2(26), DICTIONARY_WORD_BITS);
+    }
+
+    poolSize(password) {
+        let pool = 0;
+        if (/[a-z]/.test(password)) pool += 26;
+        if (/[A-Z]/.test(password)) pool += 26;
+        if (/\d/.test(password)) pool += 10;
+        if (/[^a-zA-Z\d]/.test(password)) pool += 33;
+        return Math.max(pool, 2);
+    }
+
+    effectiveLength(password) {
+        let length = 0;
+        let previousStep = null;
+
+        for (let i = 0; i < password.length; i++) {
+            const step = i > 0 ? password.charCodeAt(i) - password.charCodeAt(i - 1) : null;
+            const predictable = step !== null && Math.abs(step) <= 1 && step === previousStep;
+            const repeated = step === 0;
+
+            if (!predictable && !repeated) length++;
+            previousStep = step;
+        }
+
+        return length;
+    }
+
+    /**
+     * Score a password against the configured minimum strength
+     */
+    evaluate(password) {
+        const bits = Math.round(this.estimateEntropy(password));
+        return {
+            bits,
+            label: STRENGTH_LABELS.find(level => bits < level.below).label,
+            acceptable: bits >= this.config.minEntropyBits,
+            minEntropyBits: this.config.minEntropyBits
+        };
+    }
+}
\ No newline at end of file
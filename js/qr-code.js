@@ -0,0 +1,411 @@
+/**
+ * Minimal QR code encoder - byte mode, error correction level L
+ * Self-contained so manual signaling works with no CDN or network at all.
+ * Follows ISO/IEC 18004: version selection, Reed-Solomon blocks, masking.
+ */
+
+// Error correction level L, indexed by version (index 0 unused)
+const ECC_CODEWORDS_PER_BLOCK = [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30];
+const NUM_ERROR_CORRECTION_BLOCKS = [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25];
+const ECC_FORMAT_BITS_L = 1;
+const MAX_VERSION = 40;
+
+export class QRCode {
+    /**
+     * Encode UTF-8 text in the smallest version that fits
+     */
+    static fromText(text) {
+        return new QRCode(new TextEncoder().encode(text));
+    }
+
+    constructor(bytes) {
+        this.version = QRCode.chooseVersion(bytes.length);
+        this.size = this.version * 4 + 17;
+        this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+        this.isFunction = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+
+        this.drawFunctionPatterns();
+        this.drawCodewords(this.addEccAndInterleave(this.encodeData(bytes)));
+        this.applyBestMask();
+    }
+
+    static chooseVersion(length) {
+        for (let version = 1; version <= MAX_VERSION; version++) {
+            const usedBits = 4 + QRCode.countBits(version) + length * 8;
+            if (usedBits <= QRCode.numDataCodewords(version) * 8) {
+                return version;
+            }
+        }
+        throw new Error(`Data too long for a QR code (${length} bytes)`);
+    }
+
+    static countBits(version) {
+        return version < 10 ? 8 : 16;
+    }
+
+    static numRawDataModules(version) {
+        let result = (16 * version + 128) * version + 64;
+        if (version >= 2) {
+            const numAlign = Math.floor(version / 7) + 2;
+            result -= (25 * numAlign - 10) * numAlign - 55;
+            if (version >= 7) {
+                result -= 36;
+            }
+        }
+        return result;
+    }
+
+    static numDataCodewords(version) {
+        return Math.floor(QRCode.numRawDataModules(version) / 8) -
+            ECC_CODEWORDS_PER_BLOCK[version] * NUM_ERROR_CORRECTION_BLOCKS[version];
+    }
+
+    /**
+     * Mode indicator, length, payload, terminator and pad bytes
+     */
+    encodeData(bytes) {
+        const bits = [];
+        const append = (value, length) => {
+            for (let i = length - 1; i >= 0; i--) {
+                bits.push((value >>> i) & 1);
+            }
+        };
+
+        append(0x4, 4); // byte mode
+        append(bytes.length, QRCode.countBits(this.version));
+        bytes.forEach(byte => append(byte, 8));
+
+        const capacity = QRCode.numDataCodewords(this.version) * 8;
+        append(0, Math.min(4, capacity - bits.length));
+        append(0, (8 - bits.length % 8) % 8);
+        for (let pad = 0xEC; bits.length < capacity; pad ^= 0xEC ^ 0x11) {
+            append(pad, 8);
+        }
+
+        const codewords = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+        }
+        return codewords;
+    }
+
+    addEccAndInterleave(data) {
+        const numBlocks = NUM_ERROR_CORRECTION_BLOCKS[this.version];
+        const blockEccLength = ECC_CODEWORDS_PER_BLOCK[this.version];
+        const rawCodewords = Math.floor(QRCode.numRawDataModules(this.version) / 8);
+        const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+        const shortBlockLength = Math.floor(rawCodewords / numBlocks);
+        const divisor = QRCode.reedSolomonDivisor(blockEccLength);
+
+        const blocks = [];
+        for (let i = 0, offset = 0; i < numBlocks; i++) {
+            const block = data.slice(offset, offset + shortBlockLength - blockEccLength + (i < numShortBlocks ? 0 : 1));
+            offset += block.length;
+            const ecc = QRCode.reedSolomonRemainder(block, divisor);
+            if (i < numShortBlocks) {
+                block.push(0);
+            }
+            blocks.push(block.concat(ecc));
+        }
+
+        const result = [];
+        for (let i = 0; i < blocks[0].length; i++) {
+            blocks.forEach((block, j) => {
+                // Short blocks carry a placeholder where long blocks have one more data byte
+                if (i !== shortBlockLength - blockEccLength || j >= numShortBlocks) {
+                    result.push(block[i]);
+                }
+            });
+        }
+        return result;
+    }
+
+    static reedSolomonDivisor(degree) {
+        const result = new Array(degree - 1).fill(0).concat([1]);
+        let root = 1;
+        for (let i = 0; i < degree; i++) {
+            for (let j = 0; j < result.length; j++) {
+                result[j] = QRCode.gfMultiply(result[j], root);
+                if (j + 1 < result.length) {
+                    result[j] ^= result[j + 1];
+                }
+            }
+            root = QRCode.gfMultiply(root, 0x02);
+        }
+        return result;
+    }
+
+    static reedSolomonRemainder(data, divisor) {
+        const result = divisor.map(() => 0);
+        for (const byte of data) {
+            const factor = byte ^ result.shift();
+            result.push(0);
+            divisor.forEach((coefficient, i) => {
+                result[i] ^= QRCode.gfMultiply(coefficient, factor);
+            });
+        }
+        return result;
+    }
+
+    // Multiplication in GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+    static gfMultiply(x, y) {
+        let z = 0;
+        for (let i = 7; i >= 0; i--) {
+            z = (z << 1) ^ ((z >>> 7) * 0x11D);
+            z ^= ((y >>> i) & 1) * x;
+        }
+        return z;
+    }
+
+    setFunctionModule(x, y, dark) {
+        this.modules[y][x] = dark;
+        this.isFunction[y][x] = true;
+    }
+
+    drawFunctionPatterns() {
+        for (let i = 0; i < this.size; i++) {
+            this.setFunctionModule(6, i, i % 2 === 0);
+            this.setFunctionModule(i, 6, i % 2 === 0);
+        }
+
+        this.drawFinderPattern(3, 3);
+        this.drawFinderPattern(this.size - 4, 3);
+        this.drawFinderPattern(3, this.size - 4);
+
+        const positions = this.alignmentPatternPositions();
+        const last = positions.length - 1;
+        positions.forEach((x, i) => {
+            positions.forEach((y, j) => {
+                // Skip the three corners occupied by finder patterns
+                if (!((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0))) {
+                    this.drawAlignmentPattern(x, y);
+                }
+            });
+        });
+
+        this.drawFormatBits(0); // reserved now, rewritten once the mask is chosen
+        this.drawVersion();
+    }
+
+    drawFinderPattern(x, y) {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                const xx = x + dx;
+                const yy = y + dy;
+                if (xx >= 0 && xx < this.size && yy >= 0 && yy < this.size) {
+                    this.setFunctionModule(xx, yy, distance !== 2 && distance !== 4);
+                }
+            }
+        }
+    }
+
+    drawAlignmentPattern(x, y) {
+        for (let dy = -2; dy <= 2; dy++) {
+            for (let dx = -2; dx <= 2; dx++) {
+                this.setFunctionModule(x + dx, y + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+            }
+        }
+    }
+
+    alignmentPatternPositions() {
+        if (this.version === 1) return [];
+
+        const numAlign = Math.floor(this.version / 7) + 2;
+        const step = Math.floor((this.version * 8 + numAlign * 3 + 5) / (numAlign * 4 - 4)) * 2;
+        const result = [6];
+        for (let position = this.size - 7; result.length < numAlign; position -= step) {
+            result.splice(1, 0, position);
+        }
+        return result;
+    }
+
+    drawFormatBits(mask) {
+        const data = (ECC_FORMAT_BITS_L << 3) | mask;
+        let remainder = data;
+        for (let i = 0; i < 10; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        }
+        const bits = ((data << 10) | remainder) ^ 0x5412;
+        const bit = (i) => ((bits >>> i) & 1) !== 0;
+
+        // First copy, around the top-left finder
+        for (let i = 0; i <= 5; i++) {
+            this.setFunctionModule(8, i, bit(i));
+        }
+        this.setFunctionModule(8, 7, bit(6));
+        this.setFunctionModule(8, 8, bit(7));
+        this.setFunctionModule(7, 8, bit(8));
+        for (let i = 9; i < 15; i++) {
+            this.setFunctionModule(14 - i, 8, bit(i));
+        }
+
+        // Second copy, split between the other two finders
+        for (let i = 0; i < 8; i++) {
+            this.setFunctionModule(this.size - 1 - i, 8, bit(i));
+        }
+        for (let i = 8; i < 15; i++) {
+            this.setFunctionModule(8, this.size - 15 + i, bit(i));
+        }
+        this.setFunctionModule(8, this.size - 8, true); // always dark
+    }
+
+    drawVersion() {
+        if (this.version < 7) return;
+
+        let remainder = this.version;
+        for (let i = 0; i < 12; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+        }
+        const bits = (this.version << 12) | remainder;
+
+        for (let i = 0; i < 18; i++) {
+            const dark = ((bits >>> i) & 1) !== 0;
+            const a = this.size - 11 + i % 3;
+            const b = Math.floor(i / 3);
+            this.setFunctionModule(a, b, dark);
+            this.setFunctionModule(b, a, dark);
+        }
+    }
+
+    /**
+     * Zigzag through the symbol in two-module columns, skipping function patterns
+     */
+    drawCodewords(codewords) {
+        let i = 0;
+        for (let right = this.size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5; // skip the vertical timing pattern
+            for (let vertical = 0; vertical < this.size; vertical++) {
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    const upward = ((right + 1) & 2) === 0;
+                    const y = upward ? this.size - 1 - vertical : vertical;
+                    if (!this.isFunction[y][x] && i < codewords.length * 8) {
+                        this.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) !== 0;
+                        i++;
+                    }
+                }
+            }
+        }
+    }
+
+    applyMask(mask) {
+        const conditions = [
+            (x, y) => (x + y) % 2 === 0,
+            (x, y) => y % 2 === 0,
+            (x, y) => x % 3 === 0,
+            (x, y) => (x + y) % 3 === 0,
+            (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+            (x, y) => x * y % 2 + x * y % 3 === 0,
+            (x, y) => (x * y % 2 + x * y % 3) % 2 === 0,
+            (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0
+        ];
+
+        for (let y = 0; y < this.size; y++) {
+            for (let x = 0; x < this.size; x++) {
+                if (!this.isFunction[y][x] && conditions[mask](x, y)) {
+                    this.modules[y][x] = !this.modules[y][x];
+                }
+            }
+        }
+    }
+
+    /**
+     * Try all eight masks and keep the one with the lowest penalty
+     */
+    applyBestMask() {
+        let bestMask = 0;
+        let bestPenalty = Infinity;
+
+        for (let mask = 0; mask < 8; mask++) {
+            this.applyMask(mask);
+            this.drawFormatBits(mask);
+            const penalty = this.penaltyScore();
+            if (penalty < bestPenalty) {
+                bestMask = mask;
+                bestPenalty = penalty;
+            }
+            this.applyMask(mask); // XOR again to undo
+        }
+
+        this.applyMask(bestMask);
+        this.drawFormatBits(bestMask);
+    }
+
+    penaltyScore() {
+        const size = this.size;
+        const lines = [];
+        for (let i = 0; i < size; i++) {
+            lines.push(this.modules[i]);
+            lines.push(this.modules.map(row => row[i]));
+        }
+
+        let penalty = 0;
+        const finderLike = [
+            [true, false, true, true, true, false, true, false, false, false, false],
+            [false, false, false, false, true, false, true, true, true, false, true]
+        ];
+
+        for (const line of lines) {
+            // Runs of five or more same-coloured modules
+            let runLength = 1;
+            for (let i = 1; i <= size; i++) {
+                if (i < size && line[i] === line[i - 1]) {
+                    runLength++;
+                } else {
+                    if (runLength >= 5) penalty += runLength - 2;
+                    runLength = 1;
+                }
+            }
+
+            // Patterns that look like finders
+            for (let i = 0; i + 11 <= size; i++) {
+                if (finderLike.some(pattern => pattern.every((dark, k) => line[i + k] === dark))) {
+                    penalty += 40;
+                }
+            }
+        }
+
+        // 2x2 blocks of one colour
+        let darkCount = 0;
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (this.modules[y][x]) darkCount++;
+                if (x < size - 1 && y < size - 1) {
+                    const colour = this.modules[y][x];
+                    if (colour === this.modules[y][x + 1] && colour === this.modules[y + 1][x] && colour === this.modules[y + 1][x + 1]) {
+                        penalty += 3;
+                    }
+                }
+            }
+        }
+
+        // Balance of dark and light modules
+        const total = size * size;
+        penalty += Math.floor(Math.abs(darkCount * 20 - total * 10) / total) * 10;
+
+        return penalty;
+    }
+
+    /**
+     * Draw onto a canvas with a quiet zone of four modules
+     */
+    drawToCanvas(canvas, scale = 4, border = 4) {
+        const dimension = (this.size + border * 2) * scale;
+        canvas.width = dimension;
+        canvas.height = dimension;
+
+        const context = canvas.getContext('2d');
+        context.fillStyle = '#ffffff';
+        context.fillRect(0, 0, dimension, dimension);
+        context.fillStyle = '#000000';
+
+        for (let y = 0; y < this.size; y++) {
+            for (let x = 0; x < this.size; x++) {
+                if (this.modules[y][x]) {
+                    context.fillRect((x + border) * scale, (y + border) * scale, scale, scale);
+                }
+            }
+        }
+    }
+}
\ No newline at end of file
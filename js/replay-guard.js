@@ -0,0 +1,86 @@
+/**
+ * Replay protection for encrypted payloads
+ * Hands out monotonic send counters and remembers which counters each sender has used.
+ * The seen window lives in localStorage, shared by every tab and kept across restarts,
+ * and records when each counter was first accepted. A tab accepts a counter once, and
+ * only if it was first accepted while the tab was already open: tabs open at the same
+ * time each show a message, a tab opened later treats it as a replay.
+ */
+
+const WINDOW_SIZE = 256;
+
+export class ReplayGuard {
+    constructor(roomId, storage = globalThis.localStorage) {
+        this.storage = storage;
+        this.counterKey = `webrtc_send_counter_${roomId}`;
+        this.seenKey = `webrtc_seen_counters_${roomId}`;
+        this.startedAt = Date.now();
+        this.accepted = new Map(); // senderKey -> Set of counters this tab accepted
+    }
+
+    /**
+     * Next outgoing counter
+     * Seeded from the clock so it keeps increasing even if storage was cleared
+     */
+    nextCounter() {
+        const last = Number(this.storage.getItem(this.counterKey)) || 0;
+        const counter = Math.max(last + 1, Date.now());
+        this.storage.setItem(this.counterKey, String(counter));
+        return counter;
+    }
+
+    /**
+     * Accept a sender's counter exactly once in this tab
+     * Keeps a sliding window of recent counters per sender to tolerate reordering;
+     * anything at or below the window's floor is stale and rejected
+     */
+    accept(senderKey, counter) {
+        if (!Number.isSafeInteger(counter) || counter <= 0) return false;
+
+        const seen = this.load();
+        const entry = this.entryFor(seen, senderKey);
+        const local = this.accepted.get(senderKey) || new Set();
+        const firstAccepted = entry.counters[counter];
+
+        if (counter <= entry.floor || local.has(counter)
+            || (firstAccepted !== undefined && firstAccepted < this.startedAt)) {
+            return false;
+        }
+
+        if (firstAccepted === undefined) {
+            entry.counters[counter] = Date.now();
+            const counters = Object.keys(entry.counters).map(Number).sort((a, b) => a - b);
+            while (counters.length > WINDOW_SIZE) {
+                entry.floor = counters.shift();
+                delete entry.counters[entry.floor];
+            }
+            seen[senderKey] = entry;
+            this.storage.setItem(this.seenKey, JSON.stringify(seen));
+        }
+
+        local.add(counter);
+        for (const old of local) {
+            if (old <= entry.floor) local.delete(old);
+        }
+        this.accepted.set(senderKey, local);
+        return true;
+    }
+
+    // Older windows were a plain list of counters; they count as accepted long ago
+    entryFor(seen, senderKey) {
+        const entry = seen[senderKey] || { floor: 0, counters: {} };
+        if (Array.isArray(entry.counters)) {
+            entry.counters = Object.fromEntries(entry.counters.map(counter => [counter, 0]));
+        }
+        return entry;
+    }
+
+    load() {
+        try {
+            return JSON.parse(this.storage.getItem(this.seenKey)) || {};
+        } catch (error) {
+            console.warn('⚠️ Corrupted replay state, starting fresh');
+            return {};
+        }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,110 @@
+/**
+ * Participant roster sidebar
+ * Renders who is in the room, how we reach them and whether their safety number was verified.
+ * Aliases come from other participants, so everything is written as text, never as HTML.
+ */
+
+const CONNECTION_LABELS = {
+    p2p: { text: 'p2p connected', dot: 'bg-green-500' },
+    relayed: { text: 'relayed', dot: 'bg-yellow-500' },
+    signaling: { text: 'signaling only', dot: 'bg-blue-500' },
+    offline: { text: 'offline', dot: 'bg-gray-600' }
+};
+
+const VERIFICATION_BADGES = {
+    verified: { text: '✓', color: 'text-green-400', title: 'Safety number verified' },
+    changed: { text: '⚠', color: 'text-red-400', title: 'Safety number changed since verification' }
+};
+
+export class RosterPanel {
+    constructor(panel, list, count) {
+        this.panel = panel;
+        this.list = list;
+        this.count = count;
+        this.onSelect = null; // (sessionId) for members we have a direct connection with
+    }
+
+    /**
+     * Entries are { sessionId, alias, connection, lastSeen, verification, isSelf }
+     * with connection one of p2p, relayed, signaling or offline
+     */
+    render(entries, capacity = null) {
+        this.list.replaceChildren(...this.sort(entries).map(entry => this.renderEntry(entry)));
+        this.panel.classList.toggle('hidden', entries.length === 0);
+
+        const present = entries.filter(entry => entry.connection !== 'offline').length;
+        this.count.textContent = capacity ? `${present}/${capacity}` : '';
+    }
+
+    clear() {
+        this.list.replaceChildren();
+        this.count.textContent = '';
+        this.panel.classList.add('hidden');
+    }
+
+    // Ourselves first, then whoever is reachable, offline participants last
+    sort(entries) {
+        const rank = (entry) => entry.isSelf ? 0 : entry.connection === 'offline' ? 2 : 1;
+        return [...entries].sort((a, b) => rank(a) - rank(b) || a.alias.localeCompare(b.alias));
+    }
+
+    renderEntry({ sessionId, alias, connection, lastSeen, verification, isSelf }) {
+        const label = CONNECTION_LABELS[connection] || CONNECTION_LABELS.offline;
+
+        const item = document.createElement('li');
+        item.className = `flex items-center justify-between gap-2${connection === 'offline' ? ' opacity-50' : ''}`;
+
+        // Safety numbers need the DTLS fingerprint, so only direct peers can be verified
+        if (!isSelf && (connection === 'p2p' || connection === 'relayed')) {
+            item.classList.add('cursor-pointer', 'hover:bg-gray-800', 'rounded');
+            item.title = 'Compare safety number';
+            item.addEventListener('click', () => {
+                if (this.onSelect) this.onSelect(sessionId);
+            });
+        }
+
+        const name = document.createElement('div');
+        name.className = 'flex items-center gap-2 min-w-0';
+
+        const dot = document.createElement('div');
+        dot.className = `w-2 h-2 rounded-full flex-shrink-0 ${isSelf ? CONNECTION_LABELS.p2p.dot : label.dot}`;
+        dot.title = isSelf ? 'you' : label.text;
+
+        const aliasText = document.createElement('span');
+        aliasText.className = 'text-white truncate';
+        aliasText.textContent = isSelf ? `${alias} (you)` : alias;
+
+        name.append(dot, aliasText);
+
+        const badge = VERIFICATION_BADGES[verification];
+        if (badge && !isSelf) {
+            const mark = document.createElement('span');
+            mark.className = badge.color;
+            mark.textContent = badge.text;
+            mark.title = badge.title;
+            name.append(mark);
+        }
+
+        const status = document.createElement('span');
+        status.className = 'text-gray-500 flex-shrink-0';
+        if (isSelf) {
+            status.textContent = 'here';
+        } else if (connection === 'offline') {
+            status.textContent = lastSeen ? `seen ${this.formatLastSeen(lastSeen)}` : 'offline';
+            if (lastSeen) status.title = new Date(lastSeen).toLocaleString();
+        } else {
+            status.textContent = label.text;
+        }
+
+        item.append(name, status);
+        return item;
+    }
+
+    formatLastSeen(timestamp) {
+        const minutes = Math.floor((Date.now() - timestamp) / 60000);
+        if (minutes < 1) return 'just now';
+        if (minutes < 60) return `${minutes}m ago`;
+        if (minutes < 24 * 60) return `${Math.floor(minutes / 60)}h ago`;
+        return new Date(timestamp).toLocaleDateString();
+    }
+}
\ No newline at end of file
@@ -0,0 +1,148 @@
+/**
+ * Safety Number Verification between participants
+ * Derives a short comparable code from DTLS fingerprints and identity keys
+ */
+
+import { LocalStore } from './local-store.js';
+
+const SAFETY_NUMBER_VERSION = 'webrtc_safety_v1';
+
+const EMOJI = [
+    '🐶', '🐱', '🦁', '🐴', '🦄', '🐷', '🐘', '🐰',
+    '🐼', '🐓', '🐧', '🐢', '🐟', '🐙', '🦋', '🌷',
+    '🌳', '🌵', '🍄', '🌏', '🌙', '☁️', '🔥', '🍌',
+    '🍎', '🍓', '🌽', '🍕', '🎂', '❤️', '😀', '🤖',
+    '🎩', '👓', '🔧', '🎅', '👍', '☂️', '⌛', '⏰',
+    '🎁', '💡', '📕', '✏️', '📎', '✂️', '🔒', '🔑',
+    '🔨', '☎️', '🏁', '🚂', '🚲', '✈️', '🚀', '🏆',
+    '⚽', '🎸', '🎺', '🔔', '⚓', '🎧', '📁', '📌'
+];
+
+export class SafetyNumberVerifier {
+    constructor() {
+        this.store = new LocalStore('webrtc_verification', ['verified']);
+    }
+
+    /**
+     * Compute the safety number shared by both peers
+     * Each side is { identityKey, fingerprint }; ordering is canonical so both see the same code
+     */
+    async computeSafetyNumber(local, remote) {
+        if (!local.identityKey || !local.fingerprint || !remote.identityKey || !remote.fingerprint) {
+            throw new Error('Missing identity key or DTLS fingerprint');
+        }
+
+        const [first, second] = [
+            await this.partyDigits(local),
+            await this.partyDigits(remote)
+        ].sort();
+        const digits = first + second;
+
+        const combined = new Uint8Array(await crypto.subtle.digest(
+            'SHA-256',
+            new TextEncoder().encode(`${SAFETY_NUMBER_VERSION}|${digits}`)
+        ));
+
+        return {
+            digits: digits.match(/.{5}/g).join(' '),
+            emoji: Array.from(combined.slice(0, 8)).map(b => EMOJI[b % EMOJI.length])
+        };
+    }
+
+    /**
+     * 30 decimal digits per party from SHA-256 over its identity key and fingerprint
+     */
+    async partyDigits({ identityKey, fingerprint }) {
+        return this.hashDigits(`${SAFETY_NUMBER_VERSION}|${identityKey}|${fingerprint}`);
+    }
+
+    /**
+     * Fingerprint of an identity key alone, for things signed outside a connection
+     * such as exported transcripts
+     */
+    async identityFingerprint(identityKey) {
+        const digits = await this.hashDigits(`${SAFETY_NUMBER_VERSION}|identity|${identityKey}`);
+        return digits.match(/.{5}/g).join(' ');
+    }
+
+    async hashDigits(input) {
+        const hash = new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(input)));
+
+        let digits = '';
+        for (let i = 0; i < 30; i += 5) {
+            const chunk = hash.slice(i, i + 5)
+                .reduce((value, byte) => value * 256 + byte, 0);
+            digits += String(chunk % 100000).padStart(5, '0');
+        }
+        return digits;
+    }
+
+    /**
+     * Remember a peer as verified, keyed by its identity key
+     * Aliases are kept per room only to spot someone else taking a verified member's alias
+     */
+    async markVerified(roomId, alias, remote, safetyNumber) {
+        const existing = await this.store.get('verified', this.recordKey(remote.identityKey));
+        await this.store.put('verified', this.recordKey(remote.identityKey), {
+            identityKey: remote.identityKey,
+            fingerprint: remote.fingerprint,
+            safetyNumber: safetyNumber.digits,
+            aliases: { ...existing?.aliases, [roomId]: alias },
+            verifiedAt: Date.now()
+        });
+        console.log('✅ Marked participant as verified:', alias);
+    }
+
+    async clearVerified(identityKey) {
+        await this.store.delete('verified', this.recordKey(identityKey));
+    }
+
+    async isVerified(identityKey) {
+        return !!identityKey && !!await this.store.get('verified', this.recordKey(identityKey));
+    }
+
+    /**
+     * Compare a peer against its stored verification record
+     * Returns 'unverified', 'verified' or 'changed' - changed also covers a new identity
+     * showing up under the alias of a member verified in this room
+     */
+    async checkPeer(roomId, alias, remote) {
+        await this.migrateLegacyRecord(roomId, alias);
+
+        const record = await this.store.get('verified', this.recordKey(remote.identityKey));
+        if (record) {
+            if (record.fingerprint === remote.fingerprint) return 'verified';
+
+            console.warn('🚨 Verified participant presented a different DTLS certificate:', alias);
+            return 'changed';
+        }
+
+        const records = await this.store.getAll('verified');
+        if (records.some(known => known.aliases?.[roomId] === alias && known.identityKey !== remote.identityKey)) {
+            console.warn('🚨 A different identity is using the alias of a verified participant:', alias);
+            return 'changed';
+        }
+
+        return 'unverified';
+    }
+
+    /**
+     * Records used to be keyed by room and alias; move one to its identity key when seen
+     */
+    async migrateLegacyRecord(roomId, alias) {
+        const legacyKey = `${roomId}:${alias}`;
+        const legacy = await this.store.get('verified', legacyKey);
+        if (!legacy) return;
+
+        const existing = await this.store.get('verified', this.recordKey(legacy.identityKey));
+        await this.store.put('verified', this.recordKey(legacy.identityKey), {
+            ...legacy,
+            aliases: { ...existing?.aliases, [roomId]: alias }
+        });
+        await this.store.delete('verified', legacyKey);
+    }
+
+    recordKey(identityKey) {
+        return `identity:${identityKey}`;
+    }
+}
\ No newline at end of file
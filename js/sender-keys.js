@@ -0,0 +1,284 @@
+/**
+ * Group Sender Keys for multi-peer rooms
+ * Each participant encrypts group messages with its own hash chain and hands the
+ * chain key to current members over their pairwise ratchet sessions. When a member
+ * leaves or is removed everyone re-issues, so departed members cannot read on.
+ * MessageManager uses it for the DataChannel copy of chat messages.
+ */
+
+const MAX_SKIP = 1000;
+const KEYS_PER_SENDER = 2; // current key plus the one it replaced, for in-flight messages
+
+export class SenderKeyManager {
+    constructor(multiPeer, crypto) {
+        this.multiPeer = multiPeer;
+        this.crypto = crypto;
+        this.ownKey = null;
+        this.sealQueue = Promise.resolve();
+        this.peerKeys = new Map(); // sessionId -> Map(keyId -> { chainKey, iteration, skipped })
+    }
+
+    /**
+     * Create our first sender key
+     */
+    async initialize() {
+        await this.rotateOwnKey();
+        console.log('👥 Sender keys initialized');
+    }
+
+    async rotateOwnKey() {
+        this.ownKey = {
+            keyId: this.crypto.generateSessionId(),
+            chainKey: crypto.getRandomValues(new Uint8Array(32)).buffer,
+            iteration: 0
+        };
+    }
+
+    /**
+     * Hand our current chain key to a newly connected member
+     * They can only read from this point on - the chain never runs backwards
+     */
+    async handlePeerConnected(sessionId) {
+        await this.distributeKey(sessionId);
+    }
+
+    /**
+     * Member left or dropped: forget their key and re-issue ours to everyone still here
+     */
+    async handlePeerLeft(sessionId) {
+        this.peerKeys.delete(sessionId);
+        await this.rotateOwnKey();
+
+        const remaining = this.multiPeer.getConnectedPeers().filter(peer => peer !== sessionId);
+        for (const peer of remaining) {
+            await this.distributeKey(peer);
+        }
+
+        console.log(`🔄 Sender key re-issued to ${remaining.length} remaining members`);
+    }
+
+    /**
+     * Remove a member from the group and revoke their access to future messages
+     */
+    async removeMember(sessionId) {
+        this.multiPeer.removePeer(sessionId);
+        await this.handlePeerLeft(sessionId);
+    }
+
+    async distributeKey(sessionId) {
+        if (!this.crypto.hasSessionKey(sessionId)) {
+            console.warn('⚠️ No pairwise session yet, cannot send sender key to:', sessionId);
+            return false;
+        }
+
+        try {
+            const counter = this.crypto.nextCounter();
+            const keyMessage = JSON.stringify({
+                keyId: this.ownKey.keyId,
+                chainKey: this.crypto.arrayBufferToBase64(this.ownKey.chainKey),
+                iteration: this.ownKey.iteration
+            });
+            const encrypted = await this.crypto.ratchetEncrypt(keyMessage, sessionId, counter);
+
+            const payload = {
+                type: 'sender_key',
+                id: this.crypto.generateSessionId(),
+                header: encrypted.header,
+                data: encrypted.data,
+                iv: encrypted.iv,
+                timestamp: Date.now(),
+                counter: counter,
+                sender: this.crypto.getSessionId()
+            };
+            payload.signature = await this.crypto.signPayload(payload);
+
+            return this.multiPeer.sendToPeer(sessionId, payload);
+        } catch (error) {
+            console.error('❌ Failed to distribute sender key:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Encrypt a signed message envelope once under our sender key - the same payload
+     * goes to every member holding the key
+     */
+    sealGroupMessage(envelope) {
+        // Messages sent at the same time must still each take their own step of the chain
+        const sealed = this.sealQueue.then(() => this.sealNext(envelope));
+        this.sealQueue = sealed.catch(() => {});
+        return sealed;
+    }
+
+    async sealNext(envelope) {
+        const ownKey = this.ownKey;
+        const [messageKey, nextChain] = await this.kdfChain(ownKey.chainKey);
+        const iteration = ownKey.iteration;
+        ownKey.chainKey = nextChain;
+        ownKey.iteration++;
+
+        const payload = {
+            type: 'group_chat',
+            id: envelope.id,
+            keyId: ownKey.keyId,
+            iteration: iteration,
+            counter: envelope.counter,
+            sender: envelope.sender
+        };
+
+        const key = await this.importMessageKey(messageKey, ['encrypt']);
+        const encrypted = await this.crypto.encryptWithKey(key, new TextEncoder().encode(JSON.stringify(envelope)), this.messageAad(payload));
+        payload.data = encrypted.data;
+        payload.iv = encrypted.iv;
+
+        return payload;
+    }
+
+    /**
+     * Decrypt a group payload back to its envelope
+     * The envelope signature and counter are left to the caller, like any other envelope
+     */
+    async openGroupMessage(payload) {
+        const state = this.peerKeys.get(payload.sender)?.get(payload.keyId);
+        if (!state) {
+            throw new Error('Unknown sender key');
+        }
+
+        const messageKey = await this.messageKeyFor(state, payload.iteration);
+        const key = await this.importMessageKey(messageKey, ['decrypt']);
+
+        let plaintext;
+        try {
+            plaintext = await this.crypto.decryptWithKey(key, payload, this.messageAad(payload));
+        } catch (error) {
+            throw new Error('Group message decryption failed');
+        }
+
+        const envelope = JSON.parse(new TextDecoder().decode(plaintext));
+        if (envelope.id !== payload.id || envelope.sender !== payload.sender || envelope.counter !== payload.counter) {
+            throw new Error('Group payload does not match its envelope');
+        }
+
+        return envelope;
+    }
+
+    /**
+     * Take a sender key distribution from a DataChannel
+     * Returns false for payload types this manager does not handle
+     */
+    async handleMessage(payload, fromSessionId) {
+        if (payload.type !== 'sender_key') {
+            return false;
+        }
+
+        try {
+            if (payload.sender !== fromSessionId) {
+                throw new Error('Payload sender does not match the DataChannel it arrived on');
+            }
+
+            const signatureStatus = await this.crypto.verifyPayloadSignature(payload);
+            if (signatureStatus !== 'valid') {
+                throw new Error(`${signatureStatus} signature`);
+            }
+
+            await this.handleSenderKey(payload);
+        } catch (error) {
+            console.warn('🚨 Rejected sender key from', payload.sender, error.message);
+        }
+
+        return true;
+    }
+
+    async handleSenderKey(payload) {
+        const keyMessage = JSON.parse(await this.crypto.ratchetDecrypt(payload, payload.sender, payload.counter));
+        if (!this.crypto.acceptCounter(payload.sender, payload.counter)) {
+            throw new Error('Replayed sender key');
+        }
+
+        const keys = this.peerKeys.get(payload.sender) || new Map();
+        keys.set(keyMessage.keyId, {
+            chainKey: this.crypto.base64ToArrayBuffer(keyMessage.chainKey),
+            iteration: keyMessage.iteration,
+            skipped: new Map()
+        });
+
+        // Drop the oldest keys beyond what in-flight messages may still need
+        while (keys.size > KEYS_PER_SENDER) {
+            keys.delete(keys.keys().next().value);
+        }
+
+        this.peerKeys.set(payload.sender, keys);
+        console.log('🔑 Received sender key from:', payload.sender);
+    }
+
+    /**
+     * Advance a receiving chain to the requested iteration, keeping skipped keys for reordering
+     */
+    async messageKeyFor(state, iteration) {
+        if (!Number.isInteger(iteration) || iteration < 0) {
+            throw new Error('Invalid sender key iteration');
+        }
+
+        if (state.skipped.has(iteration)) {
+            const messageKey = state.skipped.get(iteration);
+            state.skipped.delete(iteration);
+            return messageKey;
+        }
+
+        if (iteration < state.iteration) {
+            throw new Error('Sender key iteration already used');
+        }
+        if (iteration - state.iteration > MAX_SKIP) {
+            throw new Error('Too many skipped messages');
+        }
+
+        let chainKey = state.chainKey;
+        for (let i = state.iteration; i < iteration; i++) {
+            const [skippedKey, nextChain] = await this.kdfChain(chainKey);
+            state.skipped.set(i, skippedKey);
+            chainKey = nextChain;
+        }
+
+        while (state.skipped.size > MAX_SKIP) {
+            state.skipped.delete(state.skipped.keys().next().value);
+        }
+
+        const [messageKey, nextChain] = await this.kdfChain(chainKey);
+        state.chainKey = nextChain;
+        state.iteration = iteration + 1;
+        return messageKey;
+    }
+
+    messageAad(payload) {
+        return new TextEncoder().encode(
+            `group_v1|${this.crypto.getRoomId()}|${payload.sender}|${payload.keyId}|${payload.iteration}|${payload.counter}`
+        );
+    }
+
+    /**
+     * HMAC chain step, returns [message key, next chain key]
+     */
+    async kdfChain(chainKey) {
+        const key = await crypto.subtle.importKey(
+            'raw',
+            chainKey,
+            { name: 'HMAC', hash: 'SHA-256' },
+            false,
+            ['sign']
+        );
+
+        return Promise.all([
+            crypto.subtle.sign('HMAC', key, new Uint8Array([1])),
+            crypto.subtle.sign('HMAC', key, new Uint8Array([2]))
+        ]);
+    }
+
+    async importMessageKey(messageKey, usages) {
+        return crypto.subtle.importKey('raw', messageKey, { name: 'AES-GCM' }, false, usages);
+    }
+
+    destroy() {
+        this.ownKey = null;
+        this.peerKeys.clear();
+    }
+}
\ No newline at end of file
@@ -0,0 +1,220 @@
+/**
+ * Signaling Transport interface
+ * Everything the messenger needs from a signaling backend: rooms, participants,
+ * offers/answers/candidates, the offline mailbox and call notifications.
+ *
+ * The domain methods are implemented once here on top of a small set of path-based
+ * storage primitives (a JSON tree, as in Firebase RTDB). Adapters only provide those:
+ *
+ *   connect()                       open the backend connection
+ *   get(path)                       value at path or null
+ *   set(path, value)                replace value at path
+ *   update(path, values)            multi-path update, keys may contain '/'
+ *   remove(path)                    delete value at path
+ *   push(path, value)               add child under a new time-ordered key, returns key
+ *   onChildAdded(path, callback)    callback(key, value) for existing and new children, returns unsubscribe
+ *   onValue(path, callback)         callback(value) now and on every change, returns unsubscribe
+ *   onConnectionChange(callback)    callback(isConnected)
+ *   onDisconnectUpdate(path, values) update the backend applies once this client drops,
+ *                                   resolves to an async cancel()
+ *   close()                         drop the connection
+ *
+ * serverTimestamp() is a placeholder the backend replaces with its own clock when written.
+ */
+
+const SIGNAL_PATHS = {
+    offer: 'offers',
+    answer: 'answers',
+    candidate: 'candidates'
+};
+
+export class SignalingTransport {
+    constructor() {
+        this.subscriptions = new Set();
+    }
+
+    // Adapter primitives
+
+    async connect() { throw new Error(`${this.constructor.name} does not implement connect()`); }
+    async get(path) { throw new Error(`${this.constructor.name} does not implement get()`); }
+    async set(path, value) { throw new Error(`${this.constructor.name} does not implement set()`); }
+    async update(path, values) { throw new Error(`${this.constructor.name} does not implement update()`); }
+    async remove(path) { throw new Error(`${this.constructor.name} does not implement remove()`); }
+    async push(path, value) { throw new Error(`${this.constructor.name} does not implement push()`); }
+    onChildAdded(path, callback) { throw new Error(`${this.constructor.name} does not implement onChildAdded()`); }
+    onValue(path, callback) { throw new Error(`${this.constructor.name} does not implement onValue()`); }
+    onConnectionChange(callback) { throw new Error(`${this.constructor.name} does not implement onConnectionChange()`); }
+    async onDisconnectUpdate(path, values) { throw new Error(`${this.constructor.name} does not implement onDisconnectUpdate()`); }
+    close() {}
+
+    // Firebase's wire format, understood by the relay as well
+    serverTimestamp() {
+        return { '.sv': 'timestamp' };
+    }
+
+    /**
+     * Track a subscription so leaving a room can drop all of them at once
+     */
+    track(unsubscribe) {
+        this.subscriptions.add(unsubscribe);
+        return () => {
+            this.subscriptions.delete(unsubscribe);
+            unsubscribe();
+        };
+    }
+
+    unsubscribeAll() {
+        for (const unsubscribe of this.subscriptions) {
+            unsubscribe();
+        }
+        this.subscriptions.clear();
+    }
+
+    /**
+     * Time-ordered key like Firebase push IDs, so children list in creation order
+     */
+    generatePushKey() {
+        const time = Date.now().toString(36).padStart(9, '0');
+        const random = Array.from(crypto.getRandomValues(new Uint8Array(6)))
+            .map(b => b.toString(36).padStart(2, '0'))
+            .join('');
+        return `${time}${random}`;
+    }
+
+    // Rooms
+
+    async getRoom(roomId) {
+        return this.get(`rooms/${roomId}`);
+    }
+
+    async updateRoom(roomId, values) {
+        return this.update(`rooms/${roomId}`, values);
+    }
+
+    /**
+     * Delete everything stored for a room: mailbox, receipts, signaling and metadata
+     */
+    async deleteRoom(roomId) {
+        await this.remove(`encrypted_messages/${roomId}`);
+        await this.remove(`receipts/${roomId}`);
+        await this.remove(`webrtc_signaling/${roomId}`);
+        await this.remove(`rooms/${roomId}`);
+    }
+
+    // Participants
+
+    async getParticipants(roomId) {
+        return (await this.get(`rooms/${roomId}/participants`)) || {};
+    }
+
+    async updateParticipant(roomId, sessionId, values) {
+        return this.update(`rooms/${roomId}/participants/${sessionId}`, values);
+    }
+
+    /**
+     * Have the backend mark us gone when our connection drops, however the page dies
+     */
+    async onParticipantDisconnect(roomId, sessionId) {
+        return this.onDisconnectUpdate(`rooms/${roomId}/participants/${sessionId}`, {
+            active: false,
+            left: this.serverTimestamp(),
+            lastSeen: this.serverTimestamp()
+        });
+    }
+
+    onParticipants(roomId, callback) {
+        return this.track(this.onValue(`rooms/${roomId}/participants`, (participants) => callback(participants || {})));
+    }
+
+    // Offers, answers and ICE candidates
+
+    async sendSignal(roomId, type, data) {
+        return this.push(`webrtc_signaling/${roomId}/${this.signalPath(type)}`, data);
+    }
+
+    onSignal(roomId, type, callback) {
+        return this.track(this.onChildAdded(
+            `webrtc_signaling/${roomId}/${this.signalPath(type)}`,
+            (key, data) => callback(data, key)
+        ));
+    }
+
+    async deleteSignal(roomId, type, key) {
+        return this.remove(`webrtc_signaling/${roomId}/${this.signalPath(type)}/${key}`);
+    }
+
+    async clearSignals(roomId) {
+        return this.remove(`webrtc_signaling/${roomId}`);
+    }
+
+    signalPath(type) {
+        const path = SIGNAL_PATHS[type];
+        if (!path) {
+            throw new Error(`Unknown signal type: ${type}`);
+        }
+        return path;
+    }
+
+    // Offline mailbox
+
+    async putMail(roomId, messageId, record) {
+        return this.set(`encrypted_messages/${roomId}/${messageId}`, record);
+    }
+
+    async getMailbox(roomId) {
+        return (await this.get(`encrypted_messages/${roomId}`)) || {};
+    }
+
+    async getMail(roomId, messageId) {
+        return this.get(`encrypted_messages/${roomId}/${messageId}`);
+    }
+
+    /**
+     * Record that a recipient (by its opaque recipient tag) has picked up a message
+     */
+    async ackMail(roomId, messageId, recipientTag) {
+        return this.update(`encrypted_messages/${roomId}/${messageId}/deliveredTo`, {
+            [recipientTag]: this.serverTimestamp()
+        });
+    }
+
+    onMailRecord(roomId, messageId, callback) {
+        return this.track(this.onValue(`encrypted_messages/${roomId}/${messageId}`, callback));
+    }
+
+    async deleteMail(roomId, messageId) {
+        return this.remove(`encrypted_messages/${roomId}/${messageId}`);
+    }
+
+    onMail(roomId, callback) {
+        return this.track(this.onChildAdded(`encrypted_messages/${roomId}`, callback));
+    }
+
+    // Receipts, one inbox per sender keyed by its recipient tag
+
+    async sendReceipt(roomId, recipientTag, receipt) {
+        return this.push(`receipts/${roomId}/${recipientTag}`, receipt);
+    }
+
+    onReceipt(roomId, recipientTag, callback) {
+        return this.track(this.onChildAdded(`receipts/${roomId}/${recipientTag}`, callback));
+    }
+
+    async deleteReceipt(roomId, recipientTag, key) {
+        return this.remove(`receipts/${roomId}/${recipientTag}/${key}`);
+    }
+
+    // Call notifications
+
+    async sendNotification(roomId, notification) {
+        return this.push(`rooms/${roomId}/call_notifications`, notification);
+    }
+
+    onNotification(roomId, callback) {
+        return this.track(this.onChildAdded(`rooms/${roomId}/call_notifications`, callback));
+    }
+
+    async deleteNotification(roomId, notificationId) {
+        return this.remove(`rooms/${roomId}/call_notifications/${notificationId}`);
+    }
+}
\ No newline at end of file
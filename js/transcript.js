@@ -0,0 +1,212 @@
+/**
+ * Transcript export and import for a room's local history
+ * Bundles are signed with this browser's identity key and encrypted under a password
+ * picked at export time. Markdown and HTML exports are for reading and are not protected.
+ */
+
+const BUNDLE_FORMAT = 'p2p-transcript';
+const BUNDLE_VERSION = 1;
+const CHANNELS = ['store', 'direct'];
+const SOURCES = ['webrtc', 'firebase'];
+
+export class Transcript {
+    constructor(crypto) {
+        this.crypto = crypto;
+    }
+
+    /**
+     * Signed, password-encrypted JSON bundle of history entries
+     */
+    async exportBundle({ roomId, alias, entries }, password) {
+        const transcript = {
+            format: BUNDLE_FORMAT,
+            version: BUNDLE_VERSION,
+            roomId,
+            exportedAt: Date.now(),
+            exportedBy: alias,
+            signer: this.crypto.identityPublicKey,
+            messages: entries.map(entry => this.normalizeEntry(entry))
+        };
+
+        const signature = await this.crypto.signTranscript(transcript);
+        const sealed = await this.crypto.sealTranscript({ transcript, signature }, password);
+
+        return JSON.stringify({ format: BUNDLE_FORMAT, version: BUNDLE_VERSION, ...sealed }, null, 2);
+    }
+
+    /**
+     * Decrypt and check a bundle; throws if it cannot be opened or the signature does not hold
+     * Resolves to the transcript, with ownKey set when we signed it ourselves
+     */
+    async importBundle(json, password) {
+        let bundle;
+        try {
+            bundle = JSON.parse(json);
+        } catch (error) {
+            throw new Error('Not a transcript bundle');
+        }
+
+        if (bundle?.format !== BUNDLE_FORMAT || bundle.version !== BUNDLE_VERSION) {
+            throw new Error('Not a transcript bundle');
+        }
+
+        let opened;
+        try {
+            opened = await this.crypto.openTranscript(bundle, password);
+        } catch (error) {
+            throw new Error('Wrong password or damaged transcript');
+        }
+
+        const { transcript, signature } = opened;
+        if (!transcript?.signer || !Array.isArray(transcript.messages)
+            || await this.crypto.verifyTranscript(transcript, signature) !== 'valid') {
+            throw new Error('Transcript signature is invalid');
+        }
+
+        return {
+            roomId: transcript.roomId,
+            exportedAt: transcript.exportedAt,
+            exportedBy: transcript.exportedBy,
+            signer: transcript.signer,
+            ownKey: transcript.signer === this.crypto.identityPublicKey,
+            messages: transcript.messages.map(entry => this.normalizeEntry(entry)).filter(Boolean)
+        };
+    }
+
+    /**
+     * History entries for an imported transcript
+     * Our own bundles come back as they were saved. Anyone else's signature only proves who
+     * exported it, so their messages all count as remote, lose their signature status and
+     * are marked with the signer's fingerprint
+     */
+    toImportedEntries(transcript, fingerprint) {
+        if (transcript.ownKey) {
+            return transcript.messages;
+        }
+
+        return transcript.messages.map(entry => ({
+            ...entry,
+            sender: 'remote',
+            signatureStatus: null,
+            imported: fingerprint
+        }));
+    }
+
+    /**
+     * Keep only the fields history entries have; null for anything malformed
+     * Messages cannot be edited yet, so edits is normally empty but is carried through
+     */
+    normalizeEntry(entry) {
+        if (!entry || typeof entry.id !== 'string' || typeof entry.text !== 'string'
+            || !Number.isFinite(entry.timestamp)) {
+            return null;
+        }
+
+        return {
+            id: entry.id,
+            channel: CHANNELS.includes(entry.channel) ? entry.channel : 'store',
+            text: entry.text,
+            timestamp: entry.timestamp,
+            sender: entry.sender === 'local' ? 'local' : 'remote',
+            senderAlias: typeof entry.senderAlias === 'string' ? entry.senderAlias : null,
+            senderId: typeof entry.senderId === 'string' ? entry.senderId : null,
+            source: SOURCES.includes(entry.source) ? entry.source : null,
+            signatureStatus: typeof entry.signatureStatus === 'string' ? entry.signatureStatus : null,
+            imported: typeof entry.imported === 'string' ? entry.imported : null,
+            edits: Array.isArray(entry.edits)
+                ? entry.edits
+                    .filter(edit => typeof edit?.text === 'string' && Number.isFinite(edit.timestamp))
+                    .map(({ text, timestamp }) => ({ text, timestamp }))
+                : []
+        };
+    }
+
+    // Human-readable exports
+
+    toMarkdown({ roomId, alias, entries }) {
+        const lines = [
+            '# Room transcript',
+            '',
+            `- Room: \`${roomId}\``,
+            `- Exported: ${new Date().toISOString()} by ${this.escapeMarkdown(alias)}`,
+            `- Messages: ${entries.length}`,
+            ''
+        ];
+
+        for (const entry of entries) {
+            lines.push('---', '', `**${this.escapeMarkdown(this.senderName(entry, alias))}** · ${this.describe(entry)}`, '');
+            lines.push(...this.quoteMarkdown(entry.text));
+            for (const edit of entry.edits || []) {
+                lines.push('', `_edited ${new Date(edit.timestamp).toISOString()}, was:_`);
+                lines.push(...this.quoteMarkdown(edit.text));
+            }
+            lines.push('');
+        }
+
+        return lines.join('\n');
+    }
+
+    toHtml({ roomId, alias, entries }) {
+        const messages = entries.map(entry => {
+            const edits = (entry.edits || []).map(edit =>
+                `<p class="edit">edited ${this.escapeHtml(new Date(edit.timestamp).toISOString())}, was: ${this.escapeHtml(edit.text)}</p>`
+            ).join('');
+
+            return `<article><p class="meta"><strong>${this.escapeHtml(this.senderName(entry, alias))}</strong> · ${this.escapeHtml(this.describe(entry))}</p>`
+                + `<p class="text">${this.escapeHtml(entry.text)}</p>${edits}</article>`;
+        });
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Room transcript</title>
+<style>
+body { font-family: monospace; max-width: 48rem; margin: 2rem auto; color: #111; }
+article { border-top: 1px solid #ddd; padding: 0.5rem 0; }
+.meta, .edit { color: #666; font-size: 0.85em; margin: 0; }
+.text { white-space: pre-wrap; margin: 0.25rem 0; }
+</style>
+</head>
+<body>
+<h1>Room transcript</h1>
+<p>Room <code>${this.escapeHtml(roomId)}</code> · exported ${this.escapeHtml(new Date().toISOString())} by ${this.escapeHtml(alias)} · ${entries.length} messages</p>
+${messages.join('\n')}
+</body>
+</html>
+`;
+    }
+
+    senderName(entry, alias) {
+        if (entry.sender === 'local') return entry.senderAlias || alias;
+        return entry.senderAlias || 'unknown';
+    }
+
+    // Time, tab, how it arrived and the message ID
+    describe(entry) {
+        const parts = [new Date(entry.timestamp).toISOString(), entry.channel === 'direct' ? 'direct' : 'store'];
+        if (entry.source) parts.push(entry.source);
+        if (entry.imported) parts.push(`imported, signed by ${entry.imported}`);
+        parts.push(entry.id);
+        return parts.join(' · ');
+    }
+
+    // Aliases are chosen by other participants
+    escapeMarkdown(text) {
+        return String(text).replace(/[\\`*_{}[\]<>#|]/g, '\\$&');
+    }
+
+    // Message text stays as written, except raw HTML which markdown viewers would render
+    quoteMarkdown(text) {
+        return text.split('\n').map(line => `> ${line.replace(/</g, '\\<')}`);
+    }
+
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+}
\ No newline at end of file
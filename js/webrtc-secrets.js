@@ -9,6 +9,7 @@ export class WebRTCSecrets {
         this.crypto = crypto;
         this.signaling = signaling;
         this.onSecretReceived = null;
+        this.onSecretRejected = null;
         this.secretMessageIds = new Set();
     }
 
@@ -21,28 +22,49 @@ export class WebRTCSecrets {
 
     /**
      * Send secret message via WebRTC P2P only
+     * Encrypted separately under each member's ratchet, one copy per data channel
      */
     async sendWebRTCSecret(message) {
-        if (!this.webrtc.dataChannel || this.webrtc.dataChannel.readyState !== 'open') {
+        const connectedPeers = this.webrtc.getConnectedPeers();
+        if (connectedPeers.length === 0) {
             throw new Error('WebRTC connection not ready - peer must be online for secret messages');
         }
 
+        const recipients = connectedPeers.filter(sessionId => this.crypto.hasSessionKey(sessionId));
+        if (recipients.length === 0) {
+            throw new Error('Secure session not established yet - waiting for key exchange');
+        }
+
         try {
-            const encrypted = await this.crypto.encryptMessage(message);
-            const secretPayload = {
-                type: 'webrtc_secret',
-                id: this.generateSecretId(),
-                data: encrypted.data,
-                iv: encrypted.iv,
-                timestamp: Date.now(),
-                ephemeral: true,
-                sender: this.crypto.getSessionId()
-            };
-
-            const success = this.webrtc.sendMessage(secretPayload);
-            
-            if (success) {
-                console.log('🔒 Secret message sent via WebRTC P2P');
+            // One ID and counter for all copies - each member sees the message once
+            const id = this.generateSecretId();
+            const counter = this.crypto.nextCounter();
+            const timestamp = Date.now();
+            let sent = 0;
+
+            for (const peerSessionId of recipients) {
+                const encrypted = await this.crypto.ratchetEncrypt(message, peerSessionId, counter);
+                const secretPayload = {
+                    type: 'webrtc_secret',
+                    id: id,
+                    header: encrypted.header,
+                    data: encrypted.data,
+                    iv: encrypted.iv,
+                    timestamp: timestamp,
+                    counter: counter,
+                    ephemeral: true,
+                    sender: this.crypto.getSessionId()
+                };
+
+                secretPayload.signature = await this.crypto.signPayload(secretPayload);
+
+                if (this.webrtc.sendToPeer(peerSessionId, secretPayload)) {
+                    sent++;
+                }
+            }
+
+            if (sent > 0) {
+                console.log(`🔒 Secret message sent via WebRTC P2P to ${sent}/${recipients.length} peers`);
                 return true;
             } else {
                 throw new Error('Failed to send secret message via WebRTC');
@@ -70,13 +92,33 @@ export class WebRTCSecrets {
                 return;
             }
 
+            // Only the pinned identity of the claimed sender may author this message
+            const signatureStatus = await this.crypto.verifyPayloadSignature(payload);
+            if (signatureStatus !== 'valid') {
+                console.warn('🚨 Rejected secret message with bad signature:', signatureStatus);
+                if (this.onSecretRejected) {
+                    this.onSecretRejected({
+                        id: payload.id,
+                        claimedSender: payload.sender,
+                        reason: `${signatureStatus}_signature`
+                    });
+                }
+                return;
+            }
+
             this.secretMessageIds.add(payload.id);
 
-            // Decrypt message
-            const decrypted = await this.crypto.decryptMessage({
+            // Decrypt message with the next ratchet key for this peer
+            const decrypted = await this.crypto.ratchetDecrypt({
+                header: payload.header,
                 data: payload.data,
                 iv: payload.iv
-            });
+            }, payload.sender, payload.counter);
+
+            if (!this.crypto.acceptCounter(payload.sender, payload.counter)) {
+                console.warn('🚨 Dropped replayed secret message');
+                return;
+            }
 
             console.log('📨 WebRTC secret message received');
 
@@ -125,31 +167,29 @@ export class WebRTCSecrets {
     }
 
     /**
-     * Check if WebRTC is ready for secret messages
+     * Check if WebRTC is ready for secret messages - at least one member can receive them
      */
     isReady() {
-        return this.webrtc.dataChannel && this.webrtc.dataChannel.readyState === 'open';
+        return this.webrtc.getConnectedPeers().some(sessionId => this.crypto.hasSessionKey(sessionId));
     }
 
     /**
-     * Get connection status for UI
+     * Get connection status for UI, the best state across the mesh
      */
     getConnectionStatus() {
-        if (!this.webrtc.dataChannel) {
+        if (this.webrtc.peers.size === 0) {
             return 'no_connection';
         }
-        
-        switch (this.webrtc.dataChannel.readyState) {
-            case 'open':
-                return 'ready';
-            case 'connecting':
-                return 'connecting';
-            case 'closing':
-            case 'closed':
-                return 'disconnected';
-            default:
-                return 'unknown';
+
+        if (this.isReady()) {
+            return 'ready';
+        }
+
+        const states = Array.from(this.webrtc.peers.values(), peer => peer.dataChannel?.readyState);
+        if (states.includes('open') || states.includes('connecting')) {
+            return 'connecting';
         }
+        return 'disconnected';
     }
 
     /**
@@ -7,14 +7,42 @@ export class WebRTCManager {
         this.localStream = null;
         this.onMessageReceived = null;
         this.onConnectionStateChange = null;
-        this.isInitiator = false;
-        this.iceCandidateBuffer = [];
+        this.onDataChannelOpen = null;
+        this.onDescription = null;
+        this.onControlOpen = null;
+        this.onControlMessage = null;
+        this.controlChannel = null;
+        this.remoteSessionId = null;
+        this.certificate = null;
         this.iceTimeoutId = null;
+
+        // Perfect negotiation state
+        this.sessionId = null;
+        this.connectionId = null;
+        this.remotePeer = null; // { sessionId, connectionId } of the remote connection we negotiate with
+        this.autoNegotiate = true;
+        this.makingOffer = false;
+        this.ignoreOffer = false;
+        this.isSettingRemoteAnswerPending = false;
+        this.pendingCandidates = new Map(); // remote connectionId -> candidates that arrived early
     }
 
-    async createPeerConnection() {
-        this.peerConnection = new RTCPeerConnection(webrtcConfig);
-        console.log('🔗 Peer connection created with config:', webrtcConfig);
+    /**
+     * autoNegotiate: false when descriptions are carried by hand (ManualSignaling)
+     * instead of being sent through onDescription. Once the control channel is up,
+     * renegotiation runs in-band either way.
+     */
+    async createPeerConnection({ autoNegotiate = true } = {}) {
+        this.autoNegotiate = autoNegotiate;
+        this.connectionId = this.generateConnectionId();
+
+        // Reuse the persistent DTLS certificate so our fingerprint stays stable for verification
+        const config = this.certificate
+            ? { ...webrtcConfig, certificates: [this.certificate] }
+            : webrtcConfig;
+
+        this.peerConnection = new RTCPeerConnection(config);
+        console.log('🔗 Peer connection created with config:', config);
 
         this.peerConnection.onicecandidate = (event) => {
             console.log('🧊 ICE candidate event:', event.candidate);
@@ -28,8 +56,11 @@ export class WebRTCManager {
                 
                 console.log(`📊 ICE Candidate: ${candidateType} (${candidateProtocol}) - ${candidateAddress}`);
                 
+                if (this.sendControl({ type: 'candidate', candidate: event.candidate.toJSON() })) {
+                    return;
+                }
                 if (this.onIceCandidate) {
-                    this.onIceCandidate(event.candidate);
+                    this.onIceCandidate(event.candidate, this.routing());
                 }
             } else {
                 console.log('🏁 ICE candidate gathering complete (null candidate)');
@@ -71,6 +102,13 @@ export class WebRTCManager {
             if (event.streams && event.streams[0]) {
                 const remoteStream = event.streams[0];
                 console.log('✅ Setting remote stream with tracks:', remoteStream.getTracks().length);
+                // The peer dropping a track renegotiates and removes it from the stream
+                remoteStream.onremovetrack = () => {
+                    console.log('➖ Remote track removed, tracks left:', remoteStream.getTracks().length);
+                    if (this.onRemoteStream) {
+                        this.onRemoteStream(remoteStream);
+                    }
+                };
                 if (this.onRemoteStream) {
                     this.onRemoteStream(remoteStream);
                 }
@@ -140,18 +178,141 @@ export class WebRTCManager {
             this.setupDataChannel(channel);
         };
 
+        // Every change that needs an offer (first connect, tracks, ICE restart) comes through here
+        this.peerConnection.onnegotiationneeded = () => this.negotiate();
+
+        // Both sides open the same pre-negotiated channels, so it doesn't matter whose offer wins
+        this.createDataChannel();
+        this.createControlChannel();
     }
 
     createDataChannel() {
         if (!this.peerConnection) return;
         
         this.dataChannel = this.peerConnection.createDataChannel('messages', {
-            ordered: true
+            ordered: true,
+            negotiated: true,
+            id: 0
         });
         
         this.setupDataChannel(this.dataChannel);
     }
 
+    /**
+     * Second pre-negotiated channel for in-band signaling: once it is open, later
+     * offers, answers, candidates and call requests skip the signaling server
+     */
+    createControlChannel() {
+        const channel = this.peerConnection.createDataChannel('control', {
+            ordered: true,
+            negotiated: true,
+            id: 1
+        });
+
+        channel.onopen = () => {
+            console.log('🎛️ Control channel open - signaling in-band from now on');
+            if (this.onControlOpen) {
+                this.onControlOpen();
+            }
+        };
+
+        channel.onmessage = (event) => {
+            this.handleControlMessage(event.data).catch(error => {
+                console.error('❌ Failed to handle control message:', error);
+            });
+        };
+
+        this.controlChannel = channel;
+    }
+
+    /**
+     * In-band needs working ICE too - an ICE restart after failure has to go through signaling
+     */
+    canSignalInBand() {
+        return this.controlChannel?.readyState === 'open' &&
+            ['connected', 'completed'].includes(this.peerConnection?.iceConnectionState);
+    }
+
+    sendControl(message) {
+        if (!this.canSignalInBand()) return false;
+
+        try {
+            this.controlChannel.send(JSON.stringify(message));
+            return true;
+        } catch (error) {
+            console.warn('⚠️ Failed to send control message:', error);
+            return false;
+        }
+    }
+
+    async handleControlMessage(raw) {
+        const message = JSON.parse(raw);
+
+        // The channel is bound to the peer we negotiated with, so that is who sent it
+        const from = {
+            sender: this.remotePeer?.sessionId,
+            connection: this.remotePeer?.connectionId,
+            to: this.sessionId,
+            toConnection: this.connectionId
+        };
+
+        switch (message.type) {
+            case 'description':
+                console.log(`🎛️ In-band ${message.description?.type} received`);
+                await this.handleRemoteDescription(message.description, from);
+                break;
+
+            case 'candidate':
+                await this.addIceCandidate(message.candidate, from);
+                break;
+
+            default:
+                if (this.onControlMessage) {
+                    this.onControlMessage(message);
+                }
+        }
+    }
+
+    /**
+     * Send a local offer or answer in-band if we can, through signaling otherwise
+     */
+    sendDescription(description) {
+        if (this.sendControl({ type: 'description', description: { type: description.type, sdp: description.sdp } })) {
+            console.log(`🎛️ ${description.type} sent in-band`);
+            return;
+        }
+
+        if (this.autoNegotiate && this.onDescription) {
+            this.onDescription(description, this.routing());
+        }
+    }
+
+    generateConnectionId() {
+        return Array.from(crypto.getRandomValues(new Uint8Array(8)))
+            .map(b => b.toString(16).padStart(2, '0'))
+            .join('');
+    }
+
+    /**
+     * Addressing attached to everything we signal: which of our connections sent it
+     * and which remote connection it is meant for. A mesh connection knows its
+     * remote session up front, so even the first offer is addressed.
+     */
+    routing() {
+        return {
+            connection: this.connectionId,
+            to: this.remotePeer?.sessionId || this.remoteSessionId || null,
+            toConnection: this.remotePeer?.connectionId || null
+        };
+    }
+
+    /**
+     * Lower session ID is polite: on collision it rolls back its own offer
+     */
+    isPolite(remoteSessionId) {
+        return this.sessionId < remoteSessionId;
+    }
+
     setupDataChannel(channel) {
         console.log('🔧 Setting up data channel:', channel.label);
         console.log('📊 Data channel initial state:', channel.readyState);
@@ -173,6 +334,10 @@ export class WebRTCManager {
             if (this.onConnectionStateChange) {
                 this.onConnectionStateChange('connected');
             }
+
+            if (this.onDataChannelOpen) {
+                this.onDataChannelOpen(channel);
+            }
             
             // Send a test message to verify the channel
             setTimeout(() => {
@@ -223,142 +388,206 @@ export class WebRTCManager {
         this.dataChannel = channel;
     }
 
+    /**
+     * Set a fresh local offer; an explicit call is only needed without autoNegotiate
+     */
     async createOffer() {
         if (!this.peerConnection) return null;
-        
-        console.log('🔧 Creating data channel for initiator...');
-        this.createDataChannel();
-        
-        console.log('📋 Creating WebRTC offer...');
-        const offer = await this.peerConnection.createOffer();
-        
-        console.log('📝 Setting local description...');
-        await this.peerConnection.setLocalDescription(offer);
-        
-        console.log('✅ Offer created successfully');
-        return offer;
+
+        try {
+            this.makingOffer = true;
+            console.log('📋 Creating WebRTC offer...');
+            await this.peerConnection.setLocalDescription();
+            console.log('✅ Offer created successfully');
+            return this.peerConnection.localDescription;
+        } finally {
+            this.makingOffer = false;
+        }
     }
 
-    async createAnswer(offer) {
-        if (!this.peerConnection) return null;
-        
-        console.log('📥 Setting remote description (offer)...');
-        console.log('📋 Offer SDP type:', offer.type);
-        console.log('📋 Offer SDP content (first 200 chars):', offer.sdp?.substring(0, 200));
-        
-        // Validate the offer format
-        if (!offer || !offer.type || !offer.sdp) {
-            throw new Error('Invalid offer format - missing type or sdp');
+    async negotiate() {
+        if (!this.peerConnection || (!this.autoNegotiate && !this.canSignalInBand())) return;
+
+        try {
+            const offer = await this.createOffer();
+            if (offer?.type === 'offer') {
+                this.sendDescription(offer);
+            }
+        } catch (error) {
+            console.error('❌ Negotiation failed:', error);
         }
-        
-        // Create RTCSessionDescription object if needed
-        const offerDesc = new RTCSessionDescription({
-            type: offer.type,
-            sdp: offer.sdp
-        });
-        
-        await this.peerConnection.setRemoteDescription(offerDesc);
-        
-        // Process any buffered ICE candidates now that we have remote description
-        await this.processBufferedCandidates();
-        
-        console.log('📋 Creating WebRTC answer...');
-        const answer = await this.peerConnection.createAnswer();
-        
-        console.log('📝 Setting local description (answer)...');
-        await this.peerConnection.setLocalDescription(answer);
-        
-        console.log('✅ Answer created successfully');
-        return answer;
     }
 
-    async handleAnswer(answer) {
-        if (!this.peerConnection) return;
-        
-        console.log('🔍 Handling answer. Current state:', this.peerConnection.signalingState);
-        console.log('📄 Answer SDP type:', answer.type);
-        console.log('📄 Answer SDP content (first 200 chars):', answer.sdp?.substring(0, 200));
-        
-        // Only set remote description if we're in the correct state
-        if (this.peerConnection.signalingState === 'have-local-offer') {
-            try {
-                // Validate the answer format
-                if (!answer || !answer.type || !answer.sdp) {
-                    throw new Error('Invalid answer format - missing type or sdp');
-                }
-                
-                // Create RTCSessionDescription object if needed
-                const answerDesc = new RTCSessionDescription({
-                    type: answer.type,
-                    sdp: answer.sdp
-                });
-                
-                await this.peerConnection.setRemoteDescription(answerDesc);
-                console.log('✅ Remote description set successfully');
-                
-                // Process any buffered ICE candidates now that we have remote description
-                await this.processBufferedCandidates();
-            } catch (error) {
-                console.error('❌ Failed to set remote description:', error);
-                throw error;
+    /**
+     * Apply a remote offer or answer - W3C perfect negotiation
+     * from: { sender, connection, to, toConnection } as produced by the remote routing()
+     */
+    async handleRemoteDescription(description, from) {
+        if (!description || !description.type || !description.sdp) {
+            throw new Error('Invalid description format - missing type or sdp');
+        }
+
+        if ((from.to && from.to !== this.sessionId) ||
+            (from.toConnection && from.toConnection !== this.connectionId)) {
+            console.log(`↩️ Ignoring ${description.type} meant for another connection`);
+            return;
+        }
+
+        if (description.type === 'answer' && !from.toConnection) {
+            console.warn('⚠️ Ignoring unaddressed answer');
+            return;
+        }
+
+        // A rejoined or reloaded peer starts over with a new connection - so do we,
+        // unless this is someone else while our current peer is still connected
+        if (description.type === 'offer' && this.remotePeer &&
+            (this.remotePeer.sessionId !== from.sender || this.remotePeer.connectionId !== from.connection)) {
+            if (this.remotePeer.sessionId !== from.sender && this.peerConnection?.connectionState === 'connected') {
+                console.log('⏭️ Already connected to another peer - ignoring offer from', from.sender);
+                return;
             }
-        } else {
-            console.warn('Ignoring answer - wrong signaling state:', this.peerConnection.signalingState);
+            console.log('🔄 Offer from a new remote connection - starting a fresh peer connection');
+            await this.resetPeerConnection();
+        }
+
+        if (!this.peerConnection) return;
+        const peerConnection = this.peerConnection;
+
+        const readyForOffer = !this.makingOffer &&
+            (peerConnection.signalingState === 'stable' || this.isSettingRemoteAnswerPending);
+        const offerCollision = description.type === 'offer' && !readyForOffer;
+
+        this.ignoreOffer = !this.isPolite(from.sender) && offerCollision;
+        if (this.ignoreOffer) {
+            console.log('🙅 Offer collision - impolite side keeps its own offer');
+            return;
+        }
+
+        if (description.type === 'answer' && peerConnection.signalingState !== 'have-local-offer') {
+            console.warn('Ignoring answer - wrong signaling state:', peerConnection.signalingState);
+            return;
+        }
+
+        if (offerCollision && peerConnection.signalingState === 'have-local-offer') {
+            console.log('↩️ Offer collision - polite side rolls back its own offer');
+            await peerConnection.setLocalDescription({ type: 'rollback' });
+        }
+
+        this.remotePeer = { sessionId: from.sender, connectionId: from.connection };
+
+        console.log(`📥 Setting remote description (${description.type})...`);
+        this.isSettingRemoteAnswerPending = description.type === 'answer';
+        try {
+            await peerConnection.setRemoteDescription({ type: description.type, sdp: description.sdp });
+        } finally {
+            this.isSettingRemoteAnswerPending = false;
+        }
+
+        // Candidates that raced ahead of the description
+        await this.processBufferedCandidates(from.connection);
+
+        if (description.type === 'offer') {
+            console.log('📋 Creating WebRTC answer...');
+            await peerConnection.setLocalDescription();
+            console.log('✅ Answer created successfully');
+
+            this.sendDescription(peerConnection.localDescription);
         }
     }
 
-    async addIceCandidate(candidate) {
+    async addIceCandidate(candidate, from = {}) {
         if (!this.peerConnection) return;
-        
-        console.log('🧊 Adding ICE candidate:', candidate);
-        console.log('📊 Current connection states:', {
-            hasRemoteDescription: !!this.peerConnection.remoteDescription,
-            signalingState: this.peerConnection.signalingState,
-            iceConnectionState: this.peerConnection.iceConnectionState
-        });
-        
+
         // Validate candidate format
         if (!candidate || !candidate.candidate) {
             console.warn('⚠️ Invalid ICE candidate format');
             return;
         }
-        
-        // Create RTCIceCandidate object if needed
-        const iceCandidate = candidate instanceof RTCIceCandidate ? 
-            candidate : new RTCIceCandidate(candidate);
-        
-        // Only add ICE candidates if we have remote description set
-        if (this.peerConnection.remoteDescription) {
-            try {
-                await this.peerConnection.addIceCandidate(iceCandidate);
-                console.log('✅ ICE candidate added successfully');
-            } catch (error) {
+
+        if ((from.to && from.to !== this.sessionId) ||
+            (from.toConnection && from.toConnection !== this.connectionId)) {
+            return;
+        }
+
+        // Hold candidates until we negotiate with the connection that produced them
+        const current = this.remotePeer?.connectionId === from.connection && this.peerConnection.remoteDescription;
+        if (!current) {
+            console.log('⏳ Buffering ICE candidate for remote connection', from.connection);
+            const buffered = this.pendingCandidates.get(from.connection) || [];
+            buffered.push(candidate);
+            this.pendingCandidates.set(from.connection, buffered);
+            return;
+        }
+
+        try {
+            await this.peerConnection.addIceCandidate(candidate);
+            console.log('✅ ICE candidate added successfully');
+        } catch (error) {
+            // Candidates for an offer we deliberately ignored are expected to fail
+            if (!this.ignoreOffer) {
                 console.warn('❌ Failed to add ICE candidate:', error);
             }
-        } else {
-            console.warn('⏳ Buffering ICE candidate - no remote description yet');
-            this.iceCandidateBuffer.push(iceCandidate);
         }
     }
 
-    async processBufferedCandidates() {
-        console.log(`🔄 Processing ${this.iceCandidateBuffer.length} buffered ICE candidates`);
-        
-        while (this.iceCandidateBuffer.length > 0) {
-            const candidate = this.iceCandidateBuffer.shift();
+    async processBufferedCandidates(remoteConnectionId) {
+        const buffered = this.pendingCandidates.get(remoteConnectionId) || [];
+        this.pendingCandidates.clear();
+        console.log(`🔄 Processing ${buffered.length} buffered ICE candidates`);
+
+        for (const candidate of buffered) {
             try {
-                // Ensure it's an RTCIceCandidate object
-                const iceCandidate = candidate instanceof RTCIceCandidate ? 
-                    candidate : new RTCIceCandidate(candidate);
-                    
-                await this.peerConnection.addIceCandidate(iceCandidate);
-                console.log('✅ Buffered ICE candidate added successfully');
+                await this.peerConnection.addIceCandidate(candidate);
             } catch (error) {
                 console.warn('❌ Failed to add buffered ICE candidate:', error);
             }
         }
     }
 
+    /**
+     * Replace the peer connection (and its data channel) with a fresh one,
+     * keeping local media attached
+     */
+    async resetPeerConnection() {
+        // Candidates from the new remote connection may already be waiting
+        const pendingCandidates = new Map(this.pendingCandidates);
+
+        this.closePeerConnection();
+        await this.createPeerConnection({ autoNegotiate: this.autoNegotiate });
+        this.pendingCandidates = pendingCandidates;
+
+        if (this.localStream) {
+            this.localStream.getTracks().forEach(track => this.peerConnection.addTrack(track, this.localStream));
+        }
+    }
+
+    /**
+     * Resolve with the local description once every ICE candidate is in it
+     * (or whatever was gathered when the timeout hits)
+     */
+    waitForIceGathering(timeout = 10000) {
+        const peerConnection = this.peerConnection;
+        if (!peerConnection) return Promise.resolve(null);
+
+        return new Promise((resolve) => {
+            const finish = () => {
+                clearTimeout(timer);
+                peerConnection.removeEventListener('icegatheringstatechange', onStateChange);
+                resolve(peerConnection.localDescription);
+            };
+            const onStateChange = () => {
+                if (peerConnection.iceGatheringState === 'complete') finish();
+            };
+            const timer = setTimeout(() => {
+                console.warn('⏰ ICE gathering timeout - using candidates gathered so far');
+                finish();
+            }, timeout);
+
+            peerConnection.addEventListener('icegatheringstatechange', onStateChange);
+            onStateChange();
+        });
+    }
+
     async restartIce() {
         try {
             console.log('🔄 Restarting ICE...');
@@ -378,6 +607,48 @@ export class WebRTCManager {
         }
     }
 
+    /**
+     * Get local and remote DTLS fingerprints from the negotiated descriptions
+     */
+    getFingerprints() {
+        const extract = (sdp) => {
+            const match = sdp?.match(/^a=fingerprint:(\S+)\s+([0-9A-Fa-f:]+)/m);
+            return match ? `${match[1].toLowerCase()} ${match[2].toUpperCase()}` : null;
+        };
+
+        return {
+            local: extract(this.peerConnection?.localDescription?.sdp),
+            remote: extract(this.peerConnection?.remoteDescription?.sdp)
+        };
+    }
+
+    /**
+     * How the selected ICE candidate pair reaches the peer
+     * Returns 'relay' when either end is a TURN candidate, 'direct' otherwise, null before selection
+     */
+    async getConnectionPath() {
+        if (!this.peerConnection) return null;
+
+        const stats = await this.peerConnection.getStats();
+        let pair = null;
+        stats.forEach(report => {
+            if (report.type === 'transport' && report.selectedCandidatePairId) {
+                pair = stats.get(report.selectedCandidatePairId);
+            }
+        });
+        // Firefox has no transport stats and flags the pair itself
+        if (!pair) {
+            stats.forEach(report => {
+                if (report.type === 'candidate-pair' && report.selected) pair = report;
+            });
+        }
+        if (!pair) return null;
+
+        const local = stats.get(pair.localCandidateId);
+        const remote = stats.get(pair.remoteCandidateId);
+        return local?.candidateType === 'relay' || remote?.candidateType === 'relay' ? 'relay' : 'direct';
+    }
+
     sendMessage(messagePayload) {
         if (this.dataChannel && this.dataChannel.readyState === 'open') {
             try {
@@ -397,38 +668,40 @@ export class WebRTCManager {
         }
     }
 
+    mediaConstraints(video, audio) {
+        return {
+            audio: audio ? {
+                echoCancellation: true,
+                noiseSuppression: true,
+                autoGainControl: true,
+                sampleRate: 44100
+            } : false,
+            video: video ? {
+                width: { ideal: 1280, max: 1920 },
+                height: { ideal: 720, max: 1080 },
+                frameRate: { ideal: 30, max: 60 },
+                ...(video === true ? {} : video)
+            } : false
+        };
+    }
+
+    /**
+     * Start or extend a call. Tracks of a kind we already send are swapped in place,
+     * new kinds are added and negotiate() sends the offer over the open connection
+     */
     async startMediaCall(video = false, audio = true) {
         try {
             console.log('📞 Starting media call with video:', video, 'audio:', audio);
-            
-            const mediaConstraints = {
-                audio: audio ? {
-                    echoCancellation: true,
-                    noiseSuppression: true,
-                    autoGainControl: true,
-                    sampleRate: 44100
-                } : false,
-                video: video ? {
-                    width: { ideal: 1280, max: 1920 },
-                    height: { ideal: 720, max: 1080 },
-                    frameRate: { ideal: 30, max: 60 }
-                } : false
-            };
 
-            this.localStream = await navigator.mediaDevices.getUserMedia(mediaConstraints);
+            const stream = await navigator.mediaDevices.getUserMedia(this.mediaConstraints(video, audio));
             console.log('✅ Media stream acquired');
 
-            // Add tracks to peer connection if it exists
-            if (this.peerConnection) {
-                this.localStream.getTracks().forEach(track => {
-                    console.log('➕ Adding track to peer connection:', track.kind);
-                    this.peerConnection.addTrack(track, this.localStream);
-                });
-                
-                // Renegotiate connection if already established
-                if (this.peerConnection.connectionState === 'connected') {
-                    console.log('🔄 Renegotiating connection for new media tracks');
-                    await this.renegotiateConnection();
+            for (const track of stream.getTracks()) {
+                const current = this.localStream?.getTracks().find(t => t.kind === track.kind);
+                if (current) {
+                    await this.replaceLocalTrack(current, track);
+                } else {
+                    this.addLocalTrack(track);
                 }
             }
 
@@ -439,40 +712,80 @@ export class WebRTCManager {
         }
     }
 
-    async renegotiateConnection() {
-        try {
-            if (this.isInitiator) {
-                const offer = await this.peerConnection.createOffer();
-                await this.peerConnection.setLocalDescription(offer);
-                // Send the new offer via signaling
-                if (this.onIceCandidate) {
-                    // This would need to be connected to the signaling system
-                    console.log('📤 New offer created for renegotiation');
-                }
-            }
-        } catch (error) {
-            console.error('❌ Failed to renegotiate connection:', error);
+    addLocalTrack(track) {
+        if (!this.localStream) {
+            this.localStream = new MediaStream();
+        }
+        this.localStream.addTrack(track);
+
+        if (this.peerConnection) {
+            console.log('➕ Adding track to peer connection:', track.kind);
+            this.peerConnection.addTrack(track, this.localStream);
         }
     }
 
+    removeLocalTrack(track) {
+        const sender = this.peerConnection?.getSenders().find(s => s.track === track);
+        if (sender) {
+            console.log('➖ Removing track from peer connection:', track.kind);
+            this.peerConnection.removeTrack(sender);
+        }
+
+        track.stop();
+        this.localStream?.removeTrack(track);
+    }
+
+    /**
+     * Swap a track on its existing sender - no renegotiation, the chat is untouched
+     */
+    async replaceLocalTrack(oldTrack, newTrack) {
+        const sender = this.peerConnection?.getSenders().find(s => s.track === oldTrack);
+        if (sender) {
+            console.log('🔁 Replacing track on peer connection:', newTrack.kind);
+            await sender.replaceTrack(newTrack);
+        } else if (this.peerConnection) {
+            this.peerConnection.addTrack(newTrack, this.localStream);
+        }
+
+        // Keep the mute/camera-off state across the swap
+        newTrack.enabled = oldTrack.enabled;
+        oldTrack.stop();
+        this.localStream.removeTrack(oldTrack);
+        this.localStream.addTrack(newTrack);
+    }
+
+    /**
+     * Cycle to the next camera, e.g. front/back on phones
+     */
+    async switchCamera() {
+        const current = this.localStream?.getVideoTracks()[0];
+        if (!current) return false;
+
+        const cameras = (await navigator.mediaDevices.enumerateDevices()).filter(d => d.kind === 'videoinput');
+        if (cameras.length < 2) return false;
+
+        const currentId = current.getSettings().deviceId;
+        const index = cameras.findIndex(camera => camera.deviceId === currentId);
+        const next = cameras[(index + 1) % cameras.length];
+
+        const stream = await navigator.mediaDevices.getUserMedia(
+            this.mediaConstraints({ deviceId: { exact: next.deviceId } }, false)
+        );
+        await this.replaceLocalTrack(current, stream.getVideoTracks()[0]);
+        console.log('📷 Switched camera to', next.label || next.deviceId);
+        return true;
+    }
+
     endCall() {
         console.log('📞 Ending media call');
+        // Each removal renegotiates so the peer drops our media too; the data channel stays
         if (this.localStream) {
             this.localStream.getTracks().forEach(track => {
                 console.log('⏹️ Stopping track:', track.kind);
-                track.stop();
+                this.removeLocalTrack(track);
             });
             this.localStream = null;
         }
-        
-        // Remove tracks from peer connection
-        if (this.peerConnection) {
-            this.peerConnection.getSenders().forEach(sender => {
-                if (sender.track) {
-                    this.peerConnection.removeTrack(sender);
-                }
-            });
-        }
     }
 
     // Toggle audio mute
@@ -501,20 +814,22 @@ export class WebRTCManager {
         return false;
     }
 
-    close() {
-        console.log('🔒 Closing WebRTC connection...');
-        
+    closePeerConnection() {
         // Clear any timeouts
         if (this.iceTimeoutId) {
             clearTimeout(this.iceTimeoutId);
             this.iceTimeoutId = null;
         }
         
-        // Close data channel
+        // Close data channels
         if (this.dataChannel) {
             this.dataChannel.close();
             this.dataChannel = null;
         }
+        if (this.controlChannel) {
+            this.controlChannel.close();
+            this.controlChannel = null;
+        }
         
         // Close peer connection
         if (this.peerConnection) {
@@ -522,8 +837,20 @@ export class WebRTCManager {
             this.peerConnection = null;
         }
         
-        // Clear buffered candidates
-        this.iceCandidateBuffer = [];
+        // Forget the negotiation with the old remote connection
+        this.connectionId = null;
+        this.remotePeer = null;
+        this.makingOffer = false;
+        this.ignoreOffer = false;
+        this.isSettingRemoteAnswerPending = false;
+        this.pendingCandidates.clear();
+    }
+
+    close() {
+        console.log('🔒 Closing WebRTC connection...');
+        
+        this.closePeerConnection();
+        this.remoteSessionId = null;
         
         // End any active calls
         this.endCall();
@@ -0,0 +1,235 @@
+/**
+ * WebSocket adapter for the signaling transport
+ * Talks to the self-hosted relay in server/relay.mjs
+ */
+
+import { SignalingTransport } from './signaling-transport.js';
+
+const REQUEST_TIMEOUT = 10000;
+const MAX_RECONNECT_DELAY = 30000;
+
+export class WebSocketTransport extends SignalingTransport {
+    constructor(url) {
+        super();
+        this.url = url;
+        this.socket = null;
+        this.nextId = 1;
+        this.pending = new Map(); // request id -> { resolve, reject, timer }
+        this.relaySubscriptions = new Map(); // subscription id -> { kind, path, callback, seen }
+        this.connectionCallbacks = new Set();
+        this.reconnectDelay = 1000;
+        this.reconnectTimer = null;
+        this.closed = false;
+    }
+
+    /**
+     * Open the socket; resolves once the relay accepts the connection
+     */
+    connect() {
+        console.log('🔌 Connecting to signaling relay:', this.url);
+        this.closed = false;
+
+        return new Promise((resolve, reject) => {
+            const socket = new WebSocket(this.url);
+            const timer = setTimeout(() => {
+                socket.close();
+                reject(new Error('Relay connection timeout'));
+            }, REQUEST_TIMEOUT);
+
+            socket.onopen = () => {
+                clearTimeout(timer);
+                this.socket = socket;
+                this.reconnectDelay = 1000;
+                this.resubscribe();
+                this.notifyConnection(true);
+                console.log('✅ Connected to signaling relay');
+                resolve();
+            };
+
+            socket.onmessage = (event) => this.handleMessage(event.data);
+
+            socket.onclose = () => {
+                clearTimeout(timer);
+                if (this.socket !== socket) {
+                    reject(new Error('Relay connection failed'));
+                    return;
+                }
+
+                this.socket = null;
+                this.failPending(new Error('Relay connection lost'));
+                this.notifyConnection(false);
+                this.scheduleReconnect();
+            };
+
+            socket.onerror = () => {
+                console.warn('⚠️ Signaling relay socket error');
+            };
+        });
+    }
+
+    scheduleReconnect() {
+        if (this.closed || this.reconnectTimer) return;
+
+        console.log(`🔄 Reconnecting to relay in ${this.reconnectDelay / 1000}s`);
+        this.reconnectTimer = setTimeout(async () => {
+            this.reconnectTimer = null;
+            try {
+                await this.connect();
+            } catch (error) {
+                this.reconnectDelay = Math.min(this.reconnectDelay * 2, MAX_RECONNECT_DELAY);
+                this.scheduleReconnect();
+            }
+        }, this.reconnectDelay);
+    }
+
+    handleMessage(raw) {
+        let message;
+        try {
+            message = JSON.parse(raw);
+        } catch (error) {
+            console.warn('⚠️ Ignoring malformed relay message');
+            return;
+        }
+
+        if (message.sub) {
+            this.handleEvent(message);
+            return;
+        }
+
+        const request = this.pending.get(message.id);
+        if (!request) return;
+
+        this.pending.delete(message.id);
+        clearTimeout(request.timer);
+
+        if (message.ok) {
+            request.resolve(message.value ?? null);
+        } else {
+            request.reject(new Error(message.error || 'Relay request failed'));
+        }
+    }
+
+    handleEvent(message) {
+        const subscription = this.relaySubscriptions.get(message.sub);
+        if (!subscription) return;
+
+        if (message.event === 'child_added') {
+            // A resubscribe after reconnect replays existing children
+            if (subscription.seen.has(message.key)) return;
+            subscription.seen.add(message.key);
+            subscription.callback(message.key, message.value);
+        } else if (message.event === 'value') {
+            subscription.callback(message.value ?? null);
+        }
+    }
+
+    request(op, path, extra = {}) {
+        if (!this.socket || this.socket.readyState !== WebSocket.OPEN) {
+            return Promise.reject(new Error('Signaling relay not connected'));
+        }
+
+        const id = this.nextId++;
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.pending.delete(id);
+                reject(new Error(`Relay ${op} timeout`));
+            }, REQUEST_TIMEOUT);
+
+            this.pending.set(id, { resolve, reject, timer });
+            this.socket.send(JSON.stringify({ id, op, path, ...extra }));
+        });
+    }
+
+    failPending(error) {
+        for (const request of this.pending.values()) {
+            clearTimeout(request.timer);
+            request.reject(error);
+        }
+        this.pending.clear();
+    }
+
+    async get(path) {
+        return this.request('get', path);
+    }
+
+    async set(path, value) {
+        return this.request('set', path, { value });
+    }
+
+    async update(path, values) {
+        return this.request('update', path, { value: values });
+    }
+
+    async remove(path) {
+        return this.request('remove', path);
+    }
+
+    async push(path, value) {
+        const key = this.generatePushKey();
+        await this.set(`${path}/${key}`, value);
+        return key;
+    }
+
+    onChildAdded(path, callback) {
+        return this.subscribe('child', path, callback);
+    }
+
+    onValue(path, callback) {
+        return this.subscribe('value', path, callback);
+    }
+
+    subscribe(kind, path, callback) {
+        const id = `s${this.nextId++}`;
+        this.relaySubscriptions.set(id, { kind, path, callback, seen: new Set() });
+
+        if (this.socket) {
+            this.request('subscribe', path, { sub: id, kind })
+                .catch(error => console.warn('⚠️ Relay subscribe failed:', path, error.message));
+        }
+
+        return () => {
+            this.relaySubscriptions.delete(id);
+            if (this.socket) {
+                this.request('unsubscribe', path, { sub: id }).catch(() => {});
+            }
+        };
+    }
+
+    resubscribe() {
+        for (const [id, subscription] of this.relaySubscriptions) {
+            this.request('subscribe', subscription.path, { sub: id, kind: subscription.kind })
+                .catch(error => console.warn('⚠️ Relay resubscribe failed:', subscription.path, error.message));
+        }
+    }
+
+    /**
+     * The relay applies the update when this socket closes; after a reconnect
+     * the caller registers again, as with Firebase
+     */
+    async onDisconnectUpdate(path, values) {
+        const hook = `d${this.nextId++}`;
+        await this.request('onDisconnect', path, { hook, value: values });
+        return () => this.request('cancelDisconnect', path, { hook }).catch(() => {});
+    }
+
+    onConnectionChange(callback) {
+        this.connectionCallbacks.add(callback);
+        callback(!!this.socket);
+        return () => this.connectionCallbacks.delete(callback);
+    }
+
+    notifyConnection(isConnected) {
+        for (const callback of this.connectionCallbacks) {
+            callback(isConnected);
+        }
+    }
+
+    close() {
+        this.closed = true;
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        this.unsubscribeAll();
+        this.socket?.close();
+        this.socket = null;
+    }
+}
\ No newline at end of file
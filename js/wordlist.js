@@ -0,0 +1,134 @@
+/**
+ * Passphrase wordlist - 1024 short, distinct English words (10 bits each)
+ */
+
+export const WORDLIST = [
+    'able', 'acid', 'acorn', 'actor', 'adapt', 'admit', 'adobe', 'adult',
+    'after', 'again', 'agent', 'agree', 'ahead', 'aide', 'aisle', 'alarm',
+    'album', 'alert', 'alike', 'alive', 'alley', 'allow', 'alloy', 'aloe',
+    'alpha', 'also', 'alter', 'amber', 'amend', 'ample', 'angle', 'ankle',
+    'apple', 'april', 'apron', 'arena', 'argue', 'armor', 'army', 'aroma',
+    'arrow', 'artist', 'aside', 'askew', 'aspen', 'atlas', 'atom', 'attic',
+    'audio', 'august', 'aunt', 'autumn', 'avoid', 'awake', 'award', 'axis',
+    'bacon', 'badge', 'badger', 'bagel', 'baker', 'bakery', 'ballet', 'balmy',
+    'bamboo', 'banjo', 'banner', 'barge', 'barn', 'barrel', 'basil', 'basin',
+    'basket', 'batch', 'bath', 'beach', 'beam', 'bean', 'bear', 'beard',
+    'beast', 'beaver', 'bench', 'berry', 'bike', 'birch', 'bison', 'black',
+    'blade', 'blank', 'blast', 'blaze', 'blend', 'bless', 'blimp', 'blink',
+    'bliss', 'block', 'bloom', 'blossom', 'blue', 'blunt', 'blush', 'board',
+    'boast', 'bonus', 'book', 'boost', 'booth', 'boots', 'bottle', 'boulder',
+    'bounce', 'bowl', 'brain', 'brake', 'brand', 'brass', 'brave', 'bread',
+    'break', 'breeze', 'brick', 'bride', 'bridge', 'brief', 'bring', 'brisk',
+    'broad', 'bronze', 'brook', 'broom', 'brush', 'bubble', 'bucket', 'buckle',
+    'buddy', 'budget', 'buffalo', 'bugle', 'build', 'bulb', 'bunch', 'bundle',
+    'bunny', 'burger', 'burst', 'bushel', 'butter', 'button', 'cabbage', 'cabin',
+    'cable', 'cactus', 'cadet', 'cake', 'camel', 'camera', 'camp', 'canal',
+    'candle', 'candy', 'canoe', 'canvas', 'canyon', 'cape', 'captain', 'carbon',
+    'card', 'cargo', 'carpet', 'carrot', 'carton', 'carve', 'case', 'cashew',
+    'castle', 'catch', 'cattle', 'cedar', 'ceiling', 'cellar', 'cement', 'cereal',
+    'chair', 'chalk', 'champ', 'chant', 'chapel', 'charm', 'chart', 'chase',
+    'cheek', 'cheer', 'cheese', 'cheetah', 'cherry', 'chess', 'chest', 'chief',
+    'child', 'chili', 'chime', 'chimney', 'chin', 'chip', 'choir', 'chord',
+    'chorus', 'chunk', 'cider', 'cinema', 'cinnamon', 'circle', 'citrus', 'civic',
+    'claim', 'clam', 'clap', 'clay', 'clean', 'clerk', 'click', 'cliff',
+    'climb', 'cling', 'clock', 'cloud', 'clover', 'clown', 'coach', 'coast',
+    'cobalt', 'cobra', 'cocoa', 'coconut', 'collar', 'comet', 'comic', 'copper',
+    'coral', 'cord', 'corn', 'cotton', 'couch', 'cougar', 'count', 'court',
+    'cousin', 'cover', 'coyote', 'crab', 'cradle', 'craft', 'crane', 'crate',
+    'crater', 'crayon', 'cream', 'creek', 'cricket', 'crisp', 'crown', 'crumb',
+    'crust', 'crystal', 'cubic', 'cupcake', 'curly', 'curtain', 'curve', 'cycle',
+    'daily', 'dairy', 'daisy', 'dance', 'dandy', 'dash', 'dawn', 'deck',
+    'decoy', 'delta', 'denim', 'dense', 'depth', 'desert', 'desk', 'detail',
+    'dial', 'diary', 'diesel', 'dimple', 'diner', 'dingo', 'dinner', 'disco',
+    'ditch', 'diver', 'dizzy', 'dock', 'doctor', 'dodge', 'dollar', 'dolphin',
+    'domino', 'donkey', 'donut', 'dove', 'dozen', 'draft', 'dragon', 'drama',
+    'dream', 'dress', 'drift', 'drill', 'drink', 'drive', 'drum', 'duck',
+    'dune', 'dust', 'eagle', 'early', 'earth', 'easel', 'echo', 'eclipse',
+    'edge', 'eight', 'elbow', 'elder', 'elm', 'ember', 'emerald', 'empty',
+    'enjoy', 'entry', 'envoy', 'equal', 'erase', 'essay', 'ethic', 'event',
+    'ever', 'exact', 'exam', 'exit', 'extra', 'fable', 'fabric', 'faint',
+    'fairy', 'falcon', 'fancy', 'farm', 'feast', 'feather', 'fence', 'ferry',
+    'fever', 'fiber', 'field', 'fifty', 'film', 'final', 'finch', 'first',
+    'fjord', 'flag', 'flame', 'flash', 'flask', 'fleet', 'flint', 'float',
+    'flock', 'flood', 'floor', 'flour', 'flute', 'focus', 'foggy', 'folk',
+    'forest', 'forge', 'fork', 'fossil', 'fox', 'frame', 'fresh', 'frog',
+    'frost', 'fruit', 'fudge', 'fungi', 'funny', 'gadget', 'galaxy', 'gallon',
+    'garage', 'garden', 'garlic', 'gate', 'gauge', 'gecko', 'gentle', 'giant',
+    'ginger', 'giraffe', 'glad', 'glass', 'glide', 'globe', 'glove', 'glow',
+    'glue', 'goat', 'golden', 'goose', 'gorilla', 'gown', 'grace', 'grain',
+    'grape', 'graph', 'grass', 'gravel', 'gravy', 'great', 'green', 'grid',
+    'grill', 'grin', 'grove', 'growl', 'guard', 'guest', 'guide', 'guitar',
+    'gulf', 'gummy', 'habit', 'hammer', 'hamster', 'handle', 'harbor', 'harp',
+    'harvest', 'hatch', 'hazel', 'heart', 'heater', 'hedge', 'helmet', 'herb',
+    'hero', 'heron', 'hiking', 'hill', 'hippo', 'hobby', 'hockey', 'honey',
+    'hood', 'hook', 'hope', 'horse', 'hotel', 'hound', 'house', 'humble',
+    'humor', 'hunch', 'husky', 'hybrid', 'icicle', 'icon', 'idea', 'igloo',
+    'image', 'inch', 'index', 'indigo', 'ink', 'inlet', 'input', 'iron',
+    'island', 'ivory', 'jacket', 'jaguar', 'jam', 'jasmine', 'jazz', 'jelly',
+    'jewel', 'jigsaw', 'jockey', 'jolly', 'journal', 'judge', 'juice', 'jumbo',
+    'jungle', 'junior', 'jury', 'kayak', 'kebab', 'kettle', 'kind', 'king',
+    'kiosk', 'kitten', 'kiwi', 'knack', 'knee', 'knife', 'knob', 'knot',
+    'koala', 'label', 'ladder', 'ladle', 'lagoon', 'lake', 'lamb', 'lamp',
+    'lantern', 'laptop', 'large', 'laser', 'latch', 'lava', 'lawn', 'layer',
+    'leaf', 'lemon', 'lens', 'level', 'lever', 'liberty', 'lilac', 'lily',
+    'limb', 'lime', 'linen', 'lion', 'liquid', 'little', 'lizard', 'llama',
+    'lobby', 'lobster', 'local', 'locket', 'lodge', 'logic', 'lotus', 'lucky',
+    'lumber', 'lunar', 'lunch', 'lyric', 'macaw', 'magic', 'magnet', 'mango',
+    'manor', 'maple', 'marble', 'march', 'margin', 'marine', 'market', 'marsh',
+    'mask', 'meadow', 'medal', 'melody', 'melon', 'memo', 'mentor', 'menu',
+    'merit', 'mesa', 'metal', 'meteor', 'metro', 'midnight', 'mild', 'mill',
+    'mimic', 'mint', 'minute', 'mirror', 'misty', 'mitten', 'mixer', 'model',
+    'modem', 'mole', 'moment', 'monkey', 'moose', 'morning', 'mosaic', 'moss',
+    'motel', 'motor', 'mouse', 'muffin', 'mule', 'mural', 'museum', 'music',
+    'mustard', 'myth', 'napkin', 'narrow', 'native', 'nature', 'navy', 'nectar',
+    'needle', 'neon', 'nerve', 'nest', 'network', 'nickel', 'night', 'noble',
+    'noodle', 'north', 'notch', 'novel', 'nugget', 'number', 'nutmeg', 'oasis',
+    'oat', 'ocean', 'octave', 'olive', 'omega', 'onion', 'opal', 'opera',
+    'orange', 'orbit', 'orchid', 'organ', 'otter', 'outer', 'oval', 'oven',
+    'owl', 'oxygen', 'oyster', 'paddle', 'pagoda', 'palace', 'palm', 'panda',
+    'panel', 'panther', 'paper', 'parade', 'parcel', 'parrot', 'pasta', 'pastel',
+    'patch', 'path', 'patio', 'peach', 'peanut', 'pearl', 'pebble', 'pecan',
+    'pelican', 'pencil', 'penguin', 'pepper', 'perch', 'petal', 'piano', 'picnic',
+    'pigeon', 'pillow', 'pilot', 'pine', 'pioneer', 'pirate', 'pitch', 'pixel',
+    'pizza', 'plain', 'planet', 'plank', 'plaza', 'pledge', 'plum', 'plush',
+    'pocket', 'poem', 'polar', 'pond', 'pony', 'poppy', 'porch', 'portal',
+    'potato', 'pottery', 'powder', 'prairie', 'prism', 'prize', 'proud', 'pulse',
+    'pumpkin', 'punch', 'puppy', 'puzzle', 'quail', 'quartz', 'queen', 'quest',
+    'quick', 'quiet', 'quilt', 'quote', 'rabbit', 'raccoon', 'radar', 'radio',
+    'raft', 'rain', 'raisin', 'rally', 'ramp', 'ranch', 'random', 'ranger',
+    'rapid', 'raven', 'razor', 'recipe', 'reef', 'relic', 'remote', 'rescue',
+    'rhythm', 'ribbon', 'rice', 'riddle', 'ridge', 'ring', 'ripple', 'river',
+    'road', 'robin', 'robot', 'rocket', 'rodeo', 'rose', 'rotor', 'round',
+    'royal', 'ruby', 'rudder', 'rugby', 'ruler', 'rumble', 'runway', 'rustic',
+    'saddle', 'safari', 'saga', 'salad', 'salmon', 'salsa', 'salt', 'sample',
+    'sandal', 'satin', 'sauce', 'sauna', 'savor', 'scale', 'scarf', 'scene',
+    'school', 'scout', 'scroll', 'sector', 'seed', 'sensor', 'sequel', 'shadow',
+    'shark', 'shelf', 'shell', 'shield', 'shine', 'ship', 'shore', 'shovel',
+    'shrimp', 'sierra', 'signal', 'silk', 'silver', 'siren', 'sketch', 'skill',
+    'skunk', 'slate', 'sled', 'sleet', 'slope', 'smile', 'smoke', 'snack',
+    'snail', 'snake', 'sneeze', 'snow', 'soap', 'soccer', 'socket', 'sofa',
+    'solar', 'sonar', 'sonic', 'spark', 'sparrow', 'spice', 'spider', 'spine',
+    'spiral', 'spoon', 'sport', 'spray', 'spring', 'sprout', 'spruce', 'squash',
+    'squid', 'stable', 'stage', 'stair', 'stamp', 'star', 'statue', 'steam',
+    'steel', 'stem', 'stereo', 'stick', 'stone', 'stork', 'storm', 'story',
+    'stove', 'straw', 'stream', 'street', 'stripe', 'studio', 'sugar', 'suit',
+    'summit', 'sunny', 'surf', 'swamp', 'swan', 'sweater', 'swift', 'syrup',
+    'table', 'tablet', 'taco', 'talent', 'tango', 'tape', 'target', 'tassel',
+    'tavern', 'teapot', 'temple', 'tennis', 'tent', 'thimble', 'thorn', 'thunder',
+    'ticket', 'tiger', 'timber', 'tissue', 'toast', 'token', 'tomato', 'tonic',
+    'topaz', 'torch', 'tornado', 'tortoise', 'towel', 'tower', 'toy', 'track',
+    'tractor', 'trail', 'train', 'tree', 'trend', 'tribe', 'trophy', 'tropic',
+    'trout', 'truck', 'trumpet', 'trunk', 'tuba', 'tulip', 'tumble', 'tuna',
+    'tundra', 'tunnel', 'turkey', 'turtle', 'tuxedo', 'twig', 'twin', 'ultra',
+    'umber', 'umbrella', 'uncle', 'unicorn', 'union', 'unit', 'upper', 'urban',
+    'useful', 'utopia', 'vacuum', 'valley', 'valve', 'vanilla', 'vapor', 'vault',
+    'velvet', 'vendor', 'venus', 'verse', 'vessel', 'video', 'view', 'villa',
+    'vine', 'vinyl', 'violet', 'violin', 'viper', 'visor', 'vista', 'vivid',
+    'vocal', 'voice', 'volcano', 'voyage', 'waffle', 'wagon', 'walnut', 'walrus',
+    'wand', 'warm', 'wasabi', 'watch', 'water', 'wave', 'wax', 'weasel',
+    'weaver', 'wedge', 'whale', 'wheat', 'wheel', 'whisk', 'whistle', 'widget',
+    'willow', 'window', 'wing', 'winter', 'wizard', 'wolf', 'wombat', 'wonder',
+    'woods', 'wool', 'world', 'worm', 'wreath', 'wrist', 'yacht', 'yard',
+    'yarn', 'yeast', 'yellow', 'yodel', 'yogurt', 'young', 'zebra', 'zenith',
+    'zero', 'zesty', 'zigzag', 'zinc', 'zipper', 'zodiac', 'zone', 'zoom'
+];
\ No newline at end of file
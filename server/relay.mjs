@@ -0,0 +1,472 @@
+/**
+ * Self-hosted signaling relay for the WebSocket transport
+ * An in-memory JSON tree with Firebase-style child_added / value subscriptions.
+ * Clients only ever store ciphertext and opaque IDs here. No dependencies:
+ *
+ *   node server/relay.mjs [--port 8787] [--host 0.0.0.0]
+ *
+ * Data lives in memory only and is gone when the process exits.
+ */
+
+import { createServer } from 'node:http';
+import { createHash } from 'node:crypto';
+import { pathToFileURL } from 'node:url';
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_PAYLOAD = 1024 * 1024; // 1 MB per message
+const PATH_SEGMENT = /^[A-Za-z0-9_\-.:]+$/;
+const RESERVED_SEGMENTS = new Set(['__proto__', 'constructor', 'prototype']); // would reach Object.prototype
+const MIN_PATH_DEPTH = 2; // room-scoped: no listing or wiping top-level collections such as rooms/
+
+const OPCODES = { continuation: 0x0, text: 0x1, close: 0x8, ping: 0x9, pong: 0xa };
+
+/**
+ * JSON tree with path addressing and change subscriptions
+ */
+export class RelayStore {
+    constructor() {
+        this.root = Object.create(null);
+        this.subscriptions = new Set(); // { segments, kind, send }
+    }
+
+    parsePath(path, minDepth = MIN_PATH_DEPTH) {
+        if (typeof path !== 'string') {
+            throw new Error('Path must be a string');
+        }
+
+        const segments = path.split('/').filter(Boolean);
+        const valid = segment => PATH_SEGMENT.test(segment) && !RESERVED_SEGMENTS.has(segment);
+        if (segments.length < minDepth || !segments.every(valid)) {
+            throw new Error(`Invalid path: ${path}`);
+        }
+        return segments;
+    }
+
+    read(segments) {
+        let node = this.root;
+        for (const segment of segments) {
+            if (node === null || typeof node !== 'object' || !Object.hasOwn(node, segment)) return null;
+            node = node[segment];
+        }
+        return node;
+    }
+
+    write(segments, value) {
+        if (value === null || value === undefined) {
+            this.delete(segments);
+            return;
+        }
+
+        let node = this.root;
+        for (const segment of segments.slice(0, -1)) {
+            if (!Object.hasOwn(node, segment) || node[segment] === null || typeof node[segment] !== 'object') {
+                node[segment] = Object.create(null);
+            }
+            node = node[segment];
+        }
+        node[segments[segments.length - 1]] = resolveServerValues(structuredClone(value));
+    }
+
+    /**
+     * Delete a node and prune parents left empty, as Firebase does
+     */
+    delete(segments) {
+        const parents = [];
+        let node = this.root;
+        for (const segment of segments.slice(0, -1)) {
+            if (node === null || typeof node !== 'object' || !Object.hasOwn(node, segment)) return;
+            parents.push([node, segment]);
+            node = node[segment];
+        }
+
+        if (node && typeof node === 'object') {
+            delete node[segments[segments.length - 1]];
+        }
+
+        for (const [parent, segment] of parents.reverse()) {
+            const child = parent[segment];
+            if (child && typeof child === 'object' && Object.keys(child).length === 0) {
+                delete parent[segment];
+            }
+        }
+    }
+
+    get(path) {
+        return this.read(this.parsePath(path));
+    }
+
+    set(path, value) {
+        const segments = this.parsePath(path);
+        this.mutate(segments, () => this.write(segments, value));
+    }
+
+    /**
+     * Multi-path update - keys are paths relative to the target
+     */
+    update(path, values) {
+        if (!values || typeof values !== 'object') {
+            throw new Error('Update values must be an object');
+        }
+
+        const base = this.parsePath(path);
+        const writes = Object.entries(values).map(([key, value]) => [[...base, ...this.parsePath(key, 1)], value]);
+
+        this.mutate(base, () => {
+            for (const [segments, value] of writes) {
+                this.write(segments, value);
+            }
+        });
+    }
+
+    remove(path) {
+        const segments = this.parsePath(path);
+        this.mutate(segments, () => this.delete(segments));
+    }
+
+    /**
+     * Apply a change and notify every subscription whose path overlaps it
+     */
+    mutate(segments, change) {
+        const affected = [...this.subscriptions].filter(subscription => this.overlaps(subscription.segments, segments));
+        const before = affected.map(subscription => this.snapshot(subscription));
+
+        change();
+
+        affected.forEach((subscription, index) => {
+            const after = this.snapshot(subscription);
+            if (subscription.kind === 'child') {
+                for (const key of Object.keys(after).sort()) {
+                    if (!Object.hasOwn(before[index], key)) {
+                        subscription.send({ event: 'child_added', key, value: after[key] });
+                    }
+                }
+            } else if (JSON.stringify(before[index]) !== JSON.stringify(after)) {
+                subscription.send({ event: 'value', value: after });
+            }
+        });
+    }
+
+    snapshot(subscription) {
+        const value = this.read(subscription.segments);
+        if (subscription.kind === 'child') {
+            return value && typeof value === 'object' ? { ...value } : {};
+        }
+        return value === null ? null : structuredClone(value);
+    }
+
+    overlaps(a, b) {
+        const length = Math.min(a.length, b.length);
+        return a.slice(0, length).every((segment, index) => segment === b[index]);
+    }
+
+    /**
+     * Subscribe and immediately replay current state
+     */
+    subscribe(path, kind, send) {
+        const subscription = { segments: this.parsePath(path), kind, send };
+        this.subscriptions.add(subscription);
+
+        const current = this.snapshot(subscription);
+        if (kind === 'child') {
+            for (const key of Object.keys(current).sort()) {
+                send({ event: 'child_added', key, value: current[key] });
+            }
+        } else {
+            send({ event: 'value', value: current });
+        }
+
+        return subscription;
+    }
+
+    unsubscribe(subscription) {
+        this.subscriptions.delete(subscription);
+    }
+}
+
+/**
+ * One connected client: request handling and its subscriptions
+ */
+class RelayClient {
+    constructor(socket, store) {
+        this.socket = socket;
+        this.store = store;
+        this.subscriptions = new Map(); // client subscription id -> store subscription
+        this.disconnectHooks = new Map(); // hook id -> { path, values } applied when the socket closes
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.fragmentsLength = 0;
+    }
+
+    handleRequest(message) {
+        const { id, op, path } = message;
+
+        try {
+            let value = null;
+            switch (op) {
+                case 'get':
+                    value = this.store.get(path);
+                    break;
+                case 'set':
+                    this.store.set(path, message.value);
+                    break;
+                case 'update':
+                    this.store.update(path, message.value);
+                    break;
+                case 'remove':
+                    this.store.remove(path);
+                    break;
+                case 'subscribe':
+                    this.subscribe(message.sub, path, message.kind);
+                    break;
+                case 'unsubscribe':
+                    this.unsubscribe(message.sub);
+                    break;
+                case 'onDisconnect':
+                    this.addDisconnectHook(message.hook, path, message.value);
+                    break;
+                case 'cancelDisconnect':
+                    this.disconnectHooks.delete(message.hook);
+                    break;
+                default:
+                    throw new Error(`Unknown operation: ${op}`);
+            }
+            this.send({ id, ok: true, value });
+        } catch (error) {
+            this.send({ id, ok: false, error: error.message });
+        }
+    }
+
+    subscribe(sub, path, kind) {
+        if (typeof sub !== 'string' || (kind !== 'child' && kind !== 'value')) {
+            throw new Error('Invalid subscription');
+        }
+
+        this.unsubscribe(sub);
+        this.subscriptions.set(sub, this.store.subscribe(path, kind, (event) => this.send({ sub, ...event })));
+    }
+
+    unsubscribe(sub) {
+        const subscription = this.subscriptions.get(sub);
+        if (subscription) {
+            this.store.unsubscribe(subscription);
+            this.subscriptions.delete(sub);
+        }
+    }
+
+    addDisconnectHook(hook, path, values) {
+        if (typeof hook !== 'string' || !values || typeof values !== 'object') {
+            throw new Error('Invalid disconnect hook');
+        }
+
+        // Validate now rather than fail silently when the socket is already gone
+        this.store.parsePath(path);
+        Object.keys(values).forEach(key => this.store.parsePath(key, 1));
+
+        this.disconnectHooks.set(hook, { path, values });
+    }
+
+    send(message) {
+        if (!this.socket.destroyed) {
+            this.socket.write(encodeFrame(OPCODES.text, Buffer.from(JSON.stringify(message))));
+        }
+    }
+
+    /**
+     * Parse as many complete frames as the buffer holds
+     */
+    receive(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+
+        let frame;
+        while ((frame = decodeFrame(this.buffer))) {
+            this.buffer = this.buffer.subarray(frame.length);
+            this.handleFrame(frame);
+        }
+    }
+
+    handleFrame(frame) {
+        switch (frame.opcode) {
+            case OPCODES.text:
+            case OPCODES.continuation:
+                // Each frame is capped on its own, the reassembled message is capped here
+                this.fragmentsLength += frame.payload.length;
+                if (this.fragmentsLength > MAX_PAYLOAD) {
+                    throw new Error('Message too large');
+                }
+
+                this.fragments.push(frame.payload);
+                if (frame.fin) {
+                    const text = Buffer.concat(this.fragments).toString('utf8');
+                    this.fragments = [];
+                    this.fragmentsLength = 0;
+                    this.handleText(text);
+                }
+                break;
+            case OPCODES.ping:
+                this.socket.write(encodeFrame(OPCODES.pong, frame.payload));
+                break;
+            case OPCODES.close:
+                this.socket.end(encodeFrame(OPCODES.close, Buffer.alloc(0)));
+                break;
+        }
+    }
+
+    handleText(text) {
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch (error) {
+            this.send({ ok: false, error: 'Malformed JSON' });
+            return;
+        }
+        this.handleRequest(message);
+    }
+
+    close() {
+        for (const sub of [...this.subscriptions.keys()]) {
+            this.unsubscribe(sub);
+        }
+
+        for (const { path, values } of this.disconnectHooks.values()) {
+            try {
+                this.store.update(path, values);
+            } catch (error) {
+                console.warn('⚠️ Disconnect hook failed:', error.message);
+            }
+        }
+        this.disconnectHooks.clear();
+    }
+}
+
+/**
+ * Replace Firebase-style { '.sv': 'timestamp' } placeholders with the relay clock
+ */
+function resolveServerValues(value) {
+    if (value === null || typeof value !== 'object') return value;
+    if (value['.sv'] === 'timestamp') return Date.now();
+
+    for (const key of Object.keys(value)) {
+        value[key] = resolveServerValues(value[key]);
+    }
+    return value;
+}
+
+/**
+ * Decode one client frame; returns null until the whole frame has arrived
+ */
+function decodeFrame(buffer) {
+    if (buffer.length < 2) return null;
+
+    const fin = (buffer[0] & 0x80) !== 0;
+    const opcode = buffer[0] & 0x0f;
+    const masked = (buffer[1] & 0x80) !== 0;
+    let length = buffer[1] & 0x7f;
+    let offset = 2;
+
+    if (length === 126) {
+        if (buffer.length < 4) return null;
+        length = buffer.readUInt16BE(2);
+        offset = 4;
+    } else if (length === 127) {
+        if (buffer.length < 10) return null;
+        length = Number(buffer.readBigUInt64BE(2));
+        offset = 10;
+    }
+
+    if (length > MAX_PAYLOAD) {
+        throw new Error('Frame too large');
+    }
+    if (!masked) {
+        throw new Error('Client frames must be masked');
+    }
+
+    if (buffer.length < offset + 4 + length) return null;
+
+    const mask = buffer.subarray(offset, offset + 4);
+    const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+    for (let i = 0; i < payload.length; i++) {
+        payload[i] ^= mask[i % 4];
+    }
+
+    return { fin, opcode, payload, length: offset + 4 + length };
+}
+
+/**
+ * Encode an unmasked server frame
+ */
+function encodeFrame(opcode, payload) {
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+export function createRelayServer(store = new RelayStore()) {
+    const server = createServer((request, response) => {
+        response.writeHead(200, { 'Content-Type': 'text/plain' });
+        response.end('p2p-chat signaling relay\n');
+    });
+
+    server.on('upgrade', (request, socket) => {
+        const key = request.headers['sec-websocket-key'];
+        if (request.headers.upgrade?.toLowerCase() !== 'websocket' || !key) {
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return;
+        }
+
+        const accept = createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${accept}`,
+            '', ''
+        ].join('\r\n'));
+
+        const client = new RelayClient(socket, store);
+        console.log('🔌 Client connected:', request.socket.remoteAddress);
+
+        socket.on('data', (chunk) => {
+            try {
+                client.receive(chunk);
+            } catch (error) {
+                console.warn('⚠️ Dropping client:', error.message);
+                socket.destroy();
+            }
+        });
+        socket.on('close', () => {
+            client.close();
+            console.log('👋 Client disconnected');
+        });
+        socket.on('error', () => socket.destroy());
+    });
+
+    return server;
+}
+
+function parseArgs(argv) {
+    const options = { port: 8787, host: '0.0.0.0' };
+    for (let i = 0; i < argv.length; i += 2) {
+        if (argv[i] === '--port') options.port = Number(argv[i + 1]);
+        if (argv[i] === '--host') options.host = argv[i + 1];
+    }
+    return options;
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const { port, host } = parseArgs(process.argv.slice(2));
+    createRelayServer().listen(port, host, () => {
+        console.log(`📡 Signaling relay listening on ws://${host}:${port}`);
+    });
+}
\ No newline at end of file